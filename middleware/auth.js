@@ -1,6 +1,6 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../services/sessions');
 
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
     try {
         // Get token from header
         const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -12,9 +12,16 @@ const auth = (req, res, next) => {
             });
         }
 
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
+        // Verify token, then check the session has not been revoked and the account is active
+        const { user, error } = await verifyAccessToken(token);
+        if (error) {
+            return res.status(401).json({
+                success: false,
+                message: error
+            });
+        }
+
+        req.user = user;
 
         next();
     } catch (error) {
@@ -0,0 +1,77 @@
+const { Authority } = require('../models/User');
+const { roleFor, hasRole, jurisdictionsFor } = require('../utils/roles');
+
+// Authority profile, role and visible regions for an authenticated user, or null
+// if they are not an authority with a profile
+async function resolveScope(user) {
+    if (user.userType !== 'authority') return null;
+
+    const authority = await Authority.findOne({ userId: user.userId });
+    if (!authority) return null;
+
+    const role = roleFor(user.userType, authority);
+    return { authority, role, regions: jurisdictionsFor(authority, role) };
+}
+
+// Require an authority with at least the given role. Use after `auth`; sets
+// req.authority, req.role and req.regions for the handler.
+const authorize = (minimum) => {
+    const middleware = async (req, res, next) => {
+        try {
+            if (req.user.userType !== 'authority') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Authority access required.'
+                });
+            }
+
+            const scope = await resolveScope(req.user);
+            if (!scope) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Authority profile not found.'
+                });
+            }
+
+            if (!hasRole(scope.role, minimum)) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Access denied. Requires ${minimum} role.`
+                });
+            }
+
+            req.authority = scope.authority;
+            req.role = scope.role;
+            req.regions = scope.regions;
+
+            next();
+        } catch (error) {
+            console.error('Authorize middleware error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error'
+            });
+        }
+    };
+
+    // Declared role, so routes can be audited
+    middleware.minimumRole = minimum;
+    return middleware;
+};
+
+// Like authorize, but lets tourists through to routes that also serve them their own
+// records; the handler limits what they see
+const authorizeUnlessTourist = (minimum) => {
+    const check = authorize(minimum);
+    const middleware = (req, res, next) => {
+        if (req.user.userType === 'tourist') return next();
+        return check(req, res, next);
+    };
+
+    middleware.minimumRole = minimum;
+    return middleware;
+};
+
+module.exports = authorize;
+module.exports.authorizeUnlessTourist = authorizeUnlessTourist;
+module.exports.resolveScope = resolveScope;
@@ -0,0 +1,30 @@
+const { verifyAccessToken } = require('../services/sessions');
+
+// Socket.IO counterpart of `auth`: the JWT is taken from the handshake's `auth.token`
+// (or an `Authorization: Bearer` header) and the decoded user set on socket.data.user
+const socketAuth = async (socket, next) => {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const token = auth.token || headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+        return next(new Error('Access denied. No token provided.'));
+    }
+
+    try {
+        const { user, error } = await verifyAccessToken(token);
+        if (error) {
+            return next(new Error(error));
+        }
+
+        socket.data.user = user;
+        next();
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') return next(new Error('Token expired.'));
+        if (error.name === 'JsonWebTokenError') return next(new Error('Invalid token.'));
+
+        console.error('Socket auth error:', error);
+        next(new Error('Server error'));
+    }
+};
+
+module.exports = socketAuth;
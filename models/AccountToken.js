@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// How long each kind of token stays valid
+const TOKEN_TTL = {
+    password_reset: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30) * 60 * 1000,
+    email_verification: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000
+};
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// A single-use token mailed to a user to reset their password or verify their
+// email. Only the hash is stored; the token itself exists only in the email.
+const accountTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: Object.keys(TOKEN_TTL),
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+accountTokenSchema.index({ userId: 1, purpose: 1, usedAt: 1 });
+// Tokens are dropped a day after they expire
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Issue a new token, invalidating any earlier unused token of the same purpose.
+// Resolves to the raw token and its expiry.
+accountTokenSchema.statics.issue = async function(userId, purpose, now = new Date()) {
+    await this.updateMany({ userId, purpose, usedAt: null }, { $set: { usedAt: now } });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(now.getTime() + TOKEN_TTL[purpose]);
+    await this.create({ userId, purpose, tokenHash: hashToken(token), expiresAt, createdAt: now });
+
+    return { token, expiresAt };
+};
+
+// Mark a token used, resolving to it if it was valid and unused, or null otherwise
+accountTokenSchema.statics.consume = function(token, purpose, now = new Date()) {
+    if (typeof token !== 'string' || !token) return Promise.resolve(null);
+
+    return this.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { $set: { usedAt: now } },
+        { new: true }
+    );
+};
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
+module.exports.TOKEN_TTL = TOKEN_TTL;
@@ -1,10 +1,20 @@
 const mongoose = require('mongoose');
+const fenceIndex = require('../services/fenceIndex');
+
+// Allowed status changes. Closed alerts are final; resolved ones may be reopened for a response.
+const STATUS_TRANSITIONS = {
+    active: ['acknowledged', 'responding', 'resolved', 'closed'],
+    acknowledged: ['responding', 'resolved', 'closed'],
+    responding: ['resolved', 'closed'],
+    resolved: ['responding', 'closed'],
+    closed: []
+};
 
 const alertSchema = new mongoose.Schema({
     type: {
         type: String,
         required: true,
-        enum: ['sos', 'geo-fence', 'incident', 'medical', 'security', 'weather']
+        enum: ['sos', 'geo-fence', 'incident', 'medical', 'security', 'weather', 'inactivity', 'check-in', 'deviation']
     },
     touristId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -20,6 +30,10 @@ const alertSchema = new mongoose.Schema({
         lng: { type: Number, required: true },
         address: { type: String }
     },
+    // Region the alert was raised in, used to scope it to authorities' jurisdictions
+    region: {
+        type: String
+    },
     message: {
         type: String,
         required: true,
@@ -45,6 +59,52 @@ const alertSchema = new mongoose.Schema({
     resolvedTime: {
         type: Date
     },
+    // Escalation ladder for alerts nobody acknowledges in time
+    escalation: {
+        level: { type: Number, default: 0 },
+        nextAt: { type: Date },
+        exhaustedAt: { type: Date },
+        steps: [{
+            stage: {
+                type: String,
+                enum: ['wider_ring', 'supervisors', 'contacts']
+            },
+            level: { type: Number },
+            at: { type: Date, default: Date.now },
+            recipients: [{
+                kind: { type: String, enum: ['authority', 'contact', 'helpline'] },
+                authorityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Authority' },
+                address: { type: String },
+                channels: [{ type: String }],
+                delivered: { type: Boolean }
+            }],
+            note: { type: String }
+        }]
+    },
+    // Append-only record of status changes, notes and escalations
+    timeline: [{
+        event: {
+            type: String,
+            enum: ['created', 'status', 'note', 'escalation', 'archived'],
+            required: true
+        },
+        from: { type: String },
+        to: { type: String },
+        comment: {
+            type: String,
+            maxlength: [1000, 'Comment cannot exceed 1000 characters']
+        },
+        actor: {
+            userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            userType: { type: String, enum: ['tourist', 'authority', 'system'], default: 'system' },
+            authorityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Authority' }
+        },
+        at: { type: Date, default: Date.now }
+    }],
+    // Archived alerts are kept, with their timeline, but left out of alert lists
+    archivedAt: {
+        type: Date
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -55,6 +115,100 @@ const alertSchema = new mongoose.Schema({
     }
 });
 
+alertSchema.index({ status: 1, 'escalation.nextAt': 1 });
+alertSchema.index({ region: 1, createdAt: -1 });
+
+// Timeline actor for an authenticated request (and the authority profile, if any)
+alertSchema.statics.actorFor = function(user, authority) {
+    return {
+        userId: user.userId,
+        userType: user.userType,
+        authorityId: authority ? authority._id : undefined
+    };
+};
+
+alertSchema.methods.canTransitionTo = function(status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Change status, recording the change on the timeline
+alertSchema.methods.transition = function(status, actor, comment) {
+    if (!this.canTransitionTo(status)) {
+        throw new Error(`Cannot change alert status from ${this.status} to ${status}`);
+    }
+
+    this.timeline.push({ event: 'status', from: this.status, to: status, comment, actor });
+    this.status = status;
+    return this;
+};
+
+alertSchema.methods.addNote = function(comment, actor) {
+    this.timeline.push({ event: 'note', comment, actor });
+    return this;
+};
+
+// Close the alert if it is still open and archive it, recording both on the timeline
+alertSchema.methods.archive = function(actor, comment) {
+    if (this.archivedAt) {
+        throw new Error('Alert is already archived');
+    }
+
+    if (this.status !== 'closed') {
+        this.transition('closed', actor, comment);
+    }
+
+    this.timeline.push({ event: 'archived', comment, actor });
+    this.archivedAt = new Date();
+    return this;
+};
+
+alertSchema.post('init', function(doc) {
+    doc.$locals.timelineLength = doc.timeline.length;
+});
+
+// Keep the timeline append-only and status changes on it
+alertSchema.pre('save', function(next) {
+    if (this.isNew) {
+        if (!this.timeline.length) {
+            this.timeline.push({ event: 'created', to: this.status });
+        }
+        return next();
+    }
+
+    if (this.timeline.length < (this.$locals.timelineLength || 0)) {
+        return next(new Error('Alert timeline entries cannot be removed'));
+    }
+
+    const last = this.timeline.filter(entry => entry.event === 'status').pop();
+    if (this.isModified('status') && (!last || last.to !== this.status)) {
+        return next(new Error('Alert status must be changed through transition()'));
+    }
+
+    next();
+});
+
+// Status and timeline bypass the rules above when changed by update queries
+alertSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+    const update = this.getUpdate() || {};
+    const fields = Object.keys({ ...update, ...update.$set, ...update.$unset, ...update.$push, ...update.$pull });
+
+    if (fields.includes('status') || fields.some(field => field.startsWith('timeline'))) {
+        return next(new Error('Alert status and timeline can only be changed on the document'));
+    }
+
+    next();
+});
+
+// Tag new alerts with their region
+alertSchema.pre('save', async function(next) {
+    if (!this.isNew || this.region) {
+        return next();
+    }
+
+    this.region = (await fenceIndex.regionNear(this.location.lat, this.location.lng)) || undefined;
+    next();
+});
+
 // Update timestamp on save
 alertSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
@@ -75,3 +229,4 @@ alertSchema.pre('save', function(next) {
 });
 
 module.exports = mongoose.model('Alert', alertSchema);
+module.exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
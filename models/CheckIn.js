@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Minutes after a missed check-in before the emergency contact is notified and
+// before an alert is raised, unless set on the check-in itself
+const DEFAULT_CONTACT_AFTER = parseInt(process.env.CHECKIN_CONTACT_AFTER_MINUTES) || 15;
+const DEFAULT_ALERT_AFTER = parseInt(process.env.CHECKIN_ALERT_AFTER_MINUTES) || 30;
+
+// A safety check-in a tourist promises to confirm by `dueAt`. Missed check-ins
+// escalate: tourist → emergency contact → alert.
+const checkInSchema = new mongoose.Schema({
+    touristId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tourist',
+        required: true
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Label cannot exceed 100 characters']
+    },
+    note: {
+        type: String,
+        maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    dueAt: {
+        type: Date,
+        required: [true, 'Check-in time is required']
+    },
+    // Where the tourist expects to be, used for the alert if no location is known
+    plannedLocation: {
+        lat: { type: Number, min: -90, max: 90 },
+        lng: { type: Number, min: -180, max: 180 },
+        address: { type: String }
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'missed', 'confirmed', 'cancelled', 'escalated'],
+        default: 'scheduled'
+    },
+    contactAfter: {
+        type: Number,
+        min: [0, 'Contact delay cannot be negative'],
+        default: DEFAULT_CONTACT_AFTER
+    },
+    alertAfter: {
+        type: Number,
+        min: [0, 'Alert delay cannot be negative'],
+        default: DEFAULT_ALERT_AFTER,
+        validate: {
+            validator: function(value) {
+                return value >= this.contactAfter;
+            },
+            message: 'Alert delay must not be shorter than the contact delay'
+        }
+    },
+    snoozeCount: {
+        type: Number,
+        default: 0
+    },
+    escalation: {
+        touristNotifiedAt: { type: Date },
+        contactNotifiedAt: { type: Date },
+        alertId: { type: mongoose.Schema.Types.ObjectId, ref: 'Alert' },
+        alertedAt: { type: Date }
+    },
+    confirmedAt: {
+        type: Date
+    },
+    confirmedLocation: {
+        lat: { type: Number },
+        lng: { type: Number }
+    },
+    cancelledAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// The scheduler polls for pending check-ins that are due
+checkInSchema.index({ status: 1, dueAt: 1 });
+checkInSchema.index({ touristId: 1, dueAt: -1 });
+
+// Update timestamp on save
+checkInSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Pending check-ins can still be confirmed, snoozed or cancelled
+checkInSchema.virtual('isPending').get(function() {
+    return ['scheduled', 'missed'].includes(this.status);
+});
+
+module.exports = mongoose.model('CheckIn', checkInSchema);
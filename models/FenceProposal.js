@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// A geo-fence proposed by hotspot detection, awaiting review by an authority.
+// Approving it creates an active GeoFence of the chosen type.
+const fenceProposalSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Proposal name is required'],
+        trim: true
+    },
+    description: {
+        type: String
+    },
+    suggestedType: {
+        type: String,
+        enum: ['caution', 'danger'],
+        default: 'caution'
+    },
+    center: {
+        lat: { type: Number, required: true, min: -90, max: 90 },
+        lng: { type: Number, required: true, min: -180, max: 180 }
+    },
+    radius: {
+        type: Number,
+        required: true,
+        min: [10, 'Radius must be at least 10 meters']
+    },
+    // Optional polygon drawn by a reviewer in place of the detected circle
+    geometry: {
+        type: { type: String, enum: ['Polygon', 'MultiPolygon'] },
+        coordinates: { type: mongoose.Schema.Types.Mixed }
+    },
+    region: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    // What the detector saw when it last (re)evaluated the cluster
+    cluster: {
+        size: { type: Number },
+        incidents: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Incident' }],
+        alerts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Alert' }],
+        severity: {
+            low: { type: Number, default: 0 },
+            medium: { type: Number, default: 0 },
+            high: { type: Number, default: 0 },
+            critical: { type: Number, default: 0 }
+        },
+        firstSeenAt: { type: Date },
+        lastSeenAt: { type: Date },
+        windowDays: { type: Number },
+        eps: { type: Number },
+        minPoints: { type: Number }
+    },
+    detectedAt: {
+        type: Date,
+        default: Date.now
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Authority'
+    },
+    reviewedAt: {
+        type: Date
+    },
+    reviewNote: {
+        type: String
+    },
+    fenceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GeoFence'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+fenceProposalSchema.index({ status: 1, detectedAt: -1 });
+
+// Update timestamp on save
+fenceProposalSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('FenceProposal', fenceProposalSchema);
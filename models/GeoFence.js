@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const { isPolygonFence, validatePolygonGeometry, polygonCenter } = require('../utils/geoFence');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/fenceSchedule');
+const GeoFenceRevision = require('./GeoFenceRevision');
+const fenceIndex = require('../services/fenceIndex');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MONTH_DAY_PATTERN = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
 
 const geoFenceSchema = new mongoose.Schema({
     name: {
@@ -16,16 +23,27 @@ const geoFenceSchema = new mongoose.Schema({
         required: true,
         enum: ['safe', 'caution', 'danger', 'restricted']
     },
+    // Circular fences use center + radius; polygon fences derive center from their geometry
     center: {
-        lat: { type: Number, required: true },
-        lng: { type: Number, required: true }
+        lat: { type: Number },
+        lng: { type: Number }
     },
     radius: {
         type: Number,
-        required: true,
+        required: [function() { return !isPolygonFence(this); }, 'Radius is required for circular geo-fences'],
         min: [10, 'Radius must be at least 10 meters'],
         max: [10000, 'Radius cannot exceed 10km']
     },
+    // GeoJSON geometry: Polygon/MultiPolygon for shaped fences, Point (the center) for circles
+    geometry: {
+        type: {
+            type: String,
+            enum: ['Point', 'Polygon', 'MultiPolygon']
+        },
+        coordinates: {
+            type: mongoose.Schema.Types.Mixed
+        }
+    },
     color: {
         type: String,
         default: function() {
@@ -42,6 +60,44 @@ const geoFenceSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // Recurring schedule; a fence without schedule or activations is always in effect
+    schedule: {
+        timezone: {
+            type: String,
+            default: DEFAULT_TIMEZONE,
+            validate: {
+                validator: isValidTimezone,
+                message: 'Please provide a valid IANA timezone'
+            }
+        },
+        // Daily time windows, e.g. 22:00-05:00; `days` are 0 (Sunday) to 6, empty for every day
+        windows: [{
+            _id: false,
+            days: [{ type: Number, min: 0, max: 6 }],
+            start: { type: String, required: true, match: [TIME_PATTERN, 'Window start must be HH:mm'] },
+            end: { type: String, required: true, match: [TIME_PATTERN, 'Window end must be HH:mm'] }
+        }],
+        // Yearly date ranges, e.g. monsoon 06-01 to 09-30
+        dateRanges: [{
+            _id: false,
+            start: { type: String, required: true, match: [MONTH_DAY_PATTERN, 'Date range start must be MM-DD'] },
+            end: { type: String, required: true, match: [MONTH_DAY_PATTERN, 'Date range end must be MM-DD'] }
+        }]
+    },
+    // One-off activation windows, e.g. festival days
+    activations: [{
+        startsAt: { type: Date, required: true },
+        endsAt: {
+            type: Date,
+            validate: {
+                validator: function(endsAt) {
+                    return !endsAt || endsAt > this.startsAt;
+                },
+                message: 'Activation end must be after its start'
+            }
+        },
+        reason: { type: String, maxlength: [200, 'Reason cannot exceed 200 characters'] }
+    }],
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Authority',
@@ -51,6 +107,28 @@ const geoFenceSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Seconds a tourist may stay inside before a second (dwell) alert is raised; unset disables it
+    dwellTime: {
+        type: Number,
+        min: [60, 'Dwell time must be at least 60 seconds']
+    },
+    // Current revision number in the GeoFenceRevision log
+    revision: {
+        type: Number,
+        default: 0
+    },
+    // Deleted fences are archived (and deactivated) so they can be restored
+    isArchived: {
+        type: Boolean,
+        default: false
+    },
+    archivedAt: {
+        type: Date
+    },
+    archivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Authority'
+    },
     alertsCount: {
         type: Number,
         default: 0
@@ -65,13 +143,79 @@ const geoFenceSchema = new mongoose.Schema({
     }
 });
 
+// Keep center and geometry consistent for both fence shapes
+geoFenceSchema.pre('validate', function(next) {
+    if (isPolygonFence(this)) {
+        const error = validatePolygonGeometry(this.geometry);
+        if (error) {
+            this.invalidate('geometry', error);
+            return next();
+        }
+
+        this.center = polygonCenter(this.geometry);
+        this.radius = undefined;
+        return next();
+    }
+
+    if (!this.center || this.center.lat == null || this.center.lng == null) {
+        this.invalidate('center', 'Center coordinates are required for circular geo-fences');
+        return next();
+    }
+
+    this.geometry = {
+        type: 'Point',
+        coordinates: [this.center.lng, this.center.lat]
+    };
+    next();
+});
+
 // Update timestamp on save
 geoFenceSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
     next();
 });
 
+// Save the fence and append a revision describing the change. The update only
+// applies if the stored revision is still the one this copy was loaded at, so two
+// concurrent edits cannot take the same revision number; the loser gets a
+// RevisionConflictError and nothing is written.
+geoFenceSchema.methods.saveWithRevision = async function({ action, author, reason, previous, rolledBackTo }) {
+    const current = this.revision;
+
+    if (!this.isNew) this.$where = { revision: current };
+    this.revision = current + 1;
+
+    try {
+        await this.save();
+    } catch (error) {
+        this.revision = current;
+        if (error.name === 'DocumentNotFoundError' || error.name === 'VersionError') {
+            const conflict = new Error('Geo-fence was changed by someone else. Reload it and try again.');
+            conflict.name = 'RevisionConflictError';
+            throw conflict;
+        }
+        throw error;
+    } finally {
+        this.$where = undefined;
+    }
+
+    return GeoFenceRevision.record(this, { action, author, reason, previous, rolledBackTo });
+};
+
+// Keep the in-process spatial index in sync with fence changes
+geoFenceSchema.post('save', function(doc) {
+    fenceIndex.upsert(doc);
+});
+
+geoFenceSchema.post('insertMany', function(docs) {
+    docs.forEach(doc => fenceIndex.upsert(doc));
+});
+
+geoFenceSchema.post('findOneAndDelete', function(doc) {
+    if (doc) fenceIndex.remove(doc._id);
+});
+
 // Index for geospatial queries
-geoFenceSchema.index({ "center": "2dsphere" });
+geoFenceSchema.index({ "geometry": "2dsphere" });
 
 module.exports = mongoose.model('GeoFence', geoFenceSchema);
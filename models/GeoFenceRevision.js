@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// Fields whose changes are tracked in the revision log
+const TRACKED_FIELDS = [
+    'name', 'description', 'type', 'region', 'center', 'radius', 'geometry',
+    'color', 'isActive', 'dwellTime', 'schedule', 'activations'
+];
+
+const geoFenceRevisionSchema = new mongoose.Schema({
+    fenceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GeoFence',
+        required: true
+    },
+    revision: {
+        type: Number,
+        required: true
+    },
+    action: {
+        type: String,
+        required: true,
+        enum: ['create', 'import', 'update', 'archive', 'restore', 'rollback']
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Authority'
+    },
+    changes: [{
+        _id: false,
+        field: { type: String },
+        from: { type: mongoose.Schema.Types.Mixed },
+        to: { type: mongoose.Schema.Types.Mixed }
+    }],
+    // State of the tracked fields after this revision
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    reason: {
+        type: String,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    rolledBackTo: {
+        type: Number
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+geoFenceRevisionSchema.index({ fenceId: 1, revision: -1 }, { unique: true });
+
+// Revisions are append-only
+geoFenceRevisionSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Geo-fence revisions are immutable'));
+    }
+    next();
+});
+
+const rejectMutation = function(next) {
+    next(new Error('Geo-fence revisions are immutable'));
+};
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove']) {
+    geoFenceRevisionSchema.pre(operation, rejectMutation);
+}
+
+// Plain copy of the tracked fields of a fence
+geoFenceRevisionSchema.statics.snapshot = function(fence) {
+    const source = typeof fence.toObject === 'function' ? fence.toObject() : fence;
+    const snapshot = {};
+
+    for (const field of TRACKED_FIELDS) {
+        if (source[field] !== undefined) {
+            snapshot[field] = JSON.parse(JSON.stringify(source[field]));
+        }
+    }
+
+    return snapshot;
+};
+
+// Field-level diff between two snapshots
+geoFenceRevisionSchema.statics.diff = function(before, after) {
+    return TRACKED_FIELDS
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+// Append a revision holding the current state of `fence`
+geoFenceRevisionSchema.statics.record = function(fence, { action, author, reason, previous = {}, rolledBackTo }) {
+    const snapshot = this.snapshot(fence);
+
+    return this.create({
+        fenceId: fence._id,
+        revision: fence.revision,
+        action,
+        author,
+        changes: this.diff(previous, snapshot),
+        snapshot,
+        reason,
+        rolledBackTo
+    });
+};
+
+geoFenceRevisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = mongoose.model('GeoFenceRevision', geoFenceRevisionSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One visit of a tourist to a geo-fence: outside → entered → dwelling → exited
+const geoFenceVisitSchema = new mongoose.Schema({
+    touristId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tourist',
+        required: true
+    },
+    fenceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GeoFence',
+        required: true
+    },
+    state: {
+        type: String,
+        enum: ['entered', 'dwelling', 'exited'],
+        default: 'entered'
+    },
+    enteredAt: {
+        type: Date,
+        default: Date.now
+    },
+    dwellAlertedAt: {
+        type: Date
+    },
+    exitedAt: {
+        type: Date
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    entryLocation: {
+        lat: { type: Number },
+        lng: { type: Number }
+    },
+    exitLocation: {
+        lat: { type: Number },
+        lng: { type: Number }
+    },
+    alerts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Alert'
+    }]
+});
+
+// Open visits are looked up on every location update
+geoFenceVisitSchema.index({ touristId: 1, state: 1 });
+geoFenceVisitSchema.index({ fenceId: 1, enteredAt: -1 });
+
+module.exports = mongoose.model('GeoFenceVisit', geoFenceVisitSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const fenceIndex = require('../services/fenceIndex');
 
 const incidentSchema = new mongoose.Schema({
     reporterId: {
@@ -30,6 +31,10 @@ const incidentSchema = new mongoose.Schema({
         lng: { type: Number, required: true },
         address: { type: String }
     },
+    // Region the incident happened in, used to scope it to authorities' jurisdictions
+    region: {
+        type: String
+    },
     severity: {
         type: String,
         enum: ['low', 'medium', 'high', 'critical'],
@@ -50,6 +55,26 @@ const incidentSchema = new mongoose.Schema({
         contact: { type: String },
         statement: { type: String }
     }],
+    // How the assigned officer was chosen
+    dispatch: {
+        assignedAt: { type: Date },
+        region: { type: String },
+        distance: { type: Number },
+        caseload: { type: Number },
+        departmentMatch: { type: Boolean },
+        jurisdictionMatch: { type: Boolean },
+        score: { type: Number },
+        reasoning: { type: String },
+        candidates: [{
+            _id: false,
+            authorityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Authority' },
+            distance: { type: Number },
+            caseload: { type: Number },
+            departmentMatch: { type: Boolean },
+            jurisdictionMatch: { type: Boolean },
+            score: { type: Number }
+        }]
+    },
     eFIRNumber: {
         type: String,
         unique: true,
@@ -72,6 +97,16 @@ const incidentSchema = new mongoose.Schema({
     }
 });
 
+// Tag new incidents with their region
+incidentSchema.pre('save', async function(next) {
+    if (!this.isNew || this.region) {
+        return next();
+    }
+
+    this.region = (await fenceIndex.regionNear(this.location.lat, this.location.lng)) || undefined;
+    next();
+});
+
 // Generate e-FIR number before saving
 incidentSchema.pre('save', function(next) {
     if (!this.eFIRNumber && this.status === 'filed') {
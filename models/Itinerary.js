@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { DEVIATION_LEVELS } = require('../utils/itinerary');
+
+const placeLocation = {
+    lat: { type: Number, required: true, min: -90, max: 90 },
+    lng: { type: Number, required: true, min: -180, max: 180 },
+    address: { type: String }
+};
+
+const stopSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Stop name is required'],
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['attraction', 'accommodation', 'transit', 'other'],
+        default: 'attraction'
+    },
+    location: placeLocation,
+    // Meters from the stop within which the tourist counts as arrived
+    radius: {
+        type: Number,
+        default: 500,
+        min: [50, 'Stop radius must be at least 50 meters']
+    },
+    arriveBy: { type: Date },
+    departAt: { type: Date },
+    arrivedAt: { type: Date },
+    notes: { type: String }
+});
+
+const accommodationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Accommodation name is required'],
+        trim: true
+    },
+    location: placeLocation,
+    checkIn: { type: Date },
+    checkOut: { type: Date },
+    phone: { type: String }
+});
+
+// A tourist's planned trip: ordered stops, dates and places to stay
+const itinerarySchema = new mongoose.Schema({
+    touristId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tourist',
+        required: true
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Start date is required']
+    },
+    endDate: {
+        type: Date,
+        required: [true, 'End date is required'],
+        validate: {
+            validator: function(value) {
+                return !this.startDate || value >= this.startDate;
+            },
+            message: 'End date must not be before the start date'
+        }
+    },
+    stops: {
+        type: [stopSchema],
+        validate: {
+            validator: stops => stops.length > 0,
+            message: 'At least one stop is required'
+        }
+    },
+    accommodation: [accommodationSchema],
+    // Meters the tourist may stray from the planned route before it counts as a deviation
+    corridor: {
+        type: Number,
+        default: 5000,
+        min: [500, 'Route corridor must be at least 500 meters']
+    },
+    // Minutes past a stop's arriveBy time before a late arrival counts as a deviation
+    graceMinutes: {
+        type: Number,
+        default: 60,
+        min: [0, 'Grace period cannot be negative']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    deviation: {
+        level: { type: String, enum: DEVIATION_LEVELS, default: 'none' },
+        alertedLevel: { type: String, enum: DEVIATION_LEVELS, default: 'none' },
+        offRouteDistance: { type: Number },
+        lateStop: { type: String },
+        minutesLate: { type: Number },
+        evaluatedAt: { type: Date },
+        alertId: { type: mongoose.Schema.Types.ObjectId, ref: 'Alert' }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Location updates look up the tourist's active itinerary
+itinerarySchema.index({ touristId: 1, isActive: 1 });
+
+// Update timestamp on save
+itinerarySchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Active itinerary covering `at` (the end date covers the whole day)
+itinerarySchema.statics.findCurrent = function(touristId, at = new Date()) {
+    const dayStart = new Date(at);
+    dayStart.setHours(0, 0, 0, 0);
+
+    return this.findOne({
+        touristId,
+        isActive: true,
+        startDate: { $lte: at },
+        endDate: { $gte: dayStart }
+    });
+};
+
+module.exports = mongoose.model('Itinerary', itinerarySchema);
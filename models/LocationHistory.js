@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// How long location fixes are kept before MongoDB expires them
+const RETENTION_DAYS = parseInt(process.env.LOCATION_HISTORY_RETENTION_DAYS) || 30;
+
+const locationHistorySchema = new mongoose.Schema({
+    touristId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tourist',
+        required: true
+    },
+    timestamp: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    location: {
+        lat: { type: Number, required: true, min: -90, max: 90 },
+        lng: { type: Number, required: true, min: -180, max: 180 }
+    },
+    // Horizontal accuracy in meters
+    accuracy: {
+        type: Number,
+        min: 0
+    },
+    // Ground speed in meters per second
+    speed: {
+        type: Number,
+        min: 0
+    },
+    // Direction of travel in degrees clockwise from north
+    heading: {
+        type: Number,
+        min: 0,
+        max: 360
+    },
+    altitude: {
+        type: Number
+    },
+    source: {
+        type: String,
+        enum: ['api', 'socket'],
+        default: 'api'
+    }
+}, {
+    timeseries: {
+        timeField: 'timestamp',
+        metaField: 'touristId',
+        granularity: 'seconds'
+    },
+    expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60
+});
+
+locationHistorySchema.index({ touristId: 1, timestamp: -1 });
+
+// Optional readings are dropped when missing, not numbers or out of range. iOS and
+// Android report -1 for an unknown accuracy, speed or heading.
+const optionalNumber = (value, min = -Infinity, max = Infinity) => {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number >= min && number <= max ? number : undefined;
+};
+
+// Store a location fix for a tourist
+locationHistorySchema.statics.record = function(touristId, fix, source = 'api') {
+    return this.create({
+        touristId,
+        timestamp: fix.timestamp ? new Date(fix.timestamp) : new Date(),
+        location: {
+            lat: parseFloat(fix.lat),
+            lng: parseFloat(fix.lng)
+        },
+        accuracy: optionalNumber(fix.accuracy, 0),
+        speed: optionalNumber(fix.speed, 0),
+        heading: optionalNumber(fix.heading, 0, 360),
+        altitude: optionalNumber(fix.altitude),
+        source
+    });
+};
+
+module.exports = mongoose.model('LocationHistory', locationHistorySchema);
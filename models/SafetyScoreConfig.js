@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// The region used when a location matches no configured region
+const DEFAULT_REGION = 'default';
+
+// Per-region tuning of the safety score engine, managed by authorities.
+// Weights scale each factor's contribution; unset factors use a weight of 1.
+const safetyScoreConfigSchema = new mongoose.Schema({
+    region: {
+        type: String,
+        required: [true, 'Region is required'],
+        unique: true,
+        trim: true
+    },
+    baseScore: {
+        type: Number,
+        default: 85,
+        min: [0, 'Base score cannot be below 0'],
+        max: [100, 'Base score cannot exceed 100']
+    },
+    weights: {
+        type: Map,
+        of: {
+            type: Number,
+            min: [0, 'Weights cannot be negative'],
+            max: [5, 'Weights cannot exceed 5']
+        },
+        default: {}
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Authority'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp on save
+safetyScoreConfigSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('SafetyScoreConfig', safetyScoreConfigSchema);
+module.exports.DEFAULT_REGION = DEFAULT_REGION;
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+// How long score snapshots are kept before MongoDB expires them
+const RETENTION_DAYS = parseInt(process.env.SAFETY_SCORE_HISTORY_RETENTION_DAYS) || 90;
+
+const TREND_UNITS = ['hour', 'day', 'week'];
+
+// A safety score as calculated for a location update, with its factor breakdown
+const safetyScoreSnapshotSchema = new mongoose.Schema({
+    touristId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tourist',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    score: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    },
+    region: {
+        type: String
+    },
+    baseScore: {
+        type: Number
+    },
+    location: {
+        lat: { type: Number },
+        lng: { type: Number }
+    },
+    factors: [{
+        _id: false,
+        factor: { type: String, required: true },
+        weight: { type: Number },
+        rawDelta: { type: Number },
+        delta: { type: Number },
+        summary: { type: String }
+    }]
+}, {
+    timeseries: {
+        timeField: 'createdAt',
+        metaField: 'touristId',
+        granularity: 'minutes'
+    },
+    expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60
+});
+
+safetyScoreSnapshotSchema.index({ touristId: 1, createdAt: -1 });
+safetyScoreSnapshotSchema.index({ region: 1, createdAt: -1 });
+
+// Store the result of a safety score calculation
+safetyScoreSnapshotSchema.statics.record = function(touristId, assessment, location) {
+    return this.create({
+        touristId,
+        createdAt: assessment.computedAt,
+        score: assessment.score,
+        region: assessment.region,
+        baseScore: assessment.baseScore,
+        location: location && { lat: location.lat, lng: location.lng },
+        factors: assessment.factors.map(({ factor, weight, rawDelta, delta, summary }) =>
+            ({ factor, weight, rawDelta, delta, summary })
+        )
+    });
+};
+
+// Scores bucketed by `unit` (hour/day/week) with the average contribution of each factor,
+// optionally split into one series per `groupBy` field (e.g. region)
+safetyScoreSnapshotSchema.statics.trend = function(match, unit = 'day', groupBy = null) {
+    const key = { bucket: { $dateTrunc: { date: '$createdAt', unit } } };
+    if (groupBy) key[groupBy] = `$${groupBy}`;
+
+    return this.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                scores: [
+                    {
+                        $group: {
+                            _id: key,
+                            averageScore: { $avg: '$score' },
+                            minScore: { $min: '$score' },
+                            maxScore: { $max: '$score' },
+                            snapshots: { $sum: 1 },
+                            tourists: { $addToSet: '$touristId' }
+                        }
+                    }
+                ],
+                factors: [
+                    { $unwind: '$factors' },
+                    {
+                        $group: {
+                            _id: { ...key, factor: '$factors.factor' },
+                            averageDelta: { $avg: '$factors.delta' }
+                        }
+                    }
+                ]
+            }
+        }
+    ]).then(([{ scores, factors }]) => {
+        const series = new Map();
+
+        for (const entry of scores) {
+            const seriesKey = groupBy ? entry._id[groupBy] : null;
+            if (!series.has(seriesKey)) series.set(seriesKey, new Map());
+
+            series.get(seriesKey).set(entry._id.bucket.getTime(), {
+                bucket: entry._id.bucket,
+                averageScore: Math.round(entry.averageScore * 10) / 10,
+                minScore: entry.minScore,
+                maxScore: entry.maxScore,
+                snapshots: entry.snapshots,
+                tourists: entry.tourists.length,
+                factors: {}
+            });
+        }
+
+        for (const entry of factors) {
+            const seriesKey = groupBy ? entry._id[groupBy] : null;
+            const point = series.get(seriesKey)?.get(entry._id.bucket.getTime());
+            if (point) {
+                point.factors[entry._id.factor] = Math.round(entry.averageDelta * 10) / 10;
+            }
+        }
+
+        const sortedPoints = points => [...points.values()].sort((a, b) => a.bucket - b.bucket);
+
+        if (!groupBy) {
+            return series.has(null) ? sortedPoints(series.get(null)) : [];
+        }
+
+        return [...series.entries()]
+            .map(([value, points]) => ({ [groupBy]: value, points: sortedPoints(points) }))
+            .sort((a, b) => String(a[groupBy]).localeCompare(String(b[groupBy])));
+    });
+};
+
+module.exports = mongoose.model('SafetyScoreSnapshot', safetyScoreSnapshotSchema);
+module.exports.TREND_UNITS = TREND_UNITS;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens carry the session id and stop working as
+// soon as the session is revoked; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    userType: {
+        type: String,
+        enum: ['tourist', 'authority'],
+        required: true
+    },
+    // SHA-256 of the current refresh token, and of the one it replaced so a
+    // replayed (stolen) token can be recognised
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    previousTokenHash: {
+        type: String,
+        select: false
+    },
+    device: {
+        name: { type: String, trim: true, maxlength: [100, 'Device name cannot exceed 100 characters'] },
+        userAgent: { type: String, maxlength: [500, 'User agent cannot exceed 500 characters'] },
+        ip: { type: String }
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'revoked', 'token_reuse', 'deactivated', 'password_reset']
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Expired sessions are dropped a week after expiry
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.methods.isValid = function(now = new Date()) {
+    return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
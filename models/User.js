@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimezone } = require('../utils/fenceSchedule');
+const fenceIndex = require('../services/fenceIndex');
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -45,6 +47,16 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date
+    },
+    passwordChangedAt: {
+        type: Date
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -85,6 +97,10 @@ const touristSchema = new mongoose.Schema({
         lng: { type: Number },
         timestamp: { type: Date, default: Date.now }
     },
+    // Region of the current location, used to scope the tourist to authorities' jurisdictions
+    region: {
+        type: String
+    },
     safetyScore: {
         type: Number,
         default: 85,
@@ -103,6 +119,30 @@ const touristSchema = new mongoose.Schema({
     locationSharing: {
         type: Boolean,
         default: false
+    },
+    // IANA timezone reported by the tourist's device
+    timezone: {
+        type: String,
+        validate: {
+            validator: value => !value || isValidTimezone(value),
+            message: 'Invalid timezone'
+        }
+    },
+    // Entry permits for restricted geo-fences, either for one fence or a whole region
+    permits: [{
+        permitNumber: { type: String, required: true },
+        fenceId: { type: mongoose.Schema.Types.ObjectId, ref: 'GeoFence' },
+        region: { type: String },
+        validFrom: { type: Date, default: Date.now },
+        validUntil: { type: Date },
+        issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Authority' }
+    }],
+    // Set by the inactivity monitor when location updates stop; cleared on the next update
+    inactivity: {
+        riskLevel: { type: String, enum: ['low', 'medium', 'high'] },
+        offlineAt: { type: Date },
+        alertId: { type: mongoose.Schema.Types.ObjectId, ref: 'Alert' },
+        escalatedAt: { type: Date }
     }
 });
 
@@ -131,15 +171,44 @@ const authoritySchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Further regions overseen by a supervisor, on top of their own jurisdiction
+    supervisedRegions: [{
+        type: String,
+        trim: true
+    }],
     isOnDuty: {
         type: Boolean,
         default: false
     },
+    // Last position reported while on duty, used to dispatch the nearest responder
+    dutyLocation: {
+        lat: { type: Number, min: -90, max: 90 },
+        lng: { type: Number, min: -180, max: 180 },
+        timestamp: { type: Date }
+    },
+    // Self-registered officers stay pending, with read-only access, until an admin
+    // approves them and confirms their rank and department. Profiles created any
+    // other way (seeding, existing records) count as approved.
+    approvalStatus: {
+        type: String,
+        enum: ['pending', 'approved'],
+        default: 'approved'
+    },
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Authority'
+    },
+    approvedAt: {
+        type: Date
+    },
     lastLogin: {
         type: Date
     }
 });
 
+// Crowd density scores range-scan tourists around every location update
+touristSchema.index({ 'currentLocation.lat': 1, 'currentLocation.lng': 1 });
+
 // Password hashing middleware
 userSchema.pre('save', async function(next) {
     if (!this.isModified('password')) {
@@ -157,6 +226,16 @@ userSchema.pre('save', function(next) {
     next();
 });
 
+// Follow the tourist's region as they move
+touristSchema.pre('save', async function(next) {
+    if (!this.isModified('currentLocation') || this.currentLocation?.lat === undefined) {
+        return next();
+    }
+
+    this.region = (await fenceIndex.regionNear(this.currentLocation.lat, this.currentLocation.lng)) || undefined;
+    next();
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
@@ -2,10 +2,13 @@ const express = require('express');
 const Alert = require('../models/Alert');
 const { Tourist } = require('../models/User');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { authorizeUnlessTourist } = authorize;
+const { regionFilter } = require('../utils/roles');
 const router = express.Router();
 
 // Create Alert
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, authorizeUnlessTourist('responder'), async (req, res) => {
     try {
         const { type, message, description, location, severity } = req.body;
 
@@ -29,7 +32,8 @@ router.post('/', auth, async (req, res) => {
             message,
             description,
             location,
-            severity: severity || 'medium'
+            severity: severity || 'medium',
+            timeline: [{ event: 'created', to: 'active', actor: Alert.actorFor(req.user) }]
         });
 
         await alert.save();
@@ -62,21 +66,18 @@ router.post('/', auth, async (req, res) => {
 });
 
 // Get Alerts
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorizeUnlessTourist('responder'), async (req, res) => {
     try {
         const { page = 1, limit = 20, type, status, severity } = req.query;
 
-        let query = {};
+        // Tourists only see their own alerts, authorities those in their jurisdiction
+        const { filter } = await alertAccess(req);
+
+        let query = { ...filter, archivedAt: null };
         if (type) query.type = type;
         if (status) query.status = status;
         if (severity) query.severity = severity;
 
-        // If tourist, only show their alerts
-        if (req.user.userType === 'tourist') {
-            const tourist = await Tourist.findOne({ userId: req.user.userId });
-            query.touristId = tourist._id;
-        }
-
         const alerts = await Alert.find(query)
             .populate('touristId')
             .populate({
@@ -115,9 +116,11 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get Alert by ID
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, authorizeUnlessTourist('responder'), async (req, res) => {
     try {
-        const alert = await Alert.findById(req.params.id)
+        const { filter } = await alertAccess(req);
+
+        const alert = await Alert.findOne({ _id: req.params.id, ...filter })
             .populate('touristId')
             .populate({
                 path: 'touristId',
@@ -135,17 +138,6 @@ router.get('/:id', auth, async (req, res) => {
             });
         }
 
-        // Check if tourist can access this alert
-        if (req.user.userType === 'tourist') {
-            const tourist = await Tourist.findOne({ userId: req.user.userId });
-            if (alert.touristId._id.toString() !== tourist._id.toString()) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied'
-                });
-            }
-        }
-
         res.json({
             success: true,
             data: alert
@@ -161,19 +153,11 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // Update Alert Status
-router.put('/:id/status', auth, async (req, res) => {
+router.put('/:id/status', auth, authorize('responder'), async (req, res) => {
     try {
-        const { status } = req.body;
+        const { status, comment } = req.body;
         const alertId = req.params.id;
 
-        // Only authorities can update alert status
-        if (req.user.userType !== 'authority') {
-            return res.status(403).json({
-                success: false,
-                message: 'Access denied. Only authorities can update alert status.'
-            });
-        }
-
         if (!['acknowledged', 'responding', 'resolved', 'closed'].includes(status)) {
             return res.status(400).json({
                 success: false,
@@ -181,11 +165,7 @@ router.put('/:id/status', auth, async (req, res) => {
             });
         }
 
-        const alert = await Alert.findByIdAndUpdate(
-            alertId,
-            { status, updatedAt: new Date() },
-            { new: true }
-        ).populate('touristId').populate('authorityId');
+        const alert = await Alert.findOne({ _id: alertId, ...regionFilter(req.regions) });
 
         if (!alert) {
             return res.status(404).json({
@@ -194,6 +174,17 @@ router.put('/:id/status', auth, async (req, res) => {
             });
         }
 
+        if (!alert.canTransitionTo(status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot change alert status from ${alert.status} to ${status}`
+            });
+        }
+
+        alert.transition(status, Alert.actorFor(req.user, req.authority), comment);
+        await alert.save();
+        await alert.populate(['touristId', 'authorityId']);
+
         res.json({
             success: true,
             message: 'Alert status updated successfully',
@@ -201,6 +192,13 @@ router.put('/:id/status', auth, async (req, res) => {
         });
 
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
         console.error('Update alert status error:', error);
         res.status(500).json({
             success: false,
@@ -209,20 +207,21 @@ router.put('/:id/status', auth, async (req, res) => {
     }
 });
 
-// Delete Alert
-router.delete('/:id', auth, async (req, res) => {
+// Add Alert Note
+router.post('/:id/notes', auth, authorizeUnlessTourist('responder'), async (req, res) => {
     try {
-        const alertId = req.params.id;
+        const { comment } = req.body;
 
-        // Only authorities can delete alerts
-        if (req.user.userType !== 'authority') {
-            return res.status(403).json({
+        if (!comment || !comment.trim()) {
+            return res.status(400).json({
                 success: false,
-                message: 'Access denied. Only authorities can delete alerts.'
+                message: 'Comment is required'
             });
         }
 
-        const alert = await Alert.findByIdAndDelete(alertId);
+        const { filter, authority } = await alertAccess(req);
+
+        const alert = await Alert.findOne({ _id: req.params.id, ...filter });
 
         if (!alert) {
             return res.status(404).json({
@@ -231,13 +230,107 @@ router.delete('/:id', auth, async (req, res) => {
             });
         }
 
+        alert.addNote(comment.trim(), Alert.actorFor(req.user, authority));
+        await alert.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Note added successfully',
+            data: alert.timeline[alert.timeline.length - 1]
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        console.error('Add alert note error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get Alert Timeline
+router.get('/:id/timeline', auth, authorizeUnlessTourist('responder'), async (req, res) => {
+    try {
+        const { filter } = await alertAccess(req);
+
+        const alert = await Alert.findOne({ _id: req.params.id, ...filter })
+            .select('type status touristId timeline createdAt')
+            .populate('timeline.actor.userId', 'name userType')
+            .populate('timeline.actor.authorityId', 'officerID department rank');
+
+        if (!alert) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                alertId: alert._id,
+                type: alert.type,
+                status: alert.status,
+                allowedTransitions: Alert.STATUS_TRANSITIONS[alert.status] || [],
+                timeline: alert.timeline
+            }
+        });
+
+    } catch (error) {
+        console.error('Get alert timeline error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Archive Alert (alerts are never deleted, so their timeline survives)
+router.delete('/:id', auth, authorize('admin'), async (req, res) => {
+    try {
+        const { comment } = req.body || {};
+
+        const alert = await Alert.findOne({ _id: req.params.id, ...regionFilter(req.regions) });
+
+        if (!alert) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+
+        if (alert.archivedAt) {
+            return res.status(409).json({
+                success: false,
+                message: 'Alert is already archived'
+            });
+        }
+
+        alert.archive(Alert.actorFor(req.user, req.authority), comment);
+        await alert.save();
+
         res.json({
             success: true,
-            message: 'Alert deleted successfully'
+            message: 'Alert archived successfully',
+            data: alert
         });
 
     } catch (error) {
-        console.error('Delete alert error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        console.error('Archive alert error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -245,4 +338,15 @@ router.delete('/:id', auth, async (req, res) => {
     }
 });
 
+// Alerts the requester may access: tourists their own, authorities those in their
+// jurisdiction (along with the authority profile, if any). Use after authorizeUnlessTourist.
+async function alertAccess(req) {
+    if (req.user.userType === 'authority') {
+        return { filter: regionFilter(req.regions), authority: req.authority };
+    }
+
+    const tourist = await Tourist.findOne({ userId: req.user.userId });
+    return { filter: { touristId: tourist ? tourist._id : null }, authority: null };
+}
+
 module.exports = router;
@@ -1,8 +1,50 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
 const { User, Tourist, Authority } = require('../models/User');
+const AccountToken = require('../models/AccountToken');
+const auth = require('../middleware/auth');
+const emailService = require('./email');
+const { startSession, rotateSession, revokeSessions, listSessions } = require('../services/sessions');
 const router = express.Router();
 
+// Where links in account emails point
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const RATE_LIMIT_WINDOW = 15 * 60 * 1000;
+
+const limiter = (max, keyGenerator) => rateLimit({
+    windowMs: RATE_LIMIT_WINDOW,
+    max,
+    keyGenerator,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        success: false,
+        message: 'Too many requests. Please try again later.'
+    }
+});
+
+// Emails are limited per recipient so nobody can flood an inbox, and per client so
+// nobody can probe many addresses; emailed tokens are limited per client so they
+// cannot be guessed
+const forgotPasswordLimiter = limiter(5, req => String(req.body.email || req.ip).toLowerCase());
+const forgotPasswordClientLimiter = limiter(20);
+const resendVerificationLimiter = limiter(5, req => req.user.userId);
+const tokenLimiter = limiter(10);
+
+const appLink = (path, token) => `${APP_URL}/${path}?token=${token}`;
+
+async function sendVerificationEmail(user) {
+    const { token, expiresAt } = await AccountToken.issue(user._id, 'email_verification');
+    return emailService.sendEmailVerification(user.email, user.name, appLink('verify-email', token), expiresAt);
+}
+
+async function sendPasswordResetEmail(user) {
+    const { token, expiresAt } = await AccountToken.issue(user._id, 'password_reset');
+    return emailService.sendPasswordReset(user.email, user.name, appLink('reset-password', token), expiresAt);
+}
+
 // Register Tourist
 router.post('/register/tourist', async (req, res) => {
     try {
@@ -47,12 +89,11 @@ router.post('/register/tourist', async (req, res) => {
 
         await tourist.save();
 
-        // Generate token
-        const token = jwt.sign(
-            { userId: user._id, userType: 'tourist' },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRE }
-        );
+        // Start a session for this device
+        const tokens = await startSession(user, req);
+
+        // Ask the user to confirm their email; registration does not wait for it
+        sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
 
         res.status(201).json({
             success: true,
@@ -63,10 +104,11 @@ router.post('/register/tourist', async (req, res) => {
                     name: user.name,
                     email: user.email,
                     phone: user.phone,
-                    userType: user.userType
+                    userType: user.userType,
+                    emailVerified: user.emailVerified
                 },
                 tourist,
-                token
+                ...tokens
             }
         });
 
@@ -82,7 +124,7 @@ router.post('/register/tourist', async (req, res) => {
 // Register Authority
 router.post('/register/authority', async (req, res) => {
     try {
-        const { name, email, phone, password, officerID, department, rank, jurisdiction } = req.body;
+        const { name, email, phone, password, officerID, department, jurisdiction } = req.body;
 
         // Validate required fields
         if (!name || !email || !phone || !password || !officerID || !department || !jurisdiction) {
@@ -121,37 +163,39 @@ router.post('/register/authority', async (req, res) => {
 
         await user.save();
 
-        // Create authority profile
+        // Create authority profile. Rank is assigned and the account approved by an admin;
+        // until then the officer only has read-only access.
         const authority = new Authority({
             userId: user._id,
             officerID,
             department,
-            rank: rank || 'Officer',
-            jurisdiction
+            rank: 'Officer',
+            jurisdiction,
+            approvalStatus: 'pending'
         });
 
         await authority.save();
 
-        // Generate token
-        const token = jwt.sign(
-            { userId: user._id, userType: 'authority' },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRE }
-        );
+        // Start a session for this device
+        const tokens = await startSession(user, req);
+
+        // Ask the user to confirm their email; registration does not wait for it
+        sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
 
         res.status(201).json({
             success: true,
-            message: 'Authority registered successfully',
+            message: 'Authority registered successfully. An administrator must approve the account before it can respond to tourists.',
             data: {
                 user: {
                     id: user._id,
                     name: user.name,
                     email: user.email,
                     phone: user.phone,
-                    userType: user.userType
+                    userType: user.userType,
+                    emailVerified: user.emailVerified
                 },
                 authority,
-                token
+                ...tokens
             }
         });
 
@@ -195,6 +239,13 @@ router.post('/login', async (req, res) => {
             });
         }
 
+        if (!user.isActive) {
+            return res.status(403).json({
+                success: false,
+                message: 'Account is deactivated'
+            });
+        }
+
         // Get user profile based on type
         let userProfile = null;
         if (userType === 'tourist') {
@@ -206,12 +257,8 @@ router.post('/login', async (req, res) => {
             await userProfile.save();
         }
 
-        // Generate token
-        const token = jwt.sign(
-            { userId: user._id, userType: user.userType },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRE }
-        );
+        // Start a session for this device
+        const tokens = await startSession(user, req);
 
         res.json({
             success: true,
@@ -222,10 +269,11 @@ router.post('/login', async (req, res) => {
                     name: user.name,
                     email: user.email,
                     phone: user.phone,
-                    userType: user.userType
+                    userType: user.userType,
+                    emailVerified: user.emailVerified
                 },
                 profile: userProfile,
-                token
+                ...tokens
             }
         });
 
@@ -239,18 +287,9 @@ router.post('/login', async (req, res) => {
 });
 
 // Get Profile
-router.get('/profile', async (req, res) => {
+router.get('/profile', auth, async (req, res) => {
     try {
-        const token = req.header('Authorization')?.replace('Bearer ', '');
-        if (!token) {
-            return res.status(401).json({
-                success: false,
-                message: 'Access denied. No token provided.'
-            });
-        }
-
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId);
+        const user = await User.findById(req.user.userId);
 
         if (!user) {
             return res.status(404).json({
@@ -275,7 +314,8 @@ router.get('/profile', async (req, res) => {
                     name: user.name,
                     email: user.email,
                     phone: user.phone,
-                    userType: user.userType
+                    userType: user.userType,
+                    emailVerified: user.emailVerified
                 },
                 profile: userProfile
             }
@@ -290,4 +330,310 @@ router.get('/profile', async (req, res) => {
     }
 });
 
+// Refresh Tokens
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+
+        const { tokens, error } = await rotateSession(req.app.get('io'), refreshToken, req);
+        if (error) {
+            return res.status(401).json({
+                success: false,
+                message: error
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Token refreshed',
+            data: tokens
+        });
+
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Logout
+router.post('/logout', auth, async (req, res) => {
+    try {
+        await revokeSessions(req.app.get('io'), { _id: req.user.sessionId }, 'logout');
+
+        res.json({
+            success: true,
+            message: 'Logged out'
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Logout From All Devices
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        const count = await revokeSessions(req.app.get('io'), { userId: req.user.userId }, 'logout_all');
+
+        res.json({
+            success: true,
+            message: `Logged out of ${count} session(s)`,
+            data: { revoked: count }
+        });
+
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get Active Sessions
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user.userId);
+
+        res.json({
+            success: true,
+            data: sessions.map(session => ({
+                id: session._id,
+                device: session.device,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                current: session._id.toString() === req.user.sessionId
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Revoke Session
+router.delete('/sessions/:id', auth, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        const count = await revokeSessions(req.app.get('io'), { _id: req.params.id, userId: req.user.userId }, 'revoked');
+        if (!count) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Request Password Reset
+router.post('/forgot-password', forgotPasswordClientLimiter, forgotPasswordLimiter, async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is required'
+            });
+        }
+
+        // Respond the same whether or not the account exists, without waiting on
+        // the email so the response time does not give it away either
+        const user = await User.findOne({ email: String(email) });
+        if (user && user.isActive) {
+            sendPasswordResetEmail(user).catch(error => console.error('Password reset email error:', error));
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for this email, a password reset link has been sent'
+        });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Reset Password
+router.post('/reset-password', tokenLimiter, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        if (!token || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Token and new password are required'
+            });
+        }
+
+        // Check the password before using up the token
+        if (String(password).length < 8) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password must be at least 8 characters'
+            });
+        }
+
+        const resetToken = await AccountToken.consume(token, 'password_reset');
+        const user = resetToken && await User.findById(resetToken.userId);
+        if (!user || !user.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired reset token'
+            });
+        }
+
+        user.password = String(password);
+        user.passwordChangedAt = new Date();
+        // The link was opened from the inbox, which proves the address
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = user.passwordChangedAt;
+        }
+        await user.save();
+
+        // Whoever knew the old password is signed out everywhere
+        await revokeSessions(req.app.get('io'), { userId: user._id }, 'password_reset');
+        await emailService.sendPasswordChanged(user.email, user.name);
+
+        res.json({
+            success: true,
+            message: 'Password has been reset. Please log in again.'
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Verify Email
+router.post('/verify-email', tokenLimiter, async (req, res) => {
+    try {
+        const { token } = req.body;
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Token is required'
+            });
+        }
+
+        const verificationToken = await AccountToken.consume(token, 'email_verification');
+        const user = verificationToken && await User.findById(verificationToken.userId);
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired verification token'
+            });
+        }
+
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+        }
+
+        res.json({
+            success: true,
+            message: 'Email verified',
+            data: { email: user.email, emailVerified: true }
+        });
+
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Resend Verification Email
+router.post('/verify-email/resend', auth, resendVerificationLimiter, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.emailVerified) {
+            return res.status(409).json({
+                success: false,
+                message: 'Email is already verified'
+            });
+        }
+
+        const result = await sendVerificationEmail(user);
+        if (!result.success) {
+            return res.status(503).json({
+                success: false,
+                message: 'Could not send verification email'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Verification email sent to ${user.email}`
+        });
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 module.exports = router;
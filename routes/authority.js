@@ -3,32 +3,58 @@ const { User, Tourist, Authority } = require('../models/User');
 const Alert = require('../models/Alert');
 const GeoFence = require('../models/GeoFence');
 const Incident = require('../models/Incident');
+const LocationHistory = require('../models/LocationHistory');
+const SafetyScoreConfig = require('../models/SafetyScoreConfig');
+const SafetyScoreSnapshot = require('../models/SafetyScoreSnapshot');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { roleFor, hasRole, regionFilter, inRegions } = require('../utils/roles');
+const { LAYERS: HEATMAP_LAYERS, SEVERITY_WEIGHTS, buildHeatmap } = require('../services/heatmap');
+const { DEFAULT_BASE_SCORE, factorNames } = require('../services/safetyScore');
+const { simplifyLine } = require('../utils/geo');
+const { parseFenceShape } = require('../utils/geoFence');
+const { isValidTile, tileBounds } = require('../utils/tiles');
+const { trailWaypoints, toGPX, toKML: toTrailKML } = require('../utils/trailFormats');
 const router = express.Router();
 
+// Trails are capped so a single request cannot pull months of fixes
+const MAX_TRAIL_POINTS = 10000;
+
+// Default Douglas–Peucker tolerance for playback and exports (meters)
+const DEFAULT_TRAIL_TOLERANCE = 10;
+
+// Heatmap cells are slippy-map tiles; past street level they stop being useful
+const DEFAULT_HEATMAP_ZOOM = 8;
+const MAX_HEATMAP_ZOOM = 18;
+
 // Get Dashboard Statistics
-router.get('/dashboard', auth, async (req, res) => {
+router.get('/dashboard', auth, authorize('responder'), async (req, res) => {
     try {
+        // Only what falls within the authority's jurisdiction
+        const scope = regionFilter(req.regions);
+
         // Get active tourists count
-        const activeTouristsCount = await Tourist.countDocuments({ status: 'active' });
+        const activeTouristsCount = await Tourist.countDocuments({ status: 'active', ...scope });
 
         // Get active alerts count
         const activeAlertsCount = await Alert.countDocuments({ 
-            status: { $in: ['active', 'acknowledged', 'responding'] }
+            status: { $in: ['active', 'acknowledged', 'responding'] },
+            ...scope
         });
 
         // Get today's incidents count
         const today = new Date();
         today.setHours(0, 0, 0, 0);
         const todayIncidentsCount = await Incident.countDocuments({
-            createdAt: { $gte: today }
+            createdAt: { $gte: today },
+            ...scope
         });
 
         // Get geo-fences count
-        const geoFencesCount = await GeoFence.countDocuments({ isActive: true });
+        const geoFencesCount = await GeoFence.countDocuments({ isActive: true, ...scope });
 
         // Get recent alerts
-        const recentAlerts = await Alert.find()
+        const recentAlerts = await Alert.find(scope)
             .populate('touristId', 'userId')
             .populate({
                 path: 'touristId',
@@ -43,6 +69,7 @@ router.get('/dashboard', auth, async (req, res) => {
         // Get tourist locations for heatmap
         const touristLocations = await Tourist.find({ 
             status: 'active',
+            ...scope,
             locationSharing: true,
             'currentLocation.lat': { $exists: true }
         }).populate('userId', 'name');
@@ -76,12 +103,306 @@ router.get('/dashboard', auth, async (req, res) => {
     }
 });
 
+// Get Heatmap Cells
+router.get('/heatmap', auth, authorize('viewer'), async (req, res) => {
+    try {
+        const zoom = parseInt(req.query.zoom ?? DEFAULT_HEATMAP_ZOOM);
+        if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_HEATMAP_ZOOM) {
+            return res.status(400).json({
+                success: false,
+                message: `Zoom must be between 0 and ${MAX_HEATMAP_ZOOM}`
+            });
+        }
+
+        let bounds = null;
+        if (req.query.bbox) {
+            const [minLng, minLat, maxLng, maxLat] = req.query.bbox.split(',').map(parseFloat);
+            if ([minLng, minLat, maxLng, maxLat].some(isNaN) || minLng > maxLng || minLat > maxLat) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'bbox must be minLng,minLat,maxLng,maxLat'
+                });
+            }
+            bounds = { minLat, maxLat, minLng, maxLng };
+        }
+
+        const filters = parseHeatmapFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({
+                success: false,
+                message: filters.error
+            });
+        }
+        if (!checkHeatmapLayers(req, res, filters.layers)) return;
+
+        const heatmap = await buildHeatmap({ zoom, bounds, regions: req.regions, ...filters });
+
+        res.json({
+            success: true,
+            data: { ...heatmap, bounds }
+        });
+
+    } catch (error) {
+        console.error('Get heatmap error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get Heatmap Tile (cells at a finer zoom inside one z/x/y tile)
+router.get('/heatmap/tiles/:z/:x/:y', auth, authorize('viewer'), async (req, res) => {
+    try {
+        const z = parseInt(req.params.z);
+        const x = parseInt(req.params.x);
+        const y = parseInt(req.params.y);
+        const detail = Math.min(Math.max(parseInt(req.query.detail) || 3, 0), 5);
+
+        if (!isValidTile(z, x, y) || z > MAX_HEATMAP_ZOOM) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid tile'
+            });
+        }
+
+        const filters = parseHeatmapFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({
+                success: false,
+                message: filters.error
+            });
+        }
+        if (!checkHeatmapLayers(req, res, filters.layers)) return;
+
+        const bounds = tileBounds(z, x, y);
+        const heatmap = await buildHeatmap({
+            zoom: Math.min(z + detail, MAX_HEATMAP_ZOOM),
+            bounds,
+            regions: req.regions,
+            ...filters
+        });
+
+        res.json({
+            success: true,
+            data: {
+                tile: { z, x, y, bounds },
+                ...heatmap
+            }
+        });
+
+    } catch (error) {
+        console.error('Get heatmap tile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Update Duty Status and Location
+router.put('/duty', auth, authorize('viewer'), async (req, res) => {
+    try {
+        const { isOnDuty, location } = req.body;
+
+        const authority = req.authority;
+
+        if (isOnDuty !== undefined) {
+            authority.isOnDuty = Boolean(isOnDuty);
+        }
+
+        if (location) {
+            const lat = parseFloat(location.lat);
+            const lng = parseFloat(location.lng);
+            if (isNaN(lat) || isNaN(lng)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Location must include lat and lng'
+                });
+            }
+            authority.dutyLocation = { lat, lng, timestamp: new Date() };
+        }
+
+        // Stop dispatching to a position reported before going off duty
+        if (!authority.isOnDuty) {
+            authority.dutyLocation = undefined;
+        }
+
+        await authority.save();
+
+        res.json({
+            success: true,
+            message: `Duty status updated: ${authority.isOnDuty ? 'on duty' : 'off duty'}`,
+            data: {
+                isOnDuty: authority.isOnDuty,
+                dutyLocation: authority.dutyLocation
+            }
+        });
+
+    } catch (error) {
+        console.error('Update duty status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get Officers
+router.get('/officers', auth, authorize('admin'), async (req, res) => {
+    try {
+        const { status, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (status) query.approvalStatus = status === 'approved' ? { $ne: 'pending' } : status;
+
+        const officers = await Authority.find(query)
+            .populate('userId', 'name email phone')
+            .sort({ _id: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Authority.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: {
+                officers: officers.map(officer => ({
+                    ...officer.toObject(),
+                    role: roleFor('authority', officer)
+                })),
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                total
+            }
+        });
+
+    } catch (error) {
+        console.error('Get officers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Approve an Officer or Change their Rank, Department or Jurisdiction
+router.put('/officers/:id', auth, authorize('admin'), async (req, res) => {
+    try {
+        const { rank, department, jurisdiction, approvalStatus } = req.body;
+
+        const officer = await Authority.findById(req.params.id);
+        if (!officer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Authority not found'
+            });
+        }
+
+        if (rank !== undefined) officer.rank = rank;
+        if (department !== undefined) officer.department = department;
+        if (jurisdiction !== undefined) officer.jurisdiction = jurisdiction;
+
+        if (approvalStatus !== undefined && approvalStatus !== officer.approvalStatus) {
+            officer.approvalStatus = approvalStatus;
+            officer.approvedBy = approvalStatus === 'approved' ? req.authority._id : undefined;
+            officer.approvedAt = approvalStatus === 'approved' ? new Date() : undefined;
+        }
+
+        // Only supervisors oversee further regions
+        if (roleFor('authority', officer) !== 'supervisor') {
+            officer.supervisedRegions = [];
+        }
+
+        await officer.save();
+
+        res.json({
+            success: true,
+            message: 'Officer updated successfully',
+            data: {
+                id: officer._id,
+                officerID: officer.officerID,
+                rank: officer.rank,
+                department: officer.department,
+                jurisdiction: officer.jurisdiction,
+                approvalStatus: officer.approvalStatus,
+                role: roleFor('authority', officer)
+            }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        console.error('Update officer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Set the Additional Regions a Supervisor Oversees
+router.put('/officers/:id/regions', auth, authorize('admin'), async (req, res) => {
+    try {
+        const { regions } = req.body;
+
+        if (!Array.isArray(regions) || regions.some(region => typeof region !== 'string' || !region.trim())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Regions must be a list of region names'
+            });
+        }
+
+        const officer = await Authority.findById(req.params.id);
+        if (!officer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Authority not found'
+            });
+        }
+
+        if (roleFor('authority', officer) !== 'supervisor') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only supervisors can oversee additional regions'
+            });
+        }
+
+        officer.supervisedRegions = [...new Set(regions.map(region => region.trim()))]
+            .filter(region => region !== officer.jurisdiction);
+        await officer.save();
+
+        res.json({
+            success: true,
+            message: 'Supervised regions updated successfully',
+            data: {
+                id: officer._id,
+                officerID: officer.officerID,
+                jurisdiction: officer.jurisdiction,
+                supervisedRegions: officer.supervisedRegions
+            }
+        });
+
+    } catch (error) {
+        console.error('Update supervised regions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // Get All Tourists
-router.get('/tourists', auth, async (req, res) => {
+router.get('/tourists', auth, authorize('responder'), async (req, res) => {
     try {
         const { page = 1, limit = 20, status, search } = req.query;
 
-        let query = {};
+        let query = regionFilter(req.regions);
         if (status) query.status = status;
 
         const tourists = await Tourist.find(query)
@@ -113,12 +434,272 @@ router.get('/tourists', auth, async (req, res) => {
     }
 });
 
+// Get Tourist Location Trail
+router.get('/tourists/:id/trail', auth, authorize('responder'), async (req, res) => {
+    try {
+        const range = parseTimeRange(req.query);
+        if (!range) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid time range'
+            });
+        }
+
+        const tourist = await Tourist.findOne({ _id: req.params.id, ...regionFilter(req.regions) })
+            .populate('userId', 'name phone');
+        if (!tourist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tourist not found'
+            });
+        }
+
+        const points = await loadTrail(tourist._id, range, req.query.limit);
+
+        res.json({
+            success: true,
+            data: {
+                tourist: {
+                    id: tourist._id,
+                    name: tourist.userId?.name,
+                    currentLocation: tourist.currentLocation,
+                    status: tourist.status
+                },
+                ...range,
+                count: points.length,
+                points
+            }
+        });
+
+    } catch (error) {
+        console.error('Get tourist trail error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get Simplified Trail for Playback
+router.get('/tourists/:id/trail/playback', auth, authorize('responder'), async (req, res) => {
+    try {
+        const range = parseTimeRange(req.query);
+        if (!range) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid time range'
+            });
+        }
+
+        const tourist = await Tourist.findOne({ _id: req.params.id, ...regionFilter(req.regions) })
+            .populate('userId', 'name phone');
+        if (!tourist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tourist not found'
+            });
+        }
+
+        const tolerance = parseFloat(req.query.tolerance) || DEFAULT_TRAIL_TOLERANCE;
+        const points = trailPoints(await loadTrail(tourist._id, range));
+        const simplified = simplifyLine(points, tolerance);
+        const annotations = await loadTrailAnnotations(tourist._id, range);
+
+        res.json({
+            success: true,
+            data: {
+                tourist: {
+                    id: tourist._id,
+                    name: tourist.userId?.name,
+                    status: tourist.status
+                },
+                ...range,
+                tolerance,
+                originalCount: points.length,
+                count: simplified.length,
+                points: simplified,
+                annotations: {
+                    ...annotations,
+                    timeline: trailWaypoints(annotations)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get trail playback error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Export Trail as GPX or KML
+router.get('/tourists/:id/trail/export', auth, authorize('supervisor'), async (req, res) => {
+    try {
+        const { format = 'gpx' } = req.query;
+
+        if (!['gpx', 'kml'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Format must be gpx or kml'
+            });
+        }
+
+        const range = parseTimeRange(req.query);
+        if (!range) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid time range'
+            });
+        }
+
+        const tourist = await Tourist.findOne({ _id: req.params.id, ...regionFilter(req.regions) })
+            .populate('userId', 'name');
+        if (!tourist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tourist not found'
+            });
+        }
+
+        const tolerance = parseFloat(req.query.tolerance) || DEFAULT_TRAIL_TOLERANCE;
+        const points = simplifyLine(trailPoints(await loadTrail(tourist._id, range)), tolerance);
+        const annotations = await loadTrailAnnotations(tourist._id, range);
+
+        const trail = {
+            name: `SafeTrip trail - ${tourist.userId?.name || tourist._id}`,
+            ...range,
+            points,
+            ...annotations
+        };
+        const filename = `trail-${tourist._id}-${range.from.toISOString().slice(0, 10)}.${format}`;
+
+        if (format === 'kml') {
+            res.set('Content-Type', 'application/vnd.google-earth.kml+xml');
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.send(toTrailKML(trail));
+        }
+
+        res.set('Content-Type', 'application/gpx+xml');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(toGPX(trail));
+
+    } catch (error) {
+        console.error('Export trail error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Issue Restricted-zone Permit
+router.post('/tourists/:id/permits', auth, authorize('supervisor'), async (req, res) => {
+    try {
+        const { permitNumber, fenceId, region, validFrom, validUntil } = req.body;
+
+        if (!permitNumber || (!fenceId && !region)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Permit number and either a geo-fence or region are required'
+            });
+        }
+
+        if (fenceId) {
+            const fence = await GeoFence.findById(fenceId);
+            if (!fence || fence.type !== 'restricted') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Permits can only be issued for restricted geo-fences'
+                });
+            }
+
+            if (!inRegions(req.regions, fence.region)) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Access denied. ${fence.region} is outside your jurisdiction.`
+                });
+            }
+        } else if (!inRegions(req.regions, region)) {
+            return res.status(403).json({
+                success: false,
+                message: `Access denied. ${region} is outside your jurisdiction.`
+            });
+        }
+
+        const tourist = await Tourist.findOne({ _id: req.params.id, ...regionFilter(req.regions) });
+        if (!tourist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tourist not found'
+            });
+        }
+
+        const authority = req.authority;
+
+        tourist.permits.push({
+            permitNumber,
+            fenceId,
+            region: fenceId ? undefined : region,
+            validFrom: validFrom ? new Date(validFrom) : undefined,
+            validUntil: validUntil ? new Date(validUntil) : undefined,
+            issuedBy: authority._id
+        });
+
+        await tourist.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Permit issued successfully',
+            data: tourist.permits[tourist.permits.length - 1]
+        });
+
+    } catch (error) {
+        console.error('Issue permit error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Revoke Restricted-zone Permit
+router.delete('/tourists/:id/permits/:permitId', auth, authorize('supervisor'), async (req, res) => {
+    try {
+        const tourist = await Tourist.findOne({ _id: req.params.id, ...regionFilter(req.regions) });
+        const permit = tourist && tourist.permits.id(req.params.permitId);
+
+        if (!permit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Permit not found'
+            });
+        }
+
+        permit.deleteOne();
+        await tourist.save();
+
+        res.json({
+            success: true,
+            message: 'Permit revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke permit error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // Get All Alerts
-router.get('/alerts', auth, async (req, res) => {
+router.get('/alerts', auth, authorize('responder'), async (req, res) => {
     try {
         const { page = 1, limit = 20, status, type } = req.query;
 
-        let query = {};
+        let query = { ...regionFilter(req.regions), archivedAt: null };
         if (status) query.status = status;
         if (type) query.type = type;
 
@@ -160,9 +741,9 @@ router.get('/alerts', auth, async (req, res) => {
 });
 
 // Update Alert Status
-router.put('/alerts/:id/status', auth, async (req, res) => {
+router.put('/alerts/:id/status', auth, authorize('responder'), async (req, res) => {
     try {
-        const { status } = req.body;
+        const { status, comment } = req.body;
         const alertId = req.params.id;
 
         if (!['acknowledged', 'responding', 'resolved', 'closed'].includes(status)) {
@@ -172,17 +753,9 @@ router.put('/alerts/:id/status', auth, async (req, res) => {
             });
         }
 
-        const authority = await Authority.findOne({ userId: req.user.userId });
+        const authority = req.authority;
 
-        const alert = await Alert.findByIdAndUpdate(
-            alertId,
-            { 
-                status,
-                authorityId: authority._id,
-                updatedAt: new Date()
-            },
-            { new: true }
-        ).populate('touristId').populate('authorityId');
+        const alert = await Alert.findOne({ _id: alertId, ...regionFilter(req.regions) });
 
         if (!alert) {
             return res.status(404).json({
@@ -191,6 +764,18 @@ router.put('/alerts/:id/status', auth, async (req, res) => {
             });
         }
 
+        if (!alert.canTransitionTo(status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot change alert status from ${alert.status} to ${status}`
+            });
+        }
+
+        alert.transition(status, Alert.actorFor(req.user, authority), comment);
+        alert.authorityId = authority._id;
+        await alert.save();
+        await alert.populate(['touristId', 'authorityId']);
+
         res.json({
             success: true,
             message: 'Alert status updated successfully',
@@ -198,6 +783,13 @@ router.put('/alerts/:id/status', auth, async (req, res) => {
         });
 
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
         console.error('Update alert status error:', error);
         res.status(500).json({
             success: false,
@@ -207,30 +799,37 @@ router.put('/alerts/:id/status', auth, async (req, res) => {
 });
 
 // Create Geo-fence
-router.post('/geofences', auth, async (req, res) => {
+router.post('/geofences', auth, authorize('supervisor'), async (req, res) => {
     try {
-        const { name, description, type, center, radius, region } = req.body;
+        const { name, description, type, center, radius, geometry, region, reason } = req.body;
+        const shape = parseFenceShape({ geometry, center, radius });
 
-        if (!name || !type || !center || !radius || !region) {
+        if (!name || !type || !shape || !region) {
             return res.status(400).json({
                 success: false,
-                message: 'Name, type, center coordinates, radius, and region are required'
+                message: 'Name, type, region and either a polygon geometry or center coordinates with radius are required'
             });
         }
 
-        const authority = await Authority.findOne({ userId: req.user.userId });
+        if (!inRegions(req.regions, region)) {
+            return res.status(403).json({
+                success: false,
+                message: `Access denied. ${region} is outside your jurisdiction.`
+            });
+        }
+
+        const authority = req.authority;
 
         const geoFence = new GeoFence({
             name,
             description,
             type,
-            center,
-            radius,
+            ...shape,
             region,
             createdBy: authority._id
         });
 
-        await geoFence.save();
+        await geoFence.saveWithRevision({ action: 'create', author: authority._id, reason });
 
         res.status(201).json({
             success: true,
@@ -248,11 +847,18 @@ router.post('/geofences', auth, async (req, res) => {
 });
 
 // Get Geo-fences
-router.get('/geofences', auth, async (req, res) => {
+router.get('/geofences', auth, authorize('viewer'), async (req, res) => {
     try {
         const { page = 1, limit = 50, type, region } = req.query;
 
-        let query = { isActive: true };
+        if (region && !inRegions(req.regions, region)) {
+            return res.status(403).json({
+                success: false,
+                message: `Access denied. ${region} is outside your jurisdiction.`
+            });
+        }
+
+        let query = { isActive: true, ...regionFilter(req.regions) };
         if (type) query.type = type;
         if (region) query.region = region;
 
@@ -285,8 +891,112 @@ router.get('/geofences', auth, async (req, res) => {
     }
 });
 
+// Get Safety Score Configuration
+router.get('/safety-score/config', auth, authorize('viewer'), async (req, res) => {
+    try {
+        const configs = await SafetyScoreConfig.find()
+            .populate('updatedBy', 'officerID department')
+            .sort({ region: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                factors: factorNames(),
+                defaults: {
+                    region: SafetyScoreConfig.DEFAULT_REGION,
+                    baseScore: DEFAULT_BASE_SCORE,
+                    weight: 1
+                },
+                configs
+            }
+        });
+
+    } catch (error) {
+        console.error('Get safety score config error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Update Safety Score Configuration for a Region
+router.put('/safety-score/config/:region', auth, authorize('admin'), async (req, res) => {
+    try {
+        const { baseScore, weights = {} } = req.body;
+
+        const unknown = Object.keys(weights).filter(name => !factorNames().includes(name));
+        if (unknown.length) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown safety score factors: ${unknown.join(', ')}`
+            });
+        }
+
+        const authority = req.authority;
+
+        const config = await SafetyScoreConfig.findOne({ region: req.params.region }) ||
+            new SafetyScoreConfig({ region: req.params.region });
+
+        if (baseScore !== undefined) {
+            config.baseScore = baseScore;
+        }
+        for (const [name, weight] of Object.entries(weights)) {
+            config.weights.set(name, weight);
+        }
+        config.updatedBy = authority._id;
+
+        await config.save();
+
+        res.json({
+            success: true,
+            message: 'Safety score configuration updated',
+            data: config
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        console.error('Update safety score config error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Reset Safety Score Configuration for a Region
+router.delete('/safety-score/config/:region', auth, authorize('admin'), async (req, res) => {
+    try {
+        const config = await SafetyScoreConfig.findOneAndDelete({ region: req.params.region });
+        if (!config) {
+            return res.status(404).json({
+                success: false,
+                message: 'No configuration for this region'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Safety score configuration reset to defaults'
+        });
+
+    } catch (error) {
+        console.error('Reset safety score config error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // Get Analytics
-router.get('/analytics', auth, async (req, res) => {
+router.get('/analytics', auth, authorize('viewer'), async (req, res) => {
     try {
         const { period = '7d' } = req.query;
 
@@ -305,23 +1015,25 @@ router.get('/analytics', auth, async (req, res) => {
                 startDate.setDate(startDate.getDate() - 7);
         }
 
+        const scope = regionFilter(req.regions);
+
         // Alerts by type
         const alertsByType = await Alert.aggregate([
-            { $match: { createdAt: { $gte: startDate } } },
+            { $match: { createdAt: { $gte: startDate }, ...scope } },
             { $group: { _id: '$type', count: { $sum: 1 } } },
             { $sort: { count: -1 } }
         ]);
 
         // Alerts by status
         const alertsByStatus = await Alert.aggregate([
-            { $match: { createdAt: { $gte: startDate } } },
+            { $match: { createdAt: { $gte: startDate }, ...scope } },
             { $group: { _id: '$status', count: { $sum: 1 } } },
             { $sort: { count: -1 } }
         ]);
 
         // Daily alert trends
         const dailyAlerts = await Alert.aggregate([
-            { $match: { createdAt: { $gte: startDate } } },
+            { $match: { createdAt: { $gte: startDate }, ...scope } },
             {
                 $group: {
                     _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
@@ -333,6 +1045,7 @@ router.get('/analytics', auth, async (req, res) => {
 
         // Safety scores distribution
         const safetyScores = await Tourist.aggregate([
+            { $match: scope },
             {
                 $bucket: {
                     groupBy: '$safetyScore',
@@ -343,13 +1056,21 @@ router.get('/analytics', auth, async (req, res) => {
             }
         ]);
 
+        // Daily safety score trend per region, with average factor contributions
+        const safetyScoreTrend = await SafetyScoreSnapshot.trend(
+            { createdAt: { $gte: startDate }, ...scope },
+            period === '24h' ? 'hour' : 'day',
+            'region'
+        );
+
         res.json({
             success: true,
             data: {
                 alertsByType,
                 alertsByStatus,
                 dailyAlerts,
-                safetyScores
+                safetyScores,
+                safetyScoreTrend
             }
         });
 
@@ -362,4 +1083,104 @@ router.get('/analytics', auth, async (req, res) => {
     }
 });
 
+// Live tourist positions are for responders and above. Sends a 403 and returns false otherwise.
+function checkHeatmapLayers(req, res, layers) {
+    if (layers.includes('tourists') && !hasRole(req.role, 'responder')) {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied. The tourists layer requires responder role.'
+        });
+        return false;
+    }
+    return true;
+}
+
+// Parse heatmap layer, type, severity and time window filters
+function parseHeatmapFilters(query) {
+    const list = value => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+    const layers = query.layers ? list(query.layers) : ['alerts', 'incidents'];
+    const unknown = layers.filter(layer => !HEATMAP_LAYERS.includes(layer));
+    if (unknown.length || !layers.length) {
+        return { error: `Layers must be some of: ${HEATMAP_LAYERS.join(', ')}` };
+    }
+
+    const severities = list(query.severity);
+    if (severities.some(severity => !SEVERITY_WEIGHTS[severity])) {
+        return { error: `Severity must be some of: ${Object.keys(SEVERITY_WEIGHTS).join(', ')}` };
+    }
+
+    const periods = { '24h': 1, '7d': 7, '30d': 30 };
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from
+        ? new Date(query.from)
+        : new Date(to.getTime() - (periods[query.period] || 7) * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+        return { error: 'Invalid time range' };
+    }
+
+    return {
+        layers,
+        from,
+        to,
+        alertTypes: list(query.types),
+        incidentTypes: list(query.incidentTypes),
+        severities
+    };
+}
+
+// Parse from/to query parameters, defaulting to the last hour
+function parseTimeRange({ from, to }) {
+    const endTime = to ? new Date(to) : new Date();
+    const startTime = from ? new Date(from) : new Date(endTime.getTime() - 60 * 60 * 1000);
+
+    if (isNaN(startTime.getTime()) || isNaN(endTime.getTime()) || startTime > endTime) {
+        return null;
+    }
+
+    return { from: startTime, to: endTime };
+}
+
+// Location fixes of a tourist within a time range, oldest first. When there are
+// more than `limit`, the most recent ones are kept.
+async function loadTrail(touristId, { from, to }, limit = MAX_TRAIL_POINTS) {
+    const trail = await LocationHistory.find({
+        touristId,
+        timestamp: { $gte: from, $lte: to }
+    })
+        .select('-_id -touristId -__v')
+        .sort({ timestamp: -1 })
+        .limit(Math.min(parseInt(limit) || MAX_TRAIL_POINTS, MAX_TRAIL_POINTS));
+
+    return trail.reverse();
+}
+
+// Flatten trail documents into { lat, lng, ... } points
+function trailPoints(trail) {
+    return trail.map(fix => ({
+        lat: fix.location.lat,
+        lng: fix.location.lng,
+        timestamp: fix.timestamp,
+        accuracy: fix.accuracy,
+        speed: fix.speed,
+        heading: fix.heading,
+        altitude: fix.altitude
+    }));
+}
+
+// Alerts and incidents raised by the tourist within a time range
+async function loadTrailAnnotations(touristId, { from, to }) {
+    const [alerts, incidents] = await Promise.all([
+        Alert.find({ touristId, createdAt: { $gte: from, $lte: to } })
+            .select('type message severity status location createdAt')
+            .sort({ createdAt: 1 }),
+        Incident.find({ reporterId: touristId, filedAt: { $gte: from, $lte: to } })
+            .select('type title severity status location eFIRNumber filedAt createdAt')
+            .sort({ filedAt: 1 })
+    ]);
+
+    return { alerts, incidents };
+}
+
 module.exports = router;
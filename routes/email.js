@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { escapeXml } = require('../utils/xml');
 
 class EmailService {
     constructor() {
@@ -8,7 +9,7 @@ class EmailService {
 
     initializeTransporter() {
         if (process.env.EMAIL_HOST && process.env.EMAIL_USER && process.env.EMAIL_PASS) {
-            this.transporter = nodemailer.createTransporter({
+            this.transporter = nodemailer.createTransport({
                 host: process.env.EMAIL_HOST,
                 port: process.env.EMAIL_PORT || 587,
                 secure: false, // true for 465, false for other ports
@@ -131,6 +132,98 @@ class EmailService {
             html: html
         });
     }
+
+    async sendEmailVerification(email, name, link, expiresAt) {
+        const html = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background-color: #2563eb; color: white; padding: 20px; text-align: center;">
+                    <h1 style="margin: 0;">Verify Your Email</h1>
+                </div>
+                <div style="padding: 20px; background-color: #f9f9f9;">
+                    <p>Hello ${escapeXml(name)},</p>
+                    <p>Please confirm that this email address belongs to you so we can reach you about your safety.</p>
+                    <p style="margin: 25px 0; text-align: center;">
+                        <a href="${escapeXml(link)}" style="background-color: #2563eb; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Verify Email</a>
+                    </p>
+                    <p>This link expires on ${expiresAt.toLocaleString()} and can only be used once.</p>
+                    <p style="color: #6b7280;">If you did not create a SafeTrip account, you can ignore this email.</p>
+                </div>
+                <div style="padding: 20px; text-align: center; background-color: #f3f4f6; color: #6b7280;">
+                    <p>SafeTrip Tourist Safety System - Government of India</p>
+                </div>
+            </div>
+        `;
+
+        return await this.sendEmail({
+            to: email,
+            subject: 'SafeTrip - Verify your email address',
+            html: html,
+            text: `Hello ${name}, verify your SafeTrip email address by opening ${link} ` +
+                `(expires ${expiresAt.toLocaleString()}).`
+        });
+    }
+
+    async sendPasswordReset(email, name, link, expiresAt) {
+        const html = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background-color: #2563eb; color: white; padding: 20px; text-align: center;">
+                    <h1 style="margin: 0;">Reset Your Password</h1>
+                </div>
+                <div style="padding: 20px; background-color: #f9f9f9;">
+                    <p>Hello ${escapeXml(name)},</p>
+                    <p>We received a request to reset the password of your SafeTrip account.</p>
+                    <p style="margin: 25px 0; text-align: center;">
+                        <a href="${escapeXml(link)}" style="background-color: #2563eb; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a>
+                    </p>
+                    <p>This link expires on ${expiresAt.toLocaleString()} and can only be used once.
+                        Resetting your password signs you out of every device.</p>
+                    <div style="background-color: #fef2f2; border-left: 4px solid #dc2626; padding: 15px; margin: 15px 0;">
+                        <p style="margin: 0;">If you did not ask for this, ignore this email; your password will not change.</p>
+                    </div>
+                </div>
+                <div style="padding: 20px; text-align: center; background-color: #f3f4f6; color: #6b7280;">
+                    <p>SafeTrip Tourist Safety System - Government of India</p>
+                </div>
+            </div>
+        `;
+
+        return await this.sendEmail({
+            to: email,
+            subject: 'SafeTrip - Password reset',
+            html: html,
+            text: `Hello ${name}, reset your SafeTrip password by opening ${link} ` +
+                `(expires ${expiresAt.toLocaleString()}). If you did not ask for this, ignore this email.`
+        });
+    }
+
+    async sendPasswordChanged(email, name) {
+        const html = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background-color: #2563eb; color: white; padding: 20px; text-align: center;">
+                    <h1 style="margin: 0;">Password Changed</h1>
+                </div>
+                <div style="padding: 20px; background-color: #f9f9f9;">
+                    <p>Hello ${escapeXml(name)},</p>
+                    <p>The password of your SafeTrip account was changed on ${new Date().toLocaleString()}
+                        and all devices were signed out.</p>
+                    <div style="background-color: #fef2f2; border-left: 4px solid #dc2626; padding: 15px; margin: 15px 0;">
+                        <p style="margin: 0;">If this was not you, reset your password immediately and contact support.</p>
+                    </div>
+                </div>
+                <div style="padding: 20px; text-align: center; background-color: #f3f4f6; color: #6b7280;">
+                    <p>SafeTrip Tourist Safety System - Government of India</p>
+                </div>
+            </div>
+        `;
+
+        return await this.sendEmail({
+            to: email,
+            subject: 'SafeTrip - Your password was changed',
+            html: html,
+            text: `Hello ${name}, the password of your SafeTrip account was changed and all devices were signed out. ` +
+                'If this was not you, reset your password immediately and contact support.'
+        });
+    }
 }
 
 module.exports = new EmailService();
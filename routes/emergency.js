@@ -1,9 +1,12 @@
 const express = require('express');
 const Alert = require('../models/Alert');
 const Incident = require('../models/Incident');
-const { Tourist, Authority } = require('../models/User');
+const { Tourist } = require('../models/User');
 const auth = require('../middleware/auth');
-const nodemailer = require('nodemailer');
+const authorize = require('../middleware/authorize');
+const { selectResponder } = require('../services/dispatch');
+const { dispatchSOS } = require('../services/emergencyDispatch');
+const { regionFilter } = require('../utils/roles');
 const router = express.Router();
 
 // SOS Emergency Alert
@@ -40,28 +43,14 @@ router.post('/sos', auth, async (req, res) => {
             },
             message: message || `Emergency SOS from ${tourist.userId.name}`,
             severity,
-            status: 'active'
+            status: 'active',
+            timeline: [{ event: 'created', to: 'active', actor: Alert.actorFor(req.user) }]
         });
 
         await sosAlert.save();
-        await sosAlert.populate('touristId');
-        await sosAlert.populate({
-            path: 'touristId',
-            populate: {
-                path: 'userId',
-                select: 'name phone email'
-            }
-        });
 
-        // Update tourist status to emergency
-        tourist.status = 'emergency';
-        await tourist.save();
-
-        // Notify authorities (in real implementation, use SMS/Email/Push notifications)
-        await notifyAuthorities(sosAlert);
-
-        // Send emergency contacts notification
-        await notifyEmergencyContacts(tourist, sosAlert);
+        // Flag the tourist and notify authorities and emergency contacts
+        await dispatchSOS(req.app.get('io'), sosAlert, tourist);
 
         res.status(201).json({
             success: true,
@@ -144,7 +133,7 @@ router.post('/incident', auth, async (req, res) => {
         await alert.save();
 
         // Assign to nearest available authority
-        await assignToAuthority(incident);
+        await assignToAuthority(incident, req.app.get('io'));
 
         res.status(201).json({
             success: true,
@@ -298,16 +287,8 @@ router.get('/safety-tips', (req, res) => {
 });
 
 // Update SOS Status (for authorities)
-router.put('/sos/:id/status', auth, async (req, res) => {
+router.put('/sos/:id/status', auth, authorize('responder'), async (req, res) => {
     try {
-        // Only authorities can update SOS status
-        if (req.user.userType !== 'authority') {
-            return res.status(403).json({
-                success: false,
-                message: 'Access denied. Only authorities can update SOS status.'
-            });
-        }
-
         const { status, responseNotes } = req.body;
         const sosId = req.params.id;
 
@@ -318,9 +299,9 @@ router.put('/sos/:id/status', auth, async (req, res) => {
             });
         }
 
-        const authority = await Authority.findOne({ userId: req.user.userId });
+        const authority = req.authority;
 
-        const sosAlert = await Alert.findOne({ _id: sosId, type: 'sos' });
+        const sosAlert = await Alert.findOne({ _id: sosId, type: 'sos', ...regionFilter(req.regions) });
         if (!sosAlert) {
             return res.status(404).json({
                 success: false,
@@ -328,12 +309,17 @@ router.put('/sos/:id/status', auth, async (req, res) => {
             });
         }
 
-        sosAlert.status = status;
-        sosAlert.authorityId = authority._id;
-        if (responseNotes) {
-            sosAlert.description = responseNotes;
+        if (!sosAlert.canTransitionTo(status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot change SOS status from ${sosAlert.status} to ${status}`
+            });
         }
 
+        // Response notes are kept on the timeline alongside the status change
+        sosAlert.transition(status, Alert.actorFor(req.user, authority), responseNotes);
+        sosAlert.authorityId = authority._id;
+
         await sosAlert.save();
 
         // If resolved, update tourist status back to active
@@ -350,6 +336,13 @@ router.put('/sos/:id/status', auth, async (req, res) => {
         });
 
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
         console.error('Update SOS status error:', error);
         res.status(500).json({
             success: false,
@@ -358,85 +351,21 @@ router.put('/sos/:id/status', auth, async (req, res) => {
     }
 });
 
-// Helper function to notify authorities
-async function notifyAuthorities(sosAlert) {
+// Helper function to assign incident to the best available responder
+async function assignToAuthority(incident, io) {
     try {
-        // In real implementation, send SMS/Push notifications to nearby authorities
-        console.log('Notifying authorities about SOS:', {
-            alertId: sosAlert._id,
-            location: sosAlert.location,
-            tourist: sosAlert.touristId.userId.name
-        });
-
-        // Find authorities in the jurisdiction (simplified)
-        const authorities = await Authority.find({ isOnDuty: true });
-
-        // In production, use proper notification service
-        // await sendSMSNotification(authorities, sosAlert);
-        // await sendPushNotification(authorities, sosAlert);
+        const selection = await selectResponder(incident);
+        if (!selection) return;
 
-    } catch (error) {
-        console.error('Notify authorities error:', error);
-    }
-}
-
-// Helper function to notify emergency contacts
-async function notifyEmergencyContacts(tourist, sosAlert) {
-    try {
-        // In real implementation, send SMS/Email to emergency contacts
-        console.log('Notifying emergency contacts:', {
-            tourist: tourist.userId.name,
-            emergencyContact: tourist.emergencyContact,
-            location: sosAlert.location
-        });
+        incident.assignedOfficer = selection.authority._id;
+        incident.dispatch = selection.dispatch;
+        await incident.save();
 
-        // Create email transporter (if configured)
-        if (process.env.EMAIL_HOST) {
-            const transporter = nodemailer.createTransporter({
-                host: process.env.EMAIL_HOST,
-                port: process.env.EMAIL_PORT,
-                secure: false,
-                auth: {
-                    user: process.env.EMAIL_USER,
-                    pass: process.env.EMAIL_PASS
-                }
+        if (io) {
+            io.to(`authority_${selection.authority.userId}`).emit('incident_assigned', {
+                incident,
+                dispatch: selection.dispatch
             });
-
-            const mailOptions = {
-                from: process.env.EMAIL_USER,
-                to: tourist.userId.email,
-                subject: 'SafeTrip Emergency Alert - SOS Activated',
-                html: `
-                    <h2>Emergency SOS Alert</h2>
-                    <p>An SOS alert has been activated for ${tourist.userId.name}.</p>
-                    <p><strong>Location:</strong> ${sosAlert.location.lat}, ${sosAlert.location.lng}</p>
-                    <p><strong>Time:</strong> ${sosAlert.createdAt}</p>
-                    <p><strong>Status:</strong> Help is on the way</p>
-                    <p>Authorities have been notified and will respond promptly.</p>
-                `
-            };
-
-            await transporter.sendMail(mailOptions);
-        }
-
-    } catch (error) {
-        console.error('Notify emergency contacts error:', error);
-    }
-}
-
-// Helper function to assign incident to authority
-async function assignToAuthority(incident) {
-    try {
-        // Find available authorities (simplified assignment logic)
-        const availableAuthorities = await Authority.find({ 
-            isOnDuty: true,
-            department: { $in: ['Police Department', 'Tourism Department'] }
-        });
-
-        if (availableAuthorities.length > 0) {
-            // Assign to first available authority (in production, use better logic)
-            incident.assignedOfficer = availableAuthorities[0]._id;
-            await incident.save();
         }
 
     } catch (error) {
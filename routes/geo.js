@@ -1,46 +1,71 @@
 const express = require('express');
 const GeoFence = require('../models/GeoFence');
+const GeoFenceRevision = require('../models/GeoFenceRevision');
+const FenceProposal = require('../models/FenceProposal');
 const Alert = require('../models/Alert');
-const { Tourist, Authority } = require('../models/User');
+const { Tourist } = require('../models/User');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const fenceIndex = require('../services/fenceIndex');
+const { runHotspotDetection } = require('../services/hotspotDetector');
+const { evaluateFence, parseFenceShape, validatePolygonGeometry, polygonCenter } = require('../utils/geoFence');
+const { isFenceInEffect, parseEvaluationTime } = require('../utils/fenceSchedule');
+const { resolveFenceOutcome } = require('../utils/fencePolicy');
+const { regionFilter, inRegions } = require('../utils/roles');
+const { parseGeoJSON, parseKML, fenceFieldsFromFeature, toGeoJSON, toKML } = require('../utils/fenceFormats');
 const router = express.Router();
 
+const KML_TYPES = ['application/vnd.google-earth.kml+xml', 'application/xml', 'text/xml'];
+
+// Largest search radius (meters) accepted by /nearby
+const MAX_NEARBY_RADIUS = 50000;
+
+// Bulk imports sent as GeoJSON or KML can be larger than the app-wide JSON limit
+const importParsers = [
+    express.json({ type: 'application/geo+json', limit: '5mb' }),
+    express.text({ type: KML_TYPES, limit: '5mb' })
+];
+
 // Create Geo-fence
-router.post('/fences', auth, async (req, res) => {
+router.post('/fences', auth, authorize('supervisor'), async (req, res) => {
     try {
-        const { name, description, type, center, radius, region } = req.body;
+        const { name, description, type, center, radius, geometry, region, dwellTime, schedule, activations, reason } = req.body;
 
-        // Only authorities can create geo-fences
-        if (req.user.userType !== 'authority') {
-            return res.status(403).json({
-                success: false,
-                message: 'Access denied. Only authorities can create geo-fences.'
-            });
-        }
+        const shape = parseFenceShape({ geometry, center, radius });
 
-        if (!name || !type || !center || !radius || !region) {
+        if (!name || !type || !shape || !region) {
             return res.status(400).json({
                 success: false,
-                message: 'Name, type, center coordinates, radius, and region are required'
+                message: 'Name, type, region and either a polygon geometry or center coordinates with radius are required'
             });
         }
 
-        const authority = await Authority.findOne({ userId: req.user.userId });
+        if (!checkJurisdiction(req, res, region)) return;
+        const authority = req.authority;
 
         const geoFence = new GeoFence({
             name,
             description,
             type,
-            center: {
-                lat: parseFloat(center.lat),
-                lng: parseFloat(center.lng)
-            },
-            radius: parseInt(radius),
+            ...shape,
             region,
+            dwellTime: dwellTime ? parseInt(dwellTime) : undefined,
+            schedule,
+            activations,
             createdBy: authority._id
         });
 
-        await geoFence.save();
+        try {
+            await geoFence.saveWithRevision({ action: 'create', author: authority._id, reason });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: Object.values(error.errors).map(e => e.message).join(', ')
+                });
+            }
+            throw error;
+        }
         await geoFence.populate('createdBy', 'officerID department name');
 
         res.status(201).json({
@@ -59,14 +84,16 @@ router.post('/fences', auth, async (req, res) => {
 });
 
 // Get All Geo-fences
-router.get('/fences', auth, async (req, res) => {
+router.get('/fences', auth, authorize('viewer'), async (req, res) => {
     try {
-        const { type, region, active = true } = req.query;
+        const { type, region, active = true, archived = 'false' } = req.query;
+
+        if (region && !checkJurisdiction(req, res, region)) return;
 
-        let query = {};
+        let query = { ...regionFilter(req.regions), isArchived: archived === 'true' };
         if (type) query.type = type;
         if (region) query.region = region;
-        if (active !== undefined) query.isActive = active === 'true';
+        if (active !== undefined && archived !== 'true') query.isActive = active === 'true';
 
         const geoFences = await GeoFence.find(query)
             .populate('createdBy', 'officerID department')
@@ -87,9 +114,9 @@ router.get('/fences', auth, async (req, res) => {
 });
 
 // Get Geo-fence by ID
-router.get('/fences/:id', auth, async (req, res) => {
+router.get('/fences/:id', auth, authorize('viewer'), async (req, res) => {
     try {
-        const geoFence = await GeoFence.findById(req.params.id)
+        const geoFence = await GeoFence.findOne({ _id: req.params.id, ...regionFilter(req.regions) })
             .populate('createdBy', 'officerID department name');
 
         if (!geoFence) {
@@ -114,36 +141,145 @@ router.get('/fences/:id', auth, async (req, res) => {
 });
 
 // Update Geo-fence
-router.put('/fences/:id', auth, async (req, res) => {
+router.put('/fences/:id', auth, authorize('supervisor'), async (req, res) => {
     try {
-        // Only authorities can update geo-fences
-        if (req.user.userType !== 'authority') {
-            return res.status(403).json({
+        const { name, description, type, center, radius, geometry, isActive, dwellTime, schedule, activations, reason } = req.body;
+
+        const geoFence = await GeoFence.findById(req.params.id);
+
+        if (!geoFence) {
+            return res.status(404).json({
+                success: false,
+                message: 'Geo-fence not found'
+            });
+        }
+
+        if (geoFence.isArchived) {
+            return res.status(409).json({
                 success: false,
-                message: 'Access denied. Only authorities can update geo-fences.'
+                message: 'Geo-fence is archived. Restore it before making changes.'
             });
         }
 
-        const { name, description, type, center, radius, isActive } = req.body;
+        if (!checkJurisdiction(req, res, geoFence.region)) return;
+        const authority = req.authority;
+        const previous = GeoFenceRevision.snapshot(geoFence);
 
-        const updateData = {};
-        if (name) updateData.name = name;
-        if (description) updateData.description = description;
-        if (type) updateData.type = type;
-        if (center) updateData.center = {
-            lat: parseFloat(center.lat),
-            lng: parseFloat(center.lng)
-        };
-        if (radius) updateData.radius = parseInt(radius);
-        if (isActive !== undefined) updateData.isActive = isActive;
+        if (name) geoFence.name = name;
+        if (description) geoFence.description = description;
+        if (type) geoFence.type = type;
+        if (isActive !== undefined) geoFence.isActive = isActive;
+        if (dwellTime !== undefined) geoFence.dwellTime = dwellTime ? parseInt(dwellTime) : undefined;
+        if (schedule !== undefined) geoFence.schedule = schedule || {};
+        if (activations !== undefined) geoFence.activations = activations || [];
+
+        if (geometry) {
+            // Switching to (or reshaping) a polygon fence
+            geoFence.set(parseFenceShape({ geometry }));
+        } else if (center || radius) {
+            // Switching to (or resizing) a circular fence
+            if (center) geoFence.center = {
+                lat: parseFloat(center.lat),
+                lng: parseFloat(center.lng)
+            };
+            if (radius) geoFence.radius = parseInt(radius);
+            geoFence.geometry = undefined;
+        }
+
+        try {
+            await geoFence.validate();
+
+            // Only log a revision when a tracked field actually changed
+            if (GeoFenceRevision.diff(previous, GeoFenceRevision.snapshot(geoFence)).length) {
+                await geoFence.saveWithRevision({ action: 'update', author: authority._id, reason, previous });
+            }
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: Object.values(error.errors).map(e => e.message).join(', ')
+                });
+            }
+            throw error;
+        }
+
+        await geoFence.populate('createdBy', 'officerID department name');
+
+        res.json({
+            success: true,
+            message: 'Geo-fence updated successfully',
+            data: geoFence
+        });
+
+    } catch (error) {
+        if (error.name === 'RevisionConflictError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Update geo-fence error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Archive Geo-fence
+router.delete('/fences/:id', auth, authorize('supervisor'), async (req, res) => {
+    try {
+        const geoFence = await GeoFence.findById(req.params.id);
+
+        if (!geoFence || geoFence.isArchived) {
+            return res.status(404).json({
+                success: false,
+                message: 'Geo-fence not found'
+            });
+        }
 
-        updateData.updatedAt = new Date();
+        if (!checkJurisdiction(req, res, geoFence.region)) return;
+        const authority = req.authority;
+        const previous = GeoFenceRevision.snapshot(geoFence);
 
-        const geoFence = await GeoFence.findByIdAndUpdate(
-            req.params.id,
-            updateData,
-            { new: true }
-        ).populate('createdBy', 'officerID department name');
+        geoFence.isArchived = true;
+        geoFence.isActive = false;
+        geoFence.archivedAt = new Date();
+        geoFence.archivedBy = authority._id;
+
+        await geoFence.saveWithRevision({
+            action: 'archive',
+            author: authority._id,
+            reason: req.body.reason || req.query.reason,
+            previous
+        });
+
+        res.json({
+            success: true,
+            message: 'Geo-fence archived successfully'
+        });
+
+    } catch (error) {
+        if (error.name === 'RevisionConflictError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Delete geo-fence error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Restore Archived Geo-fence
+router.post('/fences/:id/restore', auth, authorize('supervisor'), async (req, res) => {
+    try {
+        const geoFence = await GeoFence.findById(req.params.id);
 
         if (!geoFence) {
             return res.status(404).json({
@@ -152,14 +288,49 @@ router.put('/fences/:id', auth, async (req, res) => {
             });
         }
 
+        if (!geoFence.isArchived) {
+            return res.status(409).json({
+                success: false,
+                message: 'Geo-fence is not archived'
+            });
+        }
+
+        // Bring back the active flag the fence had before it was archived
+        const archiveRevision = await GeoFenceRevision.findOne({ fenceId: geoFence._id, action: 'archive' })
+            .sort({ revision: -1 });
+        const activeChange = archiveRevision && archiveRevision.changes.find(change => change.field === 'isActive');
+
+        if (!checkJurisdiction(req, res, geoFence.region)) return;
+        const authority = req.authority;
+        const previous = GeoFenceRevision.snapshot(geoFence);
+
+        geoFence.isArchived = false;
+        geoFence.isActive = activeChange ? activeChange.from : true;
+        geoFence.archivedAt = undefined;
+        geoFence.archivedBy = undefined;
+
+        await geoFence.saveWithRevision({
+            action: 'restore',
+            author: authority._id,
+            reason: req.body.reason,
+            previous
+        });
+
         res.json({
             success: true,
-            message: 'Geo-fence updated successfully',
+            message: 'Geo-fence restored successfully',
             data: geoFence
         });
 
     } catch (error) {
-        console.error('Update geo-fence error:', error);
+        if (error.name === 'RevisionConflictError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Restore geo-fence error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -167,18 +338,52 @@ router.put('/fences/:id', auth, async (req, res) => {
     }
 });
 
-// Delete Geo-fence
-router.delete('/fences/:id', auth, async (req, res) => {
+// Get Geo-fence Revision History
+router.get('/fences/:id/history', auth, authorize('viewer'), async (req, res) => {
     try {
-        // Only authorities can delete geo-fences
-        if (req.user.userType !== 'authority') {
-            return res.status(403).json({
+        const geoFence = await GeoFence.findOne({ _id: req.params.id, ...regionFilter(req.regions) });
+
+        if (!geoFence) {
+            return res.status(404).json({
                 success: false,
-                message: 'Access denied. Only authorities can delete geo-fences.'
+                message: 'Geo-fence not found'
             });
         }
 
-        const geoFence = await GeoFence.findByIdAndDelete(req.params.id);
+        const revisions = await GeoFenceRevision.find({ fenceId: geoFence._id })
+            .populate('author', 'officerID department rank')
+            .sort({ revision: -1 });
+
+        res.json({
+            success: true,
+            data: {
+                currentRevision: geoFence.revision,
+                revisions
+            }
+        });
+
+    } catch (error) {
+        console.error('Get geo-fence history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Roll Geo-fence Back to a Previous Revision
+router.post('/fences/:id/rollback', auth, authorize('supervisor'), async (req, res) => {
+    try {
+        const { revision, reason } = req.body;
+
+        if (!revision) {
+            return res.status(400).json({
+                success: false,
+                message: 'Revision number is required'
+            });
+        }
+
+        const geoFence = await GeoFence.findById(req.params.id);
 
         if (!geoFence) {
             return res.status(404).json({
@@ -187,13 +392,470 @@ router.delete('/fences/:id', auth, async (req, res) => {
             });
         }
 
+        if (geoFence.isArchived) {
+            return res.status(409).json({
+                success: false,
+                message: 'Geo-fence is archived. Restore it before rolling back.'
+            });
+        }
+
+        const target = await GeoFenceRevision.findOne({ fenceId: geoFence._id, revision: parseInt(revision) });
+
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: 'Revision not found'
+            });
+        }
+
+        if (!checkJurisdiction(req, res, geoFence.region)) return;
+        const authority = req.authority;
+        const previous = GeoFenceRevision.snapshot(geoFence);
+
+        // Fields missing from the snapshot were unset at that revision
+        for (const field of GeoFenceRevision.TRACKED_FIELDS) {
+            geoFence.set(field, target.snapshot[field]);
+        }
+
+        await geoFence.saveWithRevision({
+            action: 'rollback',
+            author: authority._id,
+            reason,
+            previous,
+            rolledBackTo: target.revision
+        });
+
         res.json({
             success: true,
-            message: 'Geo-fence deleted successfully'
+            message: `Geo-fence rolled back to revision ${target.revision}`,
+            data: geoFence
         });
 
     } catch (error) {
-        console.error('Delete geo-fence error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+
+        if (error.name === 'RevisionConflictError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Rollback geo-fence error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get Geo-fence Proposals
+router.get('/proposals', auth, authorize('viewer'), async (req, res) => {
+    try {
+        const { status = 'pending', region } = req.query;
+
+        if (region && !checkJurisdiction(req, res, region)) return;
+
+        const query = regionFilter(req.regions);
+        if (status !== 'all') query.status = status;
+        if (region) query.region = region;
+
+        const proposals = await FenceProposal.find(query)
+            .populate('reviewedBy', 'officerID department')
+            .sort({ detectedAt: -1 })
+            .limit(100);
+
+        res.json({
+            success: true,
+            data: proposals
+        });
+
+    } catch (error) {
+        console.error('Get geo-fence proposals error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Run Hotspot Detection Now
+router.post('/proposals/detect', auth, authorize('supervisor'), async (req, res) => {
+    try {
+        const result = await runHotspotDetection(req.app.get('io'));
+        if (!result) {
+            return res.status(409).json({
+                success: false,
+                message: 'Hotspot detection is already running'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `${result.created.length} new hotspot(s) proposed`,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Hotspot detection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get Geo-fence Proposal by ID
+router.get('/proposals/:id', auth, authorize('responder'), async (req, res) => {
+    try {
+        // The cluster includes tourists' SOS alerts, so only responders of the region may see it
+        const proposal = await FenceProposal.findOne({ _id: req.params.id, ...regionFilter(req.regions) })
+            .populate('cluster.incidents', 'type title severity status location createdAt')
+            .populate('cluster.alerts', 'type message severity status location createdAt')
+            .populate('reviewedBy', 'officerID department');
+
+        if (!proposal) {
+            return res.status(404).json({
+                success: false,
+                message: 'Proposal not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: proposal
+        });
+
+    } catch (error) {
+        console.error('Get geo-fence proposal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Edit Geo-fence Proposal
+router.put('/proposals/:id', auth, authorize('supervisor'), async (req, res) => {
+    try {
+        const proposal = await findPendingProposal(req, res);
+        if (!proposal) return;
+
+        const { name, description, suggestedType, region, center, radius, geometry } = req.body;
+
+        if (!checkJurisdiction(req, res, proposal.region) ||
+            (region !== undefined && !checkJurisdiction(req, res, region))) {
+            return;
+        }
+
+        if (name !== undefined) proposal.name = name;
+        if (description !== undefined) proposal.description = description;
+        if (suggestedType !== undefined) proposal.suggestedType = suggestedType;
+        if (region !== undefined) proposal.region = region;
+
+        if (geometry) {
+            const shape = parseFenceShape({ geometry });
+            const error = validatePolygonGeometry(shape.geometry);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            proposal.geometry = shape.geometry;
+            proposal.center = polygonCenter(shape.geometry);
+        } else if (center || radius) {
+            const shape = parseFenceShape({
+                center: center || proposal.center,
+                radius: radius || proposal.radius
+            });
+            proposal.center = shape.center;
+            proposal.radius = shape.radius;
+            proposal.geometry = undefined;
+        }
+
+        try {
+            await proposal.save();
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: Object.values(error.errors).map(e => e.message).join(', ')
+                });
+            }
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Proposal updated successfully',
+            data: proposal
+        });
+
+    } catch (error) {
+        console.error('Update geo-fence proposal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Approve Geo-fence Proposal into an Active Zone
+router.post('/proposals/:id/approve', auth, authorize('supervisor'), async (req, res) => {
+    try {
+        const proposal = await findPendingProposal(req, res);
+        if (!proposal) return;
+
+        const { type = proposal.suggestedType, name, description, region, dwellTime, schedule, reason } = req.body;
+
+        if (!['caution', 'danger'].includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Proposals can only be approved as caution or danger zones'
+            });
+        }
+
+        if (!region && !proposal.region) {
+            return res.status(400).json({
+                success: false,
+                message: 'Region is required'
+            });
+        }
+
+        if (!checkJurisdiction(req, res, region || proposal.region)) return;
+        const authority = req.authority;
+
+        const geoFence = new GeoFence({
+            name: name || proposal.name,
+            description: description || proposal.description,
+            type,
+            ...(proposal.geometry?.type
+                ? { geometry: proposal.geometry }
+                : { center: proposal.center, radius: proposal.radius }),
+            region: region || proposal.region,
+            dwellTime: dwellTime ? parseInt(dwellTime) : undefined,
+            schedule,
+            createdBy: authority._id
+        });
+
+        try {
+            await geoFence.saveWithRevision({
+                action: 'create',
+                author: authority._id,
+                reason: reason || `Approved hotspot proposal ${proposal._id}`
+            });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: Object.values(error.errors).map(e => e.message).join(', ')
+                });
+            }
+            throw error;
+        }
+
+        proposal.status = 'approved';
+        proposal.fenceId = geoFence._id;
+        proposal.reviewedBy = authority._id;
+        proposal.reviewedAt = new Date();
+        proposal.reviewNote = reason;
+        await proposal.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Proposal approved and geo-fence created',
+            data: {
+                proposal,
+                geoFence
+            }
+        });
+
+    } catch (error) {
+        console.error('Approve geo-fence proposal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Reject Geo-fence Proposal
+router.post('/proposals/:id/reject', auth, authorize('supervisor'), async (req, res) => {
+    try {
+        const proposal = await findPendingProposal(req, res);
+        if (!proposal) return;
+
+        if (!checkJurisdiction(req, res, proposal.region)) return;
+        const authority = req.authority;
+
+        proposal.status = 'rejected';
+        proposal.reviewedBy = authority._id;
+        proposal.reviewedAt = new Date();
+        proposal.reviewNote = req.body.reason;
+        await proposal.save();
+
+        res.json({
+            success: true,
+            message: 'Proposal rejected',
+            data: proposal
+        });
+
+    } catch (error) {
+        console.error('Reject geo-fence proposal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Import Geo-fences from GeoJSON or KML
+router.post('/import', auth, authorize('supervisor'), importParsers, async (req, res) => {
+    try {
+        const { type, region, dryRun = 'false', skipInvalid = 'false' } = req.query;
+        const format = req.query.format || (req.is(KML_TYPES) ? 'kml' : 'geojson');
+
+        let features;
+        try {
+            features = format === 'kml' ? parseKML(req.body) : parseGeoJSON(req.body);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid ${format === 'kml' ? 'KML' : 'GeoJSON'}: ${error.message}`
+            });
+        }
+
+        if (!features.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'No features found to import'
+            });
+        }
+
+        const authority = req.authority;
+
+        const validFences = [];
+        const errors = [];
+
+        for (const [index, feature] of features.entries()) {
+            let geoFence;
+            try {
+                const fields = fenceFieldsFromFeature(feature.geometry, feature.properties, { type, region });
+                if (!inRegions(req.regions, fields.region)) {
+                    throw new Error(`Region ${fields.region} is outside your jurisdiction`);
+                }
+                geoFence = new GeoFence({ ...fields, createdBy: authority._id });
+                await geoFence.validate();
+                validFences.push({ index, geoFence });
+            } catch (error) {
+                errors.push({
+                    index,
+                    name: feature.properties.name,
+                    errors: error.name === 'ValidationError'
+                        ? Object.values(error.errors).map(e => e.message)
+                        : [error.message]
+                });
+            }
+        }
+
+        const summary = {
+            format,
+            dryRun: dryRun === 'true',
+            total: features.length,
+            valid: validFences.length,
+            invalid: errors.length,
+            errors,
+            features: validFences.map(({ index, geoFence }) => ({
+                index,
+                name: geoFence.name,
+                type: geoFence.type,
+                region: geoFence.region,
+                shape: geoFence.geometry.type === 'Point' ? 'circle' : 'polygon'
+            }))
+        };
+
+        if (summary.dryRun) {
+            return res.json({
+                success: true,
+                message: 'Dry run completed, no geo-fences were saved',
+                data: summary
+            });
+        }
+
+        if (errors.length && skipInvalid !== 'true') {
+            return res.status(422).json({
+                success: false,
+                message: 'Some features are invalid. Fix them or import with skipInvalid=true.',
+                data: summary
+            });
+        }
+
+        const created = await GeoFence.insertMany(validFences.map(({ geoFence }) => {
+            geoFence.revision = 1;
+            return geoFence;
+        }));
+
+        for (const fence of created) {
+            await GeoFenceRevision.record(fence, { action: 'import', author: authority._id });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `${created.length} geo-fences imported successfully`,
+            data: {
+                ...summary,
+                created: created.map(fence => fence._id)
+            }
+        });
+
+    } catch (error) {
+        console.error('Import geo-fences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Export Geo-fences as GeoJSON or KML
+router.get('/export', auth, authorize('viewer'), async (req, res) => {
+    try {
+        const { format = 'geojson', type, region, active } = req.query;
+
+        if (!['geojson', 'kml'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Format must be geojson or kml'
+            });
+        }
+
+        if (region && !checkJurisdiction(req, res, region)) return;
+
+        let query = { ...regionFilter(req.regions), isArchived: false };
+        if (type) query.type = type;
+        if (region) query.region = region;
+        if (active !== undefined) query.isActive = active === 'true';
+
+        const geoFences = await GeoFence.find(query).sort({ createdAt: -1 });
+
+        if (format === 'kml') {
+            res.set('Content-Type', 'application/vnd.google-earth.kml+xml');
+            res.set('Content-Disposition', 'attachment; filename="geofences.kml"');
+            return res.send(toKML(geoFences));
+        }
+
+        res.set('Content-Type', 'application/geo+json');
+        res.set('Content-Disposition', 'attachment; filename="geofences.geojson"');
+        res.send(JSON.stringify(toGeoJSON(geoFences)));
+
+    } catch (error) {
+        console.error('Export geo-fences error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -204,7 +866,7 @@ router.delete('/fences/:id', auth, async (req, res) => {
 // Check Point in Geo-fences
 router.post('/check-location', auth, async (req, res) => {
     try {
-        const { lat, lng } = req.body;
+        const { lat, lng, at } = req.body;
 
         if (!lat || !lng) {
             return res.status(400).json({
@@ -213,27 +875,46 @@ router.post('/check-location', auth, async (req, res) => {
             });
         }
 
+        const evaluatedAt = parseEvaluationTime(at);
+        if (!evaluatedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid evaluation time'
+            });
+        }
+
         const latitude = parseFloat(lat);
         const longitude = parseFloat(lng);
 
-        // Find all active geo-fences
-        const geoFences = await GeoFence.find({ isActive: true });
+        // Indexed active geo-fences around the point that are in effect at the evaluation time
+        const geoFences = (await fenceIndex.candidates(latitude, longitude))
+            .filter(fence => isFenceInEffect(fence, evaluatedAt));
+
+        // Tourists get permit-aware outcomes for restricted zones
+        const tourist = req.user.userType === 'tourist'
+            ? await Tourist.findOne({ userId: req.user.userId }).select('permits')
+            : null;
 
         const results = [];
 
         for (const fence of geoFences) {
-            const distance = calculateDistance(
-                latitude,
-                longitude,
-                fence.center.lat,
-                fence.center.lng
-            );
-
-            if (distance <= fence.radius) {
+            const evaluation = evaluateFence(fence, latitude, longitude);
+
+            if (evaluation.isInside) {
+                const outcome = resolveFenceOutcome(fence, tourist, evaluatedAt);
+
                 results.push({
                     geoFence: fence,
-                    distance,
-                    isInside: true
+                    distance: evaluation.distance,
+                    distanceToEdge: evaluation.distanceToEdge,
+                    isInside: true,
+                    policy: {
+                        severity: outcome.severity,
+                        alertAuthorities: outcome.alertAuthorities,
+                        requiresPermit: outcome.requiresPermit,
+                        hasPermit: outcome.hasPermit,
+                        warning: outcome.warning
+                    }
                 });
             }
         }
@@ -242,8 +923,12 @@ router.post('/check-location', auth, async (req, res) => {
             success: true,
             data: {
                 location: { lat: latitude, lng: longitude },
+                evaluatedAt,
                 geoFences: results,
-                isInDangerZone: results.some(r => r.geoFence.type === 'danger')
+                isInDangerZone: results.some(r => r.geoFence.type === 'danger'),
+                isInRestrictedZone: results.some(r => r.geoFence.type === 'restricted'),
+                permitRequired: results.some(r => r.policy.requiresPermit && !r.policy.hasPermit),
+                warnings: results.map(r => r.policy.warning)
             }
         });
 
@@ -259,7 +944,7 @@ router.post('/check-location', auth, async (req, res) => {
 // Get Nearby Geo-fences
 router.get('/nearby', auth, async (req, res) => {
     try {
-        const { lat, lng, radius = 5000 } = req.query;
+        const { lat, lng, radius = 5000, at } = req.query;
 
         if (!lat || !lng) {
             return res.status(400).json({
@@ -268,28 +953,50 @@ router.get('/nearby', auth, async (req, res) => {
             });
         }
 
+        const evaluatedAt = parseEvaluationTime(at);
+        if (!evaluatedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid evaluation time'
+            });
+        }
+
         const latitude = parseFloat(lat);
         const longitude = parseFloat(lng);
         const searchRadius = parseInt(radius);
 
-        // Find all active geo-fences within radius
-        const geoFences = await GeoFence.find({ isActive: true })
-            .populate('createdBy', 'department');
+        if (isNaN(latitude) || isNaN(longitude)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Latitude and longitude must be numbers'
+            });
+        }
+
+        if (isNaN(searchRadius) || searchRadius < 0 || searchRadius > MAX_NEARBY_RADIUS) {
+            return res.status(400).json({
+                success: false,
+                message: `Radius must be between 0 and ${MAX_NEARBY_RADIUS} meters`
+            });
+        }
+
+        // Indexed active geo-fences in effect within radius. The index shares its
+        // fence objects, so populate copies rather than the cached fences.
+        const geoFences = (await fenceIndex.candidates(latitude, longitude, searchRadius))
+            .filter(fence => isFenceInEffect(fence, evaluatedAt))
+            .map(fence => ({ ...fence }));
+        await GeoFence.populate(geoFences, { path: 'createdBy', select: 'department' });
 
         const nearbyFences = [];
 
         for (const fence of geoFences) {
-            const distance = calculateDistance(
-                latitude,
-                longitude,
-                fence.center.lat,
-                fence.center.lng
-            );
-
-            if (distance <= searchRadius) {
+            const evaluation = evaluateFence(fence, latitude, longitude);
+
+            if (evaluation.distance <= searchRadius) {
                 nearbyFences.push({
-                    ...fence.toObject(),
-                    distance
+                    ...fence,
+                    distance: evaluation.distance,
+                    distanceToEdge: evaluation.distanceToEdge,
+                    isInside: evaluation.isInside
                 });
             }
         }
@@ -311,20 +1018,41 @@ router.get('/nearby', auth, async (req, res) => {
     }
 });
 
-// Calculate distance between two coordinates in meters
-function calculateDistance(lat1, lng1, lat2, lng2) {
-    const R = 6371e3; // Earth's radius in meters
-    const φ1 = lat1 * Math.PI / 180;
-    const φ2 = lat2 * Math.PI / 180;
-    const Δφ = (lat2 - lat1) * Math.PI / 180;
-    const Δλ = (lng2 - lng1) * Math.PI / 180;
+// Respond with 403 when a region is outside the requester's jurisdiction. Use after
+// `authorize`; returns false once the response has been sent.
+function checkJurisdiction(req, res, region) {
+    if (!inRegions(req.regions, region)) {
+        res.status(403).json({
+            success: false,
+            message: `Access denied. ${region} is outside your jurisdiction.`
+        });
+        return false;
+    }
+
+    return true;
+}
+
+// Load a proposal that is still awaiting review, responding with 404/409 otherwise
+async function findPendingProposal(req, res) {
+    const proposal = await FenceProposal.findById(req.params.id);
+
+    if (!proposal) {
+        res.status(404).json({
+            success: false,
+            message: 'Proposal not found'
+        });
+        return null;
+    }
 
-    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-              Math.cos(φ1) * Math.cos(φ2) *
-              Math.sin(Δλ/2) * Math.sin(Δλ/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    if (proposal.status !== 'pending') {
+        res.status(409).json({
+            success: false,
+            message: `Proposal has already been ${proposal.status}`
+        });
+        return null;
+    }
 
-    return R * c;
+    return proposal;
 }
 
 module.exports = router;
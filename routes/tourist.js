@@ -1,14 +1,28 @@
 const express = require('express');
 const { Tourist } = require('../models/User');
 const Alert = require('../models/Alert');
+const CheckIn = require('../models/CheckIn');
+const Itinerary = require('../models/Itinerary');
 const GeoFence = require('../models/GeoFence');
+const LocationHistory = require('../models/LocationHistory');
+const SafetyScoreSnapshot = require('../models/SafetyScoreSnapshot');
 const auth = require('../middleware/auth');
+const { toAuthorities } = require('../services/authorityRooms');
+const { clearInactivity } = require('../services/inactivityMonitor');
+const { checkItinerary } = require('../services/itineraryMonitor');
+const { calculateSafetyScore } = require('../services/safetyScore');
+const { isFenceInEffect, isValidTimezone } = require('../utils/fenceSchedule');
 const router = express.Router();
 
+// Snooze limits for safety check-ins
+const DEFAULT_SNOOZE_MINUTES = 30;
+const MAX_SNOOZE_MINUTES = 240;
+const MAX_SNOOZES = 3;
+
 // Update Tourist Location
 router.post('/location', auth, async (req, res) => {
     try {
-        const { lat, lng } = req.body;
+        const { lat, lng, accuracy, speed, heading, altitude, timezone } = req.body;
 
         if (!lat || !lng) {
             return res.status(400).json({
@@ -25,24 +39,58 @@ router.post('/location', auth, async (req, res) => {
             });
         }
 
+        // Keep the trail for responders; a failure here must not hold up the location update
+        LocationHistory.record(tourist._id, { lat, lng, accuracy, speed, heading, altitude }, 'api')
+            .catch(error => console.error('Record location history error:', error));
+
         // Update location
         tourist.currentLocation = {
             lat: parseFloat(lat),
             lng: parseFloat(lng),
             timestamp: new Date()
         };
+        const wasOffline = clearInactivity(tourist);
+
+        // Devices report their timezone so night time is judged locally
+        if (timezone && isValidTimezone(timezone)) {
+            tourist.timezone = timezone;
+        }
 
         // Calculate safety score based on location
-        tourist.safetyScore = await calculateSafetyScore(lat, lng);
+        const assessment = await scoreTourist(tourist);
+        tourist.safetyScore = assessment.score;
 
         await tourist.save();
 
+        // Let responders know the tourist has surfaced
+        const io = req.app.get('io');
+        if (wasOffline && io) {
+            toAuthorities(io, tourist.region).emit('tourist_online', {
+                touristId: tourist._id,
+                location: tourist.currentLocation
+            });
+        }
+
+        // Keep the score history for trends; the location is already saved, so only log failures
+        if (assessment.factors.length) {
+            SafetyScoreSnapshot.record(tourist._id, assessment, tourist.currentLocation)
+                .catch(error => console.error('Record safety score snapshot error:', error));
+        }
+
+        // Compare with the registered itinerary, if any; a failure here must not fail the update
+        const deviation = await checkItinerary(io, tourist._id, tourist.currentLocation)
+            .catch(error => {
+                console.error('Check itinerary error:', error);
+                return null;
+            });
+
         res.json({
             success: true,
             message: 'Location updated successfully',
             data: {
                 location: tourist.currentLocation,
-                safetyScore: tourist.safetyScore
+                safetyScore: tourist.safetyScore,
+                deviation
             }
         });
 
@@ -66,12 +114,20 @@ router.get('/safety-score', auth, async (req, res) => {
             });
         }
 
+        // Explain the score for the last known position
+        const assessment = tourist.currentLocation?.lat !== undefined
+            ? await scoreTourist(tourist)
+            : null;
+
         res.json({
             success: true,
             data: {
-                safetyScore: tourist.safetyScore,
+                safetyScore: assessment ? assessment.score : tourist.safetyScore,
                 status: tourist.status,
-                lastUpdated: tourist.currentLocation?.timestamp
+                lastUpdated: tourist.currentLocation?.timestamp,
+                region: assessment?.region,
+                baseScore: assessment?.baseScore,
+                factors: assessment ? assessment.factors : []
             }
         });
 
@@ -84,6 +140,65 @@ router.get('/safety-score', auth, async (req, res) => {
     }
 });
 
+// Get Safety Score Trend
+router.get('/safety-score/trend', auth, async (req, res) => {
+    try {
+        const { unit = 'day' } = req.query;
+
+        if (!SafetyScoreSnapshot.TREND_UNITS.includes(unit)) {
+            return res.status(400).json({
+                success: false,
+                message: `Unit must be one of: ${SafetyScoreSnapshot.TREND_UNITS.join(', ')}`
+            });
+        }
+
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+        if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid time range'
+            });
+        }
+
+        const tourist = await Tourist.findOne({ userId: req.user.userId });
+        if (!tourist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tourist profile not found'
+            });
+        }
+
+        const match = { touristId: tourist._id, createdAt: { $gte: from, $lte: to } };
+        const [points, first, latest] = await Promise.all([
+            SafetyScoreSnapshot.trend(match, unit),
+            SafetyScoreSnapshot.findOne(match).sort({ createdAt: 1 }),
+            SafetyScoreSnapshot.findOne(match).sort({ createdAt: -1 })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                from,
+                to,
+                unit,
+                current: tourist.safetyScore,
+                change: first && latest ? latest.score - first.score : 0,
+                latest,
+                points
+            }
+        });
+
+    } catch (error) {
+        console.error('Get safety score trend error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // Toggle Location Sharing
 router.post('/location-sharing', auth, async (req, res) => {
     try {
@@ -129,7 +244,7 @@ router.get('/nearby-geofences', auth, async (req, res) => {
 
         const geoFences = await GeoFence.find({
             isActive: true,
-            center: {
+            geometry: {
                 $near: {
                     $geometry: {
                         type: "Point",
@@ -140,9 +255,11 @@ router.get('/nearby-geofences', auth, async (req, res) => {
             }
         });
 
+        const now = new Date();
+
         res.json({
             success: true,
-            data: geoFences
+            data: geoFences.filter(fence => isFenceInEffect(fence, now))
         });
 
     } catch (error) {
@@ -183,72 +300,423 @@ router.get('/alerts', auth, async (req, res) => {
     }
 });
 
-// Calculate safety score based on location and other factors
-async function calculateSafetyScore(lat, lng) {
+// Schedule Safety Check-in
+router.post('/checkins', auth, async (req, res) => {
     try {
-        let score = 85; // Base score
+        const { dueAt, label, note, plannedLocation, contactAfter, alertAfter } = req.body;
+
+        const due = new Date(dueAt);
+        if (!dueAt || isNaN(due.getTime()) || due <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A check-in time in the future is required'
+            });
+        }
 
-        // Check nearby danger zones
-        const dangerZones = await GeoFence.find({ 
-            type: 'danger',
-            isActive: true
+        const tourist = await Tourist.findOne({ userId: req.user.userId });
+        if (!tourist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tourist profile not found'
+            });
+        }
+
+        // An escalated check-in needs somewhere to send responders
+        if (!plannedLocation && tourist.currentLocation?.lat === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Planned location is required until your location has been shared'
+            });
+        }
+
+        const checkIn = new CheckIn({
+            touristId: tourist._id,
+            dueAt: due,
+            label,
+            note,
+            plannedLocation,
+            contactAfter,
+            alertAfter
         });
 
-        for (const zone of dangerZones) {
-            const distance = calculateDistance(lat, lng, zone.center.lat, zone.center.lng);
-            if (distance <= zone.radius) {
-                score -= 30; // In danger zone
-            } else if (distance <= zone.radius * 2) {
-                score -= 15; // Near danger zone
-            }
+        await checkIn.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Check-in scheduled successfully',
+            data: checkIn
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
         }
 
-        // Check time of day (lower score during night)
-        const hour = new Date().getHours();
-        if (hour >= 22 || hour <= 5) {
-            score -= 10; // Night time
+        console.error('Schedule check-in error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get Check-ins
+router.get('/checkins', auth, async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        const tourist = await Tourist.findOne({ userId: req.user.userId });
+        if (!tourist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tourist profile not found'
+            });
         }
 
-        // Check recent incidents in the area
-        const recentAlerts = await Alert.find({
-            location: {
-                $near: {
-                    $geometry: {
-                        type: "Point",
-                        coordinates: [lng, lat]
-                    },
-                    $maxDistance: 1000 // 1km radius
-                }
-            },
-            createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }, // Last 24 hours
-            type: { $in: ['incident', 'sos'] }
+        const filter = { touristId: tourist._id };
+        if (status) filter.status = status;
+
+        const checkIns = await CheckIn.find(filter)
+            .sort({ dueAt: -1 })
+            .limit(50);
+
+        res.json({
+            success: true,
+            data: checkIns
         });
 
-        score -= recentAlerts.length * 5;
+    } catch (error) {
+        console.error('Get check-ins error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
 
-        // Ensure score is between 0 and 100
-        return Math.max(0, Math.min(100, score));
+// Confirm Check-in
+router.post('/checkins/:id/confirm', auth, async (req, res) => {
+    try {
+        const { location } = req.body;
+
+        const checkIn = await findOwnCheckIn(req);
+        if (!checkIn) {
+            return res.status(404).json({
+                success: false,
+                message: 'Check-in not found'
+            });
+        }
+
+        if (!['scheduled', 'missed', 'escalated'].includes(checkIn.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Check-in is already ${checkIn.status}`
+            });
+        }
+
+        const wasEscalated = checkIn.status === 'escalated';
+
+        checkIn.status = 'confirmed';
+        checkIn.confirmedAt = new Date();
+        if (location && location.lat !== undefined && location.lng !== undefined) {
+            checkIn.confirmedLocation = {
+                lat: parseFloat(location.lat),
+                lng: parseFloat(location.lng)
+            };
+        }
+
+        await checkIn.save();
+
+        // Let responders know the tourist has surfaced
+        const io = req.app.get('io');
+        if (wasEscalated && io) {
+            const alert = await Alert.findById(checkIn.escalation.alertId).select('region');
+            toAuthorities(io, alert?.region).emit('checkin_confirmed', {
+                checkIn,
+                alertId: checkIn.escalation.alertId
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Check-in confirmed',
+            data: checkIn
+        });
 
+    } catch (error) {
+        console.error('Confirm check-in error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Snooze Check-in
+router.post('/checkins/:id/snooze', auth, async (req, res) => {
+    try {
+        const minutes = parseInt(req.body.minutes) || DEFAULT_SNOOZE_MINUTES;
+
+        if (minutes < 1 || minutes > MAX_SNOOZE_MINUTES) {
+            return res.status(400).json({
+                success: false,
+                message: `Snooze must be between 1 and ${MAX_SNOOZE_MINUTES} minutes`
+            });
+        }
+
+        const checkIn = await findOwnCheckIn(req);
+        if (!checkIn) {
+            return res.status(404).json({
+                success: false,
+                message: 'Check-in not found'
+            });
+        }
+
+        if (!checkIn.isPending) {
+            return res.status(409).json({
+                success: false,
+                message: `Check-in is already ${checkIn.status}`
+            });
+        }
+
+        if (checkIn.snoozeCount >= MAX_SNOOZES) {
+            return res.status(409).json({
+                success: false,
+                message: `Check-in cannot be snoozed more than ${MAX_SNOOZES} times`
+            });
+        }
+
+        // Push the deadline out from now if it has already passed, and restart escalation
+        const from = Math.max(Date.now(), checkIn.dueAt.getTime());
+        checkIn.dueAt = new Date(from + minutes * 60 * 1000);
+        checkIn.status = 'scheduled';
+        checkIn.snoozeCount += 1;
+        checkIn.escalation = {};
+
+        await checkIn.save();
+
+        res.json({
+            success: true,
+            message: `Check-in snoozed for ${minutes} minutes`,
+            data: checkIn
+        });
+
+    } catch (error) {
+        console.error('Snooze check-in error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Cancel Check-in
+router.post('/checkins/:id/cancel', auth, async (req, res) => {
+    try {
+        const checkIn = await findOwnCheckIn(req);
+        if (!checkIn) {
+            return res.status(404).json({
+                success: false,
+                message: 'Check-in not found'
+            });
+        }
+
+        if (!checkIn.isPending) {
+            return res.status(409).json({
+                success: false,
+                message: `Check-in is already ${checkIn.status}`
+            });
+        }
+
+        checkIn.status = 'cancelled';
+        checkIn.cancelledAt = new Date();
+
+        await checkIn.save();
+
+        res.json({
+            success: true,
+            message: 'Check-in cancelled',
+            data: checkIn
+        });
+
+    } catch (error) {
+        console.error('Cancel check-in error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Register Itinerary (replaces any current itinerary)
+router.put('/itinerary', auth, async (req, res) => {
+    try {
+        const { title, stops, accommodation, startDate, endDate, corridor, graceMinutes } = req.body;
+
+        if (!Array.isArray(stops) || !stops.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'At least one stop is required'
+            });
+        }
+
+        const tourist = await Tourist.findOne({ userId: req.user.userId });
+        if (!tourist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tourist profile not found'
+            });
+        }
+
+        // Trip dates default to the span of the planned stops and stays
+        const plannedDates = [
+            ...stops.flatMap(stop => [stop.arriveBy, stop.departAt]),
+            ...(accommodation || []).flatMap(place => [place.checkIn, place.checkOut])
+        ].filter(Boolean).map(date => new Date(date)).filter(date => !isNaN(date.getTime()));
+
+        const itinerary = new Itinerary({
+            touristId: tourist._id,
+            title,
+            stops,
+            accommodation,
+            startDate: startDate || (plannedDates.length ? new Date(Math.min(...plannedDates)) : new Date()),
+            endDate: endDate || (plannedDates.length ? new Date(Math.max(...plannedDates)) : undefined),
+            corridor,
+            graceMinutes
+        });
+
+        await itinerary.validate();
+
+        await Itinerary.updateMany(
+            { touristId: tourist._id, isActive: true },
+            { isActive: false, updatedAt: new Date() }
+        );
+        await itinerary.save();
+
+        // Keep the visit dates in step with the plan
+        tourist.visitDuration = {
+            startDate: itinerary.startDate,
+            endDate: itinerary.endDate
+        };
+        await tourist.save();
+
+        res.json({
+            success: true,
+            message: 'Itinerary registered successfully',
+            data: itinerary
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        console.error('Register itinerary error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get Current Itinerary
+router.get('/itinerary', auth, async (req, res) => {
+    try {
+        const tourist = await Tourist.findOne({ userId: req.user.userId });
+        if (!tourist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tourist profile not found'
+            });
+        }
+
+        const itinerary = await Itinerary.findOne({ touristId: tourist._id, isActive: true })
+            .sort({ createdAt: -1 });
+
+        if (!itinerary) {
+            return res.status(404).json({
+                success: false,
+                message: 'No itinerary registered'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: itinerary
+        });
+
+    } catch (error) {
+        console.error('Get itinerary error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Cancel Itinerary
+router.delete('/itinerary', auth, async (req, res) => {
+    try {
+        const tourist = await Tourist.findOne({ userId: req.user.userId });
+        if (!tourist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tourist profile not found'
+            });
+        }
+
+        const result = await Itinerary.updateMany(
+            { touristId: tourist._id, isActive: true },
+            { isActive: false, updatedAt: new Date() }
+        );
+
+        if (!result.modifiedCount) {
+            return res.status(404).json({
+                success: false,
+                message: 'No itinerary registered'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Itinerary cancelled'
+        });
+
+    } catch (error) {
+        console.error('Cancel itinerary error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Score the tourist's current location, keeping the stored score if scoring fails
+async function scoreTourist(tourist) {
+    try {
+        return await calculateSafetyScore({
+            lat: tourist.currentLocation.lat,
+            lng: tourist.currentLocation.lng,
+            tourist
+        });
     } catch (error) {
         console.error('Calculate safety score error:', error);
-        return 85; // Return default score on error
+        return { score: tourist.safetyScore, factors: [] };
     }
 }
 
-// Calculate distance between two coordinates
-function calculateDistance(lat1, lng1, lat2, lng2) {
-    const R = 6371e3; // Earth's radius in meters
-    const φ1 = lat1 * Math.PI / 180;
-    const φ2 = lat2 * Math.PI / 180;
-    const Δφ = (lat2 - lat1) * Math.PI / 180;
-    const Δλ = (lng2 - lng1) * Math.PI / 180;
-
-    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-              Math.cos(φ1) * Math.cos(φ2) *
-              Math.sin(Δλ/2) * Math.sin(Δλ/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+// Load a check-in belonging to the requesting tourist
+async function findOwnCheckIn(req) {
+    const tourist = await Tourist.findOne({ userId: req.user.userId });
+    if (!tourist) return null;
 
-    return R * c;
+    return CheckIn.findOne({ _id: req.params.id, touristId: tourist._id });
 }
 
 module.exports = router;
@@ -6,6 +6,12 @@ const jwt = require('jsonwebtoken');
 const socketIo = require('socket.io');
 const http = require('http');
 require('dotenv').config();
+const fenceIndex = require('./services/fenceIndex');
+const { startInactivityMonitor } = require('./services/inactivityMonitor');
+const { startCheckInScheduler } = require('./services/checkInScheduler');
+const { startHotspotDetector } = require('./services/hotspotDetector');
+const { startSOSEscalation } = require('./services/sosEscalation');
+const { initSocket } = require('./services/socketServer');
 
 const app = express();
 const server = http.createServer(app);
@@ -16,6 +22,9 @@ const io = socketIo(server, {
     }
 });
 
+// Make Socket.IO available to routes
+app.set('io', io);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -27,6 +36,10 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/safetrip'
     useUnifiedTopology: true
 });
 
+// Warm the geo-fence spatial index and keep it fresh across processes
+fenceIndex.ensureLoaded().catch(error => console.error('Fence index load error:', error));
+fenceIndex.startRefresh();
+
 // Import Routes
 const authRoutes = require('./routes/auth');
 const touristRoutes = require('./routes/tourist');
@@ -44,110 +57,19 @@ app.use('/api/geo', geoRoutes);
 app.use('/api/emergency', emergencyRoutes);
 
 // Socket.IO for real-time communication
-io.on('connection', (socket) => {
-    console.log('User connected:', socket.id);
-
-    // Join room based on user type
-    socket.on('join', (data) => {
-        const { userType, userId } = data;
-        socket.join(`${userType}_${userId}`);
-        console.log(`User ${userId} joined ${userType} room`);
-    });
-
-    // Handle SOS alerts
-    socket.on('sos_alert', (data) => {
-        console.log('SOS Alert received:', data);
-        // Broadcast to all authorities
-        io.to('authorities').emit('sos_alert', data);
-
-        // Store alert in database
-        const Alert = require('./models/Alert');
-        const newAlert = new Alert({
-            type: 'sos',
-            touristId: data.touristId,
-            location: data.location,
-            message: 'Emergency SOS activated',
-            timestamp: new Date(),
-            status: 'active'
-        });
-        newAlert.save();
-    });
-
-    // Handle location updates
-    socket.on('location_update', (data) => {
-        // Update tourist location in real-time
-        io.to('authorities').emit('location_update', data);
-
-        // Check geo-fencing
-        checkGeoFencing(data);
-    });
-
-    socket.on('disconnect', () => {
-        console.log('User disconnected:', socket.id);
-    });
-});
-
-// Geo-fencing check function
-async function checkGeoFencing(locationData) {
-    const GeoFence = require('./models/GeoFence');
-    const Alert = require('./models/Alert');
-
-    try {
-        const geoFences = await GeoFence.find({ type: 'danger' });
-
-        for (const fence of geoFences) {
-            const distance = calculateDistance(
-                locationData.location.lat,
-                locationData.location.lng,
-                fence.center.lat,
-                fence.center.lng
-            );
+initSocket(io);
 
-            if (distance <= fence.radius) {
-                // Tourist entered danger zone
-                const alert = new Alert({
-                    type: 'geo-fence',
-                    touristId: locationData.touristId,
-                    location: locationData.location,
-                    message: `Tourist entered danger zone: ${fence.name}`,
-                    timestamp: new Date(),
-                    status: 'active'
-                });
-
-                await alert.save();
-
-                // Send real-time alert
-                io.to('authorities').emit('geo_fence_alert', {
-                    alert,
-                    fence: fence.name
-                });
-
-                io.to(`tourist_${locationData.touristId}`).emit('geo_fence_warning', {
-                    message: `Warning: You are entering ${fence.name}`,
-                    fence
-                });
-            }
-        }
-    } catch (error) {
-        console.error('Geo-fencing check error:', error);
-    }
-}
+// Flag tourists who stop reporting their location
+startInactivityMonitor(io);
 
-// Calculate distance between two coordinates
-function calculateDistance(lat1, lng1, lat2, lng2) {
-    const R = 6371e3; // Earth's radius in meters
-    const φ1 = lat1 * Math.PI / 180;
-    const φ2 = lat2 * Math.PI / 180;
-    const Δφ = (lat2 - lat1) * Math.PI / 180;
-    const Δλ = (lng2 - lng1) * Math.PI / 180;
+// Escalate missed safety check-ins
+startCheckInScheduler(io);
 
-    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-              Math.cos(φ1) * Math.cos(φ2) *
-              Math.sin(Δλ/2) * Math.sin(Δλ/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+// Propose geo-fences for emerging incident hotspots
+startHotspotDetector(io);
 
-    return R * c;
-}
+// Escalate SOS alerts nobody acknowledges in time
+startSOSEscalation(io);
 
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
@@ -0,0 +1,26 @@
+// Socket.IO rooms for authorities, partitioned by region. Every authority joins
+// AUTHORITIES_ROOM plus a room per region they cover; authorities without a region
+// limit (admins) join ALL_REGIONS_ROOM instead. Events about a region reach that
+// region's room and ALL_REGIONS_ROOM; events outside every mapped region reach everyone.
+const AUTHORITIES_ROOM = 'authorities';
+const ALL_REGIONS_ROOM = 'authorities:all';
+
+const regionRoom = region => `authorities:${region}`;
+
+// Rooms an authority with the given visible regions (null for all) should join
+function authorityRooms(regions) {
+    return [AUTHORITIES_ROOM, ...(regions ? regions.map(regionRoom) : [ALL_REGIONS_ROOM])];
+}
+
+// Broadcast target for authorities covering a region
+function toAuthorities(io, region) {
+    return region ? io.to(ALL_REGIONS_ROOM).to(regionRoom(region)) : io.to(AUTHORITIES_ROOM);
+}
+
+module.exports = {
+    AUTHORITIES_ROOM,
+    ALL_REGIONS_ROOM,
+    regionRoom,
+    authorityRooms,
+    toAuthorities
+};
@@ -0,0 +1,187 @@
+const validator = require('validator');
+const Alert = require('../models/Alert');
+const CheckIn = require('../models/CheckIn');
+const { Tourist } = require('../models/User');
+const emailService = require('../routes/email');
+const smsService = require('../routes/sms');
+const { dispatchSOS } = require('./emergencyDispatch');
+const { escapeXml } = require('../utils/xml');
+
+const CHECK_INTERVAL = parseInt(process.env.CHECKIN_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+const PENDING_STATES = ['scheduled', 'missed'];
+
+let schedulerTimer = null;
+let processing = false;
+
+// Work out which escalation step (if any) is due for a check-in:
+// tourist reminder at the due time, then the emergency contact, then an alert
+function nextEscalationStep(checkIn, now) {
+    if (!PENDING_STATES.includes(checkIn.status)) return null;
+
+    const overdueMinutes = (now - checkIn.dueAt) / (60 * 1000);
+    if (overdueMinutes < 0) return null;
+
+    const escalation = checkIn.escalation || {};
+
+    if (!escalation.touristNotifiedAt) return 'tourist';
+
+    if (overdueMinutes >= checkIn.contactAfter && !escalation.contactNotifiedAt) return 'contact';
+
+    if (overdueMinutes >= checkIn.alertAfter && !escalation.alertId) return 'alert';
+
+    return null;
+}
+
+function checkInName(checkIn) {
+    return checkIn.label ? `"${checkIn.label}"` : 'scheduled';
+}
+
+// Best known position: the latest fix if there is one, otherwise the planned location
+function lastKnownLocation(checkIn, tourist) {
+    if (tourist.currentLocation && tourist.currentLocation.lat !== undefined) {
+        return {
+            lat: tourist.currentLocation.lat,
+            lng: tourist.currentLocation.lng
+        };
+    }
+
+    if (checkIn.plannedLocation && checkIn.plannedLocation.lat !== undefined) {
+        return {
+            lat: checkIn.plannedLocation.lat,
+            lng: checkIn.plannedLocation.lng,
+            address: checkIn.plannedLocation.address
+        };
+    }
+
+    return null;
+}
+
+async function notifyTourist(io, checkIn, tourist) {
+    const message = `You missed your ${checkInName(checkIn)} check-in due at ${checkIn.dueAt.toLocaleString()}. ` +
+        'Please confirm you are safe in the SafeTrip app.';
+
+    io.to(`tourist_${tourist._id}`).emit('checkin_missed', {
+        checkIn,
+        message
+    });
+
+    if (tourist.userId.phone) {
+        await smsService.sendSMS(tourist.userId.phone, `SafeTrip: ${message}`);
+    }
+
+    if (tourist.userId.email) {
+        await emailService.sendEmail({
+            to: tourist.userId.email,
+            subject: 'SafeTrip - Missed Check-in',
+            text: message,
+            html: `<p>${escapeXml(message)}</p>`
+        });
+    }
+
+    checkIn.status = 'missed';
+    checkIn.escalation.touristNotifiedAt = new Date();
+}
+
+async function notifyEmergencyContact(checkIn, tourist) {
+    const location = lastKnownLocation(checkIn, tourist);
+    const message = `SAFETY ALERT: ${tourist.userId.name} missed their ${checkInName(checkIn)} SafeTrip check-in ` +
+        `due at ${checkIn.dueAt.toLocaleString()}` +
+        (location ? `. Last known location: ${location.lat}, ${location.lng}` : '') +
+        '. Please try to reach them.';
+
+    if (validator.isEmail(tourist.emergencyContact)) {
+        await emailService.sendEmail({
+            to: tourist.emergencyContact,
+            subject: `SafeTrip - ${tourist.userId.name} missed a check-in`,
+            text: message,
+            html: `<p>${escapeXml(message)}</p>`
+        });
+    } else {
+        await smsService.sendSMS(tourist.emergencyContact, message);
+    }
+
+    checkIn.escalation.contactNotifiedAt = new Date();
+}
+
+async function raiseCheckInAlert(io, checkIn, tourist) {
+    const location = lastKnownLocation(checkIn, tourist);
+    if (!location) {
+        throw new Error(`No location known for missed check-in ${checkIn._id}`);
+    }
+
+    const alert = new Alert({
+        type: 'check-in',
+        touristId: tourist._id,
+        location,
+        message: `Missed check-in from ${tourist.userId.name}`,
+        description: `${checkIn.label || 'Check-in'} was due at ${checkIn.dueAt.toISOString()}` +
+            (checkIn.note ? `. Note: ${checkIn.note}` : ''),
+        severity: 'high',
+        status: 'active'
+    });
+
+    await alert.save();
+
+    // Routed the same way as an SOS raised by the tourist
+    await dispatchSOS(io, alert, tourist);
+
+    checkIn.status = 'escalated';
+    checkIn.escalation.alertId = alert._id;
+    checkIn.escalation.alertedAt = new Date();
+}
+
+const ESCALATION_STEPS = {
+    tourist: (io, checkIn, tourist) => notifyTourist(io, checkIn, tourist),
+    contact: (io, checkIn, tourist) => notifyEmergencyContact(checkIn, tourist),
+    alert: (io, checkIn, tourist) => raiseCheckInAlert(io, checkIn, tourist)
+};
+
+// Escalate every pending check-in that is past due
+async function processDueCheckIns(io, now = new Date()) {
+    const checkIns = await CheckIn.find({
+        status: { $in: PENDING_STATES },
+        dueAt: { $lte: now }
+    });
+
+    for (const checkIn of checkIns) {
+        try {
+            const tourist = await Tourist.findById(checkIn.touristId)
+                .populate('userId', 'name phone email');
+            if (!tourist) continue;
+
+            let step;
+            while ((step = nextEscalationStep(checkIn, now))) {
+                await ESCALATION_STEPS[step](io, checkIn, tourist);
+                await checkIn.save();
+            }
+        } catch (error) {
+            console.error('Check-in escalation error:', error);
+        }
+    }
+}
+
+function startCheckInScheduler(io, interval = CHECK_INTERVAL) {
+    if (schedulerTimer) return;
+
+    schedulerTimer = setInterval(async () => {
+        // Skip a tick rather than overlap a slow run
+        if (processing) return;
+
+        processing = true;
+        try {
+            await processDueCheckIns(io);
+        } catch (error) {
+            console.error('Check-in scheduler error:', error);
+        } finally {
+            processing = false;
+        }
+    }, interval);
+    schedulerTimer.unref();
+}
+
+module.exports = {
+    nextEscalationStep,
+    processDueCheckIns,
+    startCheckInScheduler
+};
@@ -0,0 +1,154 @@
+const Incident = require('../models/Incident');
+const { Authority } = require('../models/User');
+const { distance } = require('../utils/geo');
+const { APPROVED_FILTER } = require('../utils/roles');
+
+// Departments that handle each incident type, best fit first
+const DEPARTMENTS_BY_TYPE = {
+    medical: ['Medical Department', 'Emergency Services'],
+    theft: ['Police Department'],
+    assault: ['Police Department', 'Emergency Services'],
+    harassment: ['Police Department'],
+    fraud: ['Police Department', 'Tourism Department'],
+    accident: ['Emergency Services', 'Medical Department', 'Police Department'],
+    lost: ['Tourism Department', 'Police Department'],
+    other: ['Police Department', 'Tourism Department']
+};
+
+// Duty locations older than this are treated as unknown
+const DUTY_LOCATION_MAX_AGE = 2 * 60 * 60 * 1000;
+
+// Responders are ranked by an effective distance in kilometers: actual distance
+// plus penalties for an unknown location, each open case, working outside their
+// jurisdiction and not belonging to the primary department for the incident type
+const PENALTIES = {
+    unknownDistanceKm: 50,
+    perOpenCaseKm: 2,
+    outsideJurisdictionKm: 10,
+    secondaryDepartmentKm: 5,
+    otherDepartmentKm: 20
+};
+
+const OPEN_INCIDENT_STATES = ['filed', 'investigating'];
+
+function departmentsFor(type) {
+    return DEPARTMENTS_BY_TYPE[type] || DEPARTMENTS_BY_TYPE.other;
+}
+
+function knownDutyLocation(authority, now) {
+    const location = authority.dutyLocation;
+    if (!location || location.lat === undefined || location.lng === undefined || !location.timestamp) {
+        return null;
+    }
+    return now - location.timestamp <= DUTY_LOCATION_MAX_AGE ? location : null;
+}
+
+// Rank candidate responders for an incident, best first
+function rankResponders(incident, authorities, { caseloads = new Map(), region = null, now = new Date() } = {}) {
+    const departments = departmentsFor(incident.type);
+
+    return authorities
+        .map(authority => {
+            const location = knownDutyLocation(authority, now);
+            const meters = location
+                ? distance(incident.location.lat, incident.location.lng, location.lat, location.lng)
+                : null;
+            const caseload = caseloads.get(authority._id.toString()) || 0;
+            const departmentRank = departments.indexOf(authority.department);
+            const departmentPenalty = departmentRank === -1
+                ? PENALTIES.otherDepartmentKm
+                : (departmentRank > 0 ? PENALTIES.secondaryDepartmentKm : 0);
+            const jurisdictionMatch = Boolean(region) && authority.jurisdiction === region;
+
+            const score =
+                (meters === null ? PENALTIES.unknownDistanceKm : meters / 1000) +
+                caseload * PENALTIES.perOpenCaseKm +
+                (region && !jurisdictionMatch ? PENALTIES.outsideJurisdictionKm : 0) +
+                departmentPenalty;
+
+            return {
+                authority,
+                distance: meters === null ? null : Math.round(meters),
+                caseload,
+                departmentMatch: departmentRank === 0,
+                jurisdictionMatch,
+                score: Math.round(score * 100) / 100
+            };
+        })
+        .sort((a, b) => a.score - b.score);
+}
+
+function explain(choice, incident, region, candidateCount) {
+    const parts = [
+        `${choice.authority.department} officer ${choice.authority.officerID}`,
+        choice.distance === null ? 'duty location unknown' : `${(choice.distance / 1000).toFixed(1)} km away`,
+        `${choice.caseload} open case(s)`,
+        region
+            ? (choice.jurisdictionMatch ? `jurisdiction ${region}` : `outside jurisdiction ${region}`)
+            : 'incident outside mapped regions',
+        choice.departmentMatch ? `primary department for ${incident.type}` : `fallback department for ${incident.type}`
+    ];
+
+    return `${parts.join(', ')}; best of ${candidateCount} on-duty candidate(s)`;
+}
+
+// Open incidents per authority
+async function loadCaseloads(authorityIds) {
+    const counts = await Incident.aggregate([
+        { $match: { assignedOfficer: { $in: authorityIds }, status: { $in: OPEN_INCIDENT_STATES } } },
+        { $group: { _id: '$assignedOfficer', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+}
+
+// Choose the best on-duty responder for an incident. Officers of a matching
+// department are preferred; any on-duty officer is considered if none is available.
+async function selectResponder(incident, now = new Date()) {
+    let authorities = await Authority.find({
+        ...APPROVED_FILTER,
+        isOnDuty: true,
+        department: { $in: departmentsFor(incident.type) }
+    });
+
+    if (!authorities.length) {
+        authorities = await Authority.find({ ...APPROVED_FILTER, isOnDuty: true });
+    }
+
+    if (!authorities.length) return null;
+
+    const region = incident.region || null;
+    const caseloads = await loadCaseloads(authorities.map(authority => authority._id));
+    const ranked = rankResponders(incident, authorities, { caseloads, region, now });
+    const choice = ranked[0];
+
+    return {
+        authority: choice.authority,
+        dispatch: {
+            assignedAt: now,
+            region,
+            distance: choice.distance,
+            caseload: choice.caseload,
+            departmentMatch: choice.departmentMatch,
+            jurisdictionMatch: choice.jurisdictionMatch,
+            score: choice.score,
+            reasoning: explain(choice, incident, region, ranked.length),
+            candidates: ranked.slice(0, 5).map(candidate => ({
+                authorityId: candidate.authority._id,
+                distance: candidate.distance,
+                caseload: candidate.caseload,
+                departmentMatch: candidate.departmentMatch,
+                jurisdictionMatch: candidate.jurisdictionMatch,
+                score: candidate.score
+            }))
+        }
+    };
+}
+
+module.exports = {
+    DEPARTMENTS_BY_TYPE,
+    departmentsFor,
+    knownDutyLocation,
+    rankResponders,
+    selectResponder
+};
@@ -0,0 +1,65 @@
+const validator = require('validator');
+const emailService = require('../routes/email');
+const smsService = require('../routes/sms');
+const { toAuthorities } = require('./authorityRooms');
+const { scheduleEscalation } = require('./sosEscalation');
+const { escapeXml } = require('../utils/xml');
+
+// Route an SOS-grade alert: flag the tourist as in an emergency, push it to the
+// authorities room, notify the tourist's emergency contact and start the
+// escalation clock, which pages further authorities if nobody responds.
+// `tourist` must have its userId populated.
+async function dispatchSOS(io, sosAlert, tourist) {
+    scheduleEscalation(sosAlert);
+    await sosAlert.save();
+
+    await sosAlert.populate({
+        path: 'touristId',
+        populate: {
+            path: 'userId',
+            select: 'name phone email'
+        }
+    });
+
+    // Update tourist status to emergency
+    tourist.status = 'emergency';
+    await tourist.save();
+
+    if (io) {
+        toAuthorities(io, sosAlert.region).emit('sos_alert', sosAlert);
+    }
+
+    // Send emergency contacts notification
+    await notifyEmergencyContacts(tourist, sosAlert);
+}
+
+// Tell the tourist's emergency contact, by email or SMS depending on what is on file
+async function notifyEmergencyContacts(tourist, sosAlert) {
+    try {
+        const contact = tourist.emergencyContact;
+        if (!contact) return;
+
+        const { lat, lng } = sosAlert.location;
+        const message = `EMERGENCY: ${tourist.userId.name} raised an SOS on SafeTrip at ${lat}, ${lng} ` +
+            `(${sosAlert.createdAt.toLocaleString()}). Authorities have been notified and will respond promptly.`;
+
+        if (validator.isEmail(contact)) {
+            await emailService.sendEmail({
+                to: contact,
+                subject: 'SafeTrip Emergency Alert - SOS Activated',
+                text: message,
+                html: `<p>${escapeXml(message)}</p>`
+            });
+        } else {
+            await smsService.sendSMS(contact, message);
+        }
+
+    } catch (error) {
+        console.error('Notify emergency contacts error:', error);
+    }
+}
+
+module.exports = {
+    dispatchSOS,
+    notifyEmergencyContacts
+};
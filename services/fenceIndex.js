@@ -0,0 +1,188 @@
+const { pointBounds, boundsIntersect } = require('../utils/geo');
+const { evaluateFence, nearBuffer, fenceBounds, resolveRegion } = require('../utils/geoFence');
+
+// Grid cell size in degrees (~11 km at the equator)
+const CELL_SIZE = 0.1;
+
+// How far (meters) to look for a fence when a point is outside every zone
+const REGION_SEARCH_RADIUS = 50000;
+
+// How often the index is reloaded from MongoDB to pick up changes made by other processes
+const REFRESH_INTERVAL = parseInt(process.env.FENCE_INDEX_REFRESH_MS) || 5 * 60 * 1000;
+
+// In-process grid index of active geo-fences. Each fence is registered in every
+// cell its bounding box (expanded by its "near" buffer) overlaps, so a lookup
+// only has to evaluate the fences registered around the queried point.
+class FenceIndex {
+    constructor(cellSize = CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.entries = new Map();
+        this.loaded = false;
+        this.loading = null;
+        this.refreshTimer = null;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    cellRange(bounds) {
+        return {
+            minX: Math.floor(bounds.minLng / this.cellSize),
+            maxX: Math.floor(bounds.maxLng / this.cellSize),
+            minY: Math.floor(bounds.minLat / this.cellSize),
+            maxY: Math.floor(bounds.maxLat / this.cellSize)
+        };
+    }
+
+    cellCount(bounds) {
+        const { minX, maxX, minY, maxY } = this.cellRange(bounds);
+        return (maxX - minX + 1) * (maxY - minY + 1);
+    }
+
+    cellKeys(bounds) {
+        const keys = [];
+        const { minX, maxX, minY, maxY } = this.cellRange(bounds);
+
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                keys.push(`${x}:${y}`);
+            }
+        }
+
+        return keys;
+    }
+
+    // Add or replace a fence; inactive and archived fences are dropped from the index
+    upsert(fence) {
+        const fenceId = fence._id.toString();
+        this.remove(fenceId);
+
+        if (!fence.isActive || fence.isArchived) return;
+
+        const plain = typeof fence.toObject === 'function' ? fence.toObject() : fence;
+        const bounds = fenceBounds(plain, nearBuffer(plain));
+        const keys = this.cellKeys(bounds);
+
+        for (const key of keys) {
+            if (!this.cells.has(key)) this.cells.set(key, new Set());
+            this.cells.get(key).add(fenceId);
+        }
+
+        this.entries.set(fenceId, { fence: plain, bounds, keys });
+    }
+
+    remove(fenceId) {
+        const entry = this.entries.get(fenceId.toString());
+        if (!entry) return;
+
+        for (const key of entry.keys) {
+            const cell = this.cells.get(key);
+            cell.delete(fenceId.toString());
+            if (!cell.size) this.cells.delete(key);
+        }
+
+        this.entries.delete(fenceId.toString());
+    }
+
+    get(fenceId) {
+        const entry = this.entries.get(fenceId.toString());
+        return entry ? entry.fence : null;
+    }
+
+    rebuild(fences) {
+        this.cells.clear();
+        this.entries.clear();
+        fences.forEach(fence => this.upsert(fence));
+        this.loaded = true;
+    }
+
+    // Fences that contain, are near, or lie within `radius` meters of the point
+    query(lat, lng, radius = 0) {
+        const bounds = pointBounds(lat, lng, radius);
+
+        // A box spanning more cells than there are fences is cheaper to scan fence by fence
+        if (this.cellCount(bounds) > this.entries.size) {
+            return [...this.entries.values()]
+                .filter(entry => boundsIntersect(entry.bounds, bounds))
+                .map(entry => entry.fence);
+        }
+
+        const seen = new Set();
+        const results = [];
+
+        for (const key of this.cellKeys(bounds)) {
+            const cell = this.cells.get(key);
+            if (!cell) continue;
+
+            for (const fenceId of cell) {
+                if (seen.has(fenceId)) continue;
+                seen.add(fenceId);
+
+                const entry = this.entries.get(fenceId);
+                if (boundsIntersect(entry.bounds, bounds)) {
+                    results.push(entry.fence);
+                }
+            }
+        }
+
+        return results;
+    }
+
+    async load() {
+        // Required lazily: the GeoFence model keeps this index in sync through its hooks
+        const GeoFence = require('../models/GeoFence');
+        const fences = await GeoFence.find({ isActive: true, isArchived: false }).lean();
+        this.rebuild(fences);
+    }
+
+    async ensureLoaded() {
+        if (this.loaded) return;
+
+        if (!this.loading) {
+            this.loading = this.load().finally(() => {
+                this.loading = null;
+            });
+        }
+        await this.loading;
+    }
+
+    async candidates(lat, lng, radius = 0) {
+        await this.ensureLoaded();
+        return this.query(lat, lng, radius);
+    }
+
+    // Region of the fence the point is inside or nearest to, or null outside every zone
+    async regionAt(lat, lng) {
+        const zones = (await this.candidates(lat, lng))
+            .map(zone => ({ zone, evaluation: evaluateFence(zone, lat, lng) }));
+        return resolveRegion(zones);
+    }
+
+    // Region a point belongs to: that of the zone it is in or near, otherwise that of
+    // the closest fence within `searchRadius`; null when no fence is that close
+    async regionNear(lat, lng, searchRadius = REGION_SEARCH_RADIUS) {
+        const region = await this.regionAt(lat, lng);
+        if (region) return region;
+
+        const nearest = (await this.candidates(lat, lng, searchRadius))
+            .map(fence => ({ fence, meters: evaluateFence(fence, lat, lng).distance }))
+            .filter(({ meters }) => meters <= searchRadius)
+            .sort((a, b) => a.meters - b.meters)[0];
+
+        return nearest ? nearest.fence.region : null;
+    }
+
+    startRefresh(interval = REFRESH_INTERVAL) {
+        if (this.refreshTimer) return;
+
+        this.refreshTimer = setInterval(() => {
+            this.load().catch(error => console.error('Fence index refresh error:', error));
+        }, interval);
+        this.refreshTimer.unref();
+    }
+}
+
+module.exports = new FenceIndex();
+module.exports.FenceIndex = FenceIndex;
@@ -0,0 +1,190 @@
+const GeoFence = require('../models/GeoFence');
+const GeoFenceVisit = require('../models/GeoFenceVisit');
+const Alert = require('../models/Alert');
+const { Tourist } = require('../models/User');
+const { toAuthorities } = require('./authorityRooms');
+const fenceIndex = require('./fenceIndex');
+const { evaluateFence } = require('../utils/geoFence');
+const { isFenceInEffect } = require('../utils/fenceSchedule');
+const { resolveFenceOutcome } = require('../utils/fencePolicy');
+
+const OPEN_STATES = ['entered', 'dwelling'];
+
+// Work out which event (if any) a location update triggers for a tourist/fence pair
+function nextVisitEvent(visit, isInside, fence, now) {
+    if (!visit) {
+        return isInside ? 'enter' : null;
+    }
+
+    if (!isInside) {
+        return 'exit';
+    }
+
+    if (visit.state === 'entered' && fence.dwellTime && fence.type !== 'safe' &&
+        now - visit.enteredAt >= fence.dwellTime * 1000) {
+        return 'dwell';
+    }
+
+    return null;
+}
+
+async function raiseFenceAlert(io, fence, locationData, outcome, message, event) {
+    const alert = new Alert({
+        type: 'geo-fence',
+        touristId: locationData.touristId,
+        location: locationData.location,
+        message,
+        severity: outcome.severity,
+        timestamp: new Date(),
+        status: 'active'
+    });
+
+    await alert.save();
+    await GeoFence.updateOne({ _id: fence._id }, { $inc: { alertsCount: 1 } });
+
+    // Send real-time alert
+    toAuthorities(io, alert.region).emit('geo_fence_alert', {
+        alert,
+        fence: fence.name,
+        fenceType: fence.type,
+        event
+    });
+
+    return alert;
+}
+
+function warnTourist(io, fence, locationData, outcome, message) {
+    io.to(`tourist_${locationData.touristId}`).emit('geo_fence_warning', {
+        message,
+        severity: outcome.severity,
+        requiresPermit: outcome.requiresPermit,
+        hasPermit: outcome.hasPermit,
+        fence
+    });
+}
+
+function entryMessage(fence, outcome) {
+    if (outcome.requiresPermit && !outcome.hasPermit) {
+        return `Tourist entered restricted zone without a permit: ${fence.name}`;
+    }
+    return `Tourist entered ${fence.type} zone: ${fence.name}`;
+}
+
+async function handleEnter(io, fence, outcome, locationData, now) {
+    const visit = new GeoFenceVisit({
+        touristId: locationData.touristId,
+        fenceId: fence._id,
+        state: 'entered',
+        enteredAt: now,
+        lastSeenAt: now,
+        entryLocation: locationData.location
+    });
+
+    if (outcome.alertAuthorities) {
+        const alert = await raiseFenceAlert(
+            io,
+            fence,
+            locationData,
+            outcome,
+            entryMessage(fence, outcome),
+            'enter'
+        );
+        visit.alerts.push(alert._id);
+    }
+    await visit.save();
+
+    warnTourist(io, fence, locationData, outcome, outcome.warning);
+}
+
+async function handleDwell(io, fence, outcome, visit, locationData, now) {
+    const minutes = Math.round((now - visit.enteredAt) / 60000);
+
+    if (outcome.alertAuthorities) {
+        const alert = await raiseFenceAlert(
+            io,
+            fence,
+            locationData,
+            outcome,
+            `Tourist has remained in ${fence.type} zone ${fence.name} for ${minutes} minutes`,
+            'dwell'
+        );
+        visit.alerts.push(alert._id);
+    }
+
+    visit.state = 'dwelling';
+    visit.dwellAlertedAt = now;
+    visit.lastSeenAt = now;
+    await visit.save();
+
+    warnTourist(io, fence, locationData, outcome, `Warning: You are still inside ${fence.name}`);
+}
+
+async function handleExit(io, fence, visit, locationData, now) {
+    visit.state = 'exited';
+    visit.exitedAt = now;
+    visit.lastSeenAt = now;
+    visit.exitLocation = locationData.location;
+    await visit.save();
+
+    toAuthorities(io, fence ? fence.region : null).emit('geo_fence_exit', {
+        touristId: locationData.touristId,
+        fence: fence ? fence.name : null,
+        visit
+    });
+}
+
+// Geo-fencing check for a single location update
+async function checkGeoFencing(io, locationData) {
+    try {
+        const now = new Date();
+        const { lat, lng } = locationData.location;
+
+        const geoFences = (await fenceIndex.candidates(lat, lng))
+            .filter(fence => isFenceInEffect(fence, now));
+        const tourist = await Tourist.findById(locationData.touristId).select('permits');
+        const openVisits = await GeoFenceVisit.find({
+            touristId: locationData.touristId,
+            state: { $in: OPEN_STATES }
+        });
+
+        const visitsByFence = new Map(openVisits.map(visit => [visit.fenceId.toString(), visit]));
+
+        for (const fence of geoFences) {
+            const { isInside } = evaluateFence(fence, lat, lng);
+            const visit = visitsByFence.get(fence._id.toString());
+            visitsByFence.delete(fence._id.toString());
+
+            const outcome = resolveFenceOutcome(fence, tourist, now);
+
+            switch (nextVisitEvent(visit, isInside, fence, now)) {
+                case 'enter':
+                    await handleEnter(io, fence, outcome, locationData, now);
+                    break;
+                case 'dwell':
+                    await handleDwell(io, fence, outcome, visit, locationData, now);
+                    break;
+                case 'exit':
+                    await handleExit(io, fence, visit, locationData, now);
+                    break;
+                default:
+                    if (visit) {
+                        visit.lastSeenAt = now;
+                        await visit.save();
+                    }
+            }
+        }
+
+        // Fences the tourist moved well away from, or that were deactivated,
+        // went out of schedule or were removed while the tourist was inside
+        for (const visit of visitsByFence.values()) {
+            await handleExit(io, fenceIndex.get(visit.fenceId), visit, locationData, now);
+        }
+    } catch (error) {
+        console.error('Geo-fencing check error:', error);
+    }
+}
+
+module.exports = {
+    checkGeoFencing,
+    nextVisitEvent
+};
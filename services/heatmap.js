@@ -0,0 +1,144 @@
+const Alert = require('../models/Alert');
+const Incident = require('../models/Incident');
+const { Tourist } = require('../models/User');
+const { regionFilter } = require('../utils/roles');
+const { tileBounds, tileCenter, tileExpressions } = require('../utils/tiles');
+
+const LAYERS = ['alerts', 'incidents', 'tourists'];
+
+// Heat contributed by one point of each severity; tourist positions count 1
+const SEVERITY_WEIGHTS = { low: 1, medium: 2, high: 3, critical: 4 };
+
+// Tourist positions older than this are not shown as active
+const ACTIVE_POSITION_MINUTES = 30;
+
+function boundsMatch(field, bounds) {
+    if (!bounds) return {};
+
+    return {
+        [`${field}.lat`]: { $gte: bounds.minLat, $lte: bounds.maxLat },
+        [`${field}.lng`]: { $gte: bounds.minLng, $lte: bounds.maxLng }
+    };
+}
+
+// Count points per tile (and severity) inside MongoDB
+function binPoints(Model, match, field, zoom, severityField) {
+    return Model.aggregate([
+        { $match: match },
+        {
+            $project: {
+                ...tileExpressions(field, zoom),
+                severity: severityField ? `$${severityField}` : null
+            }
+        },
+        {
+            $group: {
+                _id: { x: '$x', y: '$y', severity: '$severity' },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+}
+
+// Heatmap cells at `zoom` for the requested layers, time window and filters,
+// limited to the given regions (null for every region)
+async function buildHeatmap({
+    zoom,
+    bounds = null,
+    regions = null,
+    from,
+    to,
+    layers = ['alerts', 'incidents'],
+    alertTypes = [],
+    incidentTypes = [],
+    severities = []
+}) {
+    const window = { $gte: from, $lte: to };
+    const severityMatch = severities.length ? { severity: { $in: severities } } : {};
+    const regionMatch = regionFilter(regions);
+    const queries = {};
+
+    if (layers.includes('alerts')) {
+        queries.alerts = binPoints(Alert, {
+            createdAt: window,
+            ...(alertTypes.length ? { type: { $in: alertTypes } } : {}),
+            ...severityMatch,
+            ...regionMatch,
+            ...boundsMatch('location', bounds)
+        }, 'location', zoom, 'severity');
+    }
+
+    if (layers.includes('incidents')) {
+        queries.incidents = binPoints(Incident, {
+            createdAt: window,
+            ...(incidentTypes.length ? { type: { $in: incidentTypes } } : {}),
+            ...severityMatch,
+            ...regionMatch,
+            ...boundsMatch('location', bounds)
+        }, 'location', zoom, 'severity');
+    }
+
+    // Live positions only, and only of tourists who share their location
+    if (layers.includes('tourists')) {
+        queries.tourists = binPoints(Tourist, {
+            locationSharing: true,
+            status: { $ne: 'offline' },
+            'currentLocation.lat': { $exists: true },
+            'currentLocation.timestamp': { $gte: new Date(Date.now() - ACTIVE_POSITION_MINUTES * 60 * 1000) },
+            ...regionMatch,
+            ...boundsMatch('currentLocation', bounds)
+        }, 'currentLocation', zoom, null);
+    }
+
+    const layerNames = Object.keys(queries);
+    const results = await Promise.all(Object.values(queries));
+
+    const cells = new Map();
+    const totals = Object.fromEntries(layerNames.map(layer => [layer, 0]));
+
+    layerNames.forEach((layer, index) => {
+        for (const { _id: { x, y, severity }, count } of results[index]) {
+            const key = `${x}:${y}`;
+            if (!cells.has(key)) {
+                cells.set(key, {
+                    z: zoom,
+                    x,
+                    y,
+                    center: tileCenter(zoom, x, y),
+                    bounds: tileBounds(zoom, x, y),
+                    count: 0,
+                    weight: 0,
+                    layers: {},
+                    severity: {}
+                });
+            }
+
+            const cell = cells.get(key);
+            cell.count += count;
+            cell.weight += count * (SEVERITY_WEIGHTS[severity] || 1);
+            cell.layers[layer] = (cell.layers[layer] || 0) + count;
+            if (severity) {
+                cell.severity[severity] = (cell.severity[severity] || 0) + count;
+            }
+            totals[layer] += count;
+        }
+    });
+
+    const sorted = [...cells.values()].sort((a, b) => b.weight - a.weight);
+
+    return {
+        zoom,
+        from,
+        to,
+        layers: layerNames,
+        totals,
+        maxWeight: sorted.length ? sorted[0].weight : 0,
+        cells: sorted
+    };
+}
+
+module.exports = {
+    LAYERS,
+    SEVERITY_WEIGHTS,
+    buildHeatmap
+};
@@ -0,0 +1,209 @@
+const Alert = require('../models/Alert');
+const FenceProposal = require('../models/FenceProposal');
+const Incident = require('../models/Incident');
+const { toAuthorities } = require('./authorityRooms');
+const fenceIndex = require('./fenceIndex');
+const { distance } = require('../utils/geo');
+const { dbscan } = require('../utils/dbscan');
+const { evaluateFence } = require('../utils/geoFence');
+
+// Clustering parameters: look back WINDOW_DAYS, neighbours within EPS meters,
+// at least MIN_POINTS reports to form a hotspot
+const WINDOW_DAYS = parseInt(process.env.HOTSPOT_WINDOW_DAYS) || 14;
+const EPS = parseInt(process.env.HOTSPOT_EPS_METERS) || 300;
+const MIN_POINTS = parseInt(process.env.HOTSPOT_MIN_POINTS) || 5;
+const DETECTION_INTERVAL = parseInt(process.env.HOTSPOT_DETECTION_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+
+// Alert types that signal danger at a place. Incident alerts duplicate Incident
+// documents, and fence/monitoring alerts describe the tourist rather than the place.
+const HOTSPOT_ALERT_TYPES = ['sos', 'security', 'medical'];
+
+// A cluster counts as covered when at least this share of its reports fall inside existing zones
+const COVERED_SHARE = 0.5;
+
+let detectionTimer = null;
+let detecting = false;
+
+async function loadReports(since) {
+    const [incidents, alerts] = await Promise.all([
+        Incident.find({ createdAt: { $gte: since } }).select('location severity createdAt'),
+        Alert.find({ type: { $in: HOTSPOT_ALERT_TYPES }, createdAt: { $gte: since } })
+            .select('location severity createdAt')
+    ]);
+
+    return [
+        ...incidents.map(incident => ({ kind: 'incident', doc: incident })),
+        ...alerts.map(alert => ({ kind: 'alert', doc: alert }))
+    ].map(({ kind, doc }) => ({
+        kind,
+        id: doc._id,
+        lat: doc.location.lat,
+        lng: doc.location.lng,
+        address: doc.location.address,
+        severity: doc.severity,
+        createdAt: doc.createdAt
+    }));
+}
+
+// Whether a point lies inside any active zone that already warns tourists
+async function isCovered(point) {
+    const fences = await fenceIndex.candidates(point.lat, point.lng);
+    return fences.some(fence =>
+        fence.type !== 'safe' && evaluateFence(fence, point.lat, point.lng).isInside
+    );
+}
+
+// Circle enclosing a cluster, with its severity mix and source reports
+function summarizeCluster(reports) {
+    const center = {
+        lat: reports.reduce((sum, report) => sum + report.lat, 0) / reports.length,
+        lng: reports.reduce((sum, report) => sum + report.lng, 0) / reports.length
+    };
+    const spread = reports.reduce((max, report) =>
+        Math.max(max, distance(center.lat, center.lng, report.lat, report.lng)), 0);
+
+    const severity = { low: 0, medium: 0, high: 0, critical: 0 };
+    reports.forEach(report => {
+        if (report.severity in severity) severity[report.severity]++;
+    });
+
+    const times = reports.map(report => new Date(report.createdAt).getTime());
+    const firstSeen = times.reduce((min, time) => Math.min(min, time), Infinity);
+    const lastSeen = times.reduce((max, time) => Math.max(max, time), -Infinity);
+
+    return {
+        center,
+        radius: Math.round(Math.max(EPS, spread + EPS / 2)),
+        cluster: {
+            size: reports.length,
+            incidents: reports.filter(report => report.kind === 'incident').map(report => report.id),
+            alerts: reports.filter(report => report.kind === 'alert').map(report => report.id),
+            severity,
+            firstSeenAt: new Date(firstSeen),
+            lastSeenAt: new Date(lastSeen),
+            windowDays: WINDOW_DAYS,
+            eps: EPS,
+            minPoints: MIN_POINTS
+        }
+    };
+}
+
+// Large or mostly severe clusters are proposed as danger zones
+function suggestType(cluster) {
+    const severe = cluster.severity.high + cluster.severity.critical;
+    return severe / cluster.size >= 0.5 || cluster.size >= MIN_POINTS * 3 ? 'danger' : 'caution';
+}
+
+// The most frequently reported address, if reports carry one
+function commonAddress(reports) {
+    const counts = new Map();
+    reports.filter(report => report.address).forEach(report => {
+        counts.set(report.address, (counts.get(report.address) || 0) + 1);
+    });
+
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+const overlaps = (proposal, summary) =>
+    distance(proposal.center.lat, proposal.center.lng, summary.center.lat, summary.center.lng) <=
+        Math.max(proposal.radius, summary.radius);
+
+// Cluster recent reports and propose fences for hotspots no zone covers yet.
+// Pending proposals for the same spot are refreshed; recently rejected ones are not re-proposed.
+async function detectHotspots(io, now = new Date()) {
+    const since = new Date(now.getTime() - WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const reports = await loadReports(since);
+    const { clusters } = dbscan(reports, EPS, MIN_POINTS);
+
+    await fenceIndex.ensureLoaded();
+
+    const existing = await FenceProposal.find({
+        $or: [
+            { status: 'pending' },
+            { status: 'rejected', reviewedAt: { $gte: since } }
+        ]
+    });
+
+    const result = { clusters: clusters.length, covered: 0, created: [], updated: [], suppressed: 0 };
+
+    for (const members of clusters) {
+        const clusterReports = members.map(index => reports[index]);
+
+        const coverage = await Promise.all(clusterReports.map(isCovered));
+        if (coverage.filter(Boolean).length / clusterReports.length >= COVERED_SHARE) {
+            result.covered++;
+            continue;
+        }
+
+        const summary = summarizeCluster(clusterReports);
+        const match = existing.find(proposal => overlaps(proposal, summary));
+
+        if (match && match.status === 'rejected') {
+            result.suppressed++;
+            continue;
+        }
+
+        if (match) {
+            match.cluster = summary.cluster;
+            match.suggestedType = suggestType(summary.cluster);
+            // Keep a shape a reviewer has drawn; otherwise follow the cluster as it grows
+            if (!match.geometry?.type) {
+                match.center = summary.center;
+                match.radius = summary.radius;
+            }
+            await match.save();
+            result.updated.push(match);
+            continue;
+        }
+
+        const address = commonAddress(clusterReports);
+        const proposal = new FenceProposal({
+            name: `Hotspot near ${address || `${summary.center.lat.toFixed(4)}, ${summary.center.lng.toFixed(4)}`}`,
+            description: `${summary.cluster.size} incidents and alerts within ${summary.radius} m ` +
+                `in the last ${WINDOW_DAYS} days`,
+            suggestedType: suggestType(summary.cluster),
+            center: summary.center,
+            radius: summary.radius,
+            region: (await fenceIndex.regionNear(summary.center.lat, summary.center.lng)) || undefined,
+            cluster: summary.cluster,
+            detectedAt: now
+        });
+
+        await proposal.save();
+        existing.push(proposal);
+        result.created.push(proposal);
+
+        if (io) {
+            toAuthorities(io, proposal.region).emit('hotspot_proposed', proposal);
+        }
+    }
+
+    return result;
+}
+
+// Run detection unless a run is already in progress (returns null in that case)
+async function runHotspotDetection(io) {
+    if (detecting) return null;
+
+    detecting = true;
+    try {
+        return await detectHotspots(io);
+    } finally {
+        detecting = false;
+    }
+}
+
+function startHotspotDetector(io, interval = DETECTION_INTERVAL) {
+    if (detectionTimer) return;
+
+    detectionTimer = setInterval(() => {
+        runHotspotDetection(io).catch(error => console.error('Hotspot detection error:', error));
+    }, interval);
+    detectionTimer.unref();
+}
+
+module.exports = {
+    detectHotspots,
+    runHotspotDetection,
+    startHotspotDetector
+};
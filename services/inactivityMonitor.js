@@ -0,0 +1,256 @@
+const Alert = require('../models/Alert');
+const GeoFenceVisit = require('../models/GeoFenceVisit');
+const { Tourist } = require('../models/User');
+const { toAuthorities } = require('./authorityRooms');
+
+// Minutes without a location update before a tourist is marked offline and
+// before an inactivity alert is raised, by last known risk level. Override with
+// e.g. INACTIVITY_THRESHOLDS='{"high":{"offline":5,"alert":15}}'
+const DEFAULT_THRESHOLDS = {
+    high: { offline: 10, alert: 20 },
+    medium: { offline: 30, alert: 60 },
+    low: { offline: 120, alert: 360 }
+};
+
+const ALERT_SEVERITY = {
+    high: 'critical',
+    medium: 'high',
+    low: 'medium'
+};
+
+const CHECK_INTERVAL = parseInt(process.env.INACTIVITY_CHECK_INTERVAL_MS) || 60 * 1000;
+
+const OPEN_STATES = ['entered', 'dwelling'];
+
+let checkTimer = null;
+let checking = false;
+
+function loadThresholds() {
+    if (!process.env.INACTIVITY_THRESHOLDS) return DEFAULT_THRESHOLDS;
+
+    try {
+        const overrides = JSON.parse(process.env.INACTIVITY_THRESHOLDS);
+        return Object.fromEntries(Object.entries(DEFAULT_THRESHOLDS).map(([level, defaults]) =>
+            [level, { ...defaults, ...overrides[level] }]
+        ));
+    } catch (error) {
+        console.error('Invalid INACTIVITY_THRESHOLDS, using defaults:', error.message);
+        return DEFAULT_THRESHOLDS;
+    }
+}
+
+const thresholds = loadThresholds();
+
+// Risk level from the tourist's status, safety score and the zones they were last seen in
+function assessRiskLevel(tourist, zoneTypes = []) {
+    if (['alert', 'emergency'].includes(tourist.status) ||
+        zoneTypes.some(type => type === 'danger' || type === 'restricted') ||
+        tourist.safetyScore < 50) {
+        return 'high';
+    }
+
+    if (zoneTypes.includes('caution') || tourist.safetyScore < 70) {
+        return 'medium';
+    }
+
+    return 'low';
+}
+
+// Work out which step (if any) is due for a tourist who has been idle `idleMinutes`
+function nextInactivityStep(inactivity, riskLevel, idleMinutes) {
+    const limits = thresholds[riskLevel];
+
+    if (idleMinutes >= limits.alert && !inactivity?.alertId) {
+        return 'alert';
+    }
+
+    if (idleMinutes >= limits.offline && !inactivity?.offlineAt) {
+        return 'offline';
+    }
+
+    return null;
+}
+
+// Types of the fences each tourist is still inside, keyed by tourist id
+async function openZoneTypes(touristIds) {
+    const visits = await GeoFenceVisit.find({
+        touristId: { $in: touristIds },
+        state: { $in: OPEN_STATES }
+    }).populate('fenceId', 'type');
+
+    const zones = new Map();
+    for (const visit of visits) {
+        if (!visit.fenceId) continue;
+
+        const key = visit.touristId.toString();
+        if (!zones.has(key)) zones.set(key, []);
+        zones.get(key).push(visit.fenceId.type);
+    }
+
+    return zones;
+}
+
+function inactivityPayload(tourist, riskLevel, idleMinutes) {
+    return {
+        touristId: tourist._id,
+        name: tourist.userId?.name,
+        phone: tourist.userId?.phone,
+        lastLocation: tourist.currentLocation,
+        riskLevel,
+        idleMinutes: Math.round(idleMinutes)
+    };
+}
+
+async function markOffline(io, tourist, riskLevel, idleMinutes, now) {
+    tourist.inactivity = { riskLevel, offlineAt: now };
+
+    // Alert and emergency statuses take precedence over offline
+    if (tourist.status === 'active') {
+        tourist.status = 'offline';
+    }
+
+    await tourist.save();
+
+    toAuthorities(io, tourist.region).emit('tourist_offline', inactivityPayload(tourist, riskLevel, idleMinutes));
+}
+
+async function raiseInactivityAlert(io, tourist, riskLevel, idleMinutes, now) {
+    const minutes = Math.round(idleMinutes);
+    const alert = new Alert({
+        type: 'inactivity',
+        touristId: tourist._id,
+        location: {
+            lat: tourist.currentLocation.lat,
+            lng: tourist.currentLocation.lng
+        },
+        message: `No location update from ${tourist.userId?.name || 'tourist'} for ${minutes} minutes`,
+        description: `Last seen at ${tourist.currentLocation.timestamp.toISOString()} with ${riskLevel} risk level`,
+        severity: ALERT_SEVERITY[riskLevel],
+        status: 'active'
+    });
+
+    await alert.save();
+
+    tourist.inactivity = {
+        riskLevel,
+        offlineAt: tourist.inactivity?.offlineAt || now,
+        alertId: alert._id,
+        escalatedAt: now
+    };
+    if (tourist.status === 'active') {
+        tourist.status = 'offline';
+    }
+
+    await tourist.save();
+
+    toAuthorities(io, tourist.region).emit('inactivity_alert', {
+        alert,
+        ...inactivityPayload(tourist, riskLevel, idleMinutes)
+    });
+}
+
+// Flag tourists whose last location update is older than their risk level allows.
+// Only tourists sharing their location during a trip with known dates are watched.
+async function checkInactivity(io, now = new Date()) {
+    const earliest = Math.min(...Object.values(thresholds).map(limits => limits.offline));
+
+    const tourists = await Tourist.find({
+        locationSharing: true,
+        'visitDuration.startDate': { $lte: now },
+        'visitDuration.endDate': { $gte: now },
+        'currentLocation.lat': { $exists: true },
+        'currentLocation.timestamp': { $lte: new Date(now.getTime() - earliest * 60 * 1000) },
+        'inactivity.alertId': { $exists: false }
+    }).populate('userId', 'name phone');
+
+    if (!tourists.length) return;
+
+    const zones = await openZoneTypes(tourists.map(tourist => tourist._id));
+
+    for (const tourist of tourists) {
+        try {
+            // Once flagged, keep judging against the risk level the tourist was last seen with
+            const riskLevel = tourist.inactivity?.riskLevel ||
+                assessRiskLevel(tourist, zones.get(tourist._id.toString()));
+            const idleMinutes = (now - tourist.currentLocation.timestamp) / (60 * 1000);
+
+            const step = nextInactivityStep(tourist.inactivity, riskLevel, idleMinutes);
+            if (step === 'alert') {
+                await raiseInactivityAlert(io, tourist, riskLevel, idleMinutes, now);
+            } else if (step === 'offline') {
+                await markOffline(io, tourist, riskLevel, idleMinutes, now);
+            }
+        } catch (error) {
+            console.error('Inactivity check error:', error);
+        }
+    }
+}
+
+// Reset the inactivity state of a tourist who reported a location again.
+// Returns true if the tourist had been marked offline.
+function clearInactivity(tourist) {
+    const wasOffline = Boolean(tourist.inactivity?.offlineAt);
+
+    if (tourist.status === 'offline') {
+        tourist.status = 'active';
+    }
+    tourist.inactivity = undefined;
+
+    return wasOffline;
+}
+
+// Update the last known position of a tourist reporting over the socket
+async function recordActivity(io, touristId, location) {
+    if (!location || location.lat === undefined || location.lng === undefined) return;
+
+    try {
+        const tourist = await Tourist.findById(touristId);
+        if (!tourist) return;
+
+        tourist.currentLocation = {
+            lat: parseFloat(location.lat),
+            lng: parseFloat(location.lng),
+            timestamp: new Date()
+        };
+        const wasOffline = clearInactivity(tourist);
+
+        await tourist.save();
+
+        if (wasOffline) {
+            toAuthorities(io, tourist.region).emit('tourist_online', {
+                touristId: tourist._id,
+                location: tourist.currentLocation
+            });
+        }
+    } catch (error) {
+        console.error('Record tourist activity error:', error);
+    }
+}
+
+function startInactivityMonitor(io, interval = CHECK_INTERVAL) {
+    if (checkTimer) return;
+
+    checkTimer = setInterval(async () => {
+        // Skip a tick rather than overlap a slow check
+        if (checking) return;
+
+        checking = true;
+        try {
+            await checkInactivity(io);
+        } catch (error) {
+            console.error('Inactivity monitor error:', error);
+        } finally {
+            checking = false;
+        }
+    }, interval);
+    checkTimer.unref();
+}
+
+module.exports = {
+    assessRiskLevel,
+    nextInactivityStep,
+    checkInactivity,
+    clearInactivity,
+    recordActivity,
+    startInactivityMonitor
+};
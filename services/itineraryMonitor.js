@@ -0,0 +1,86 @@
+const Alert = require('../models/Alert');
+const Itinerary = require('../models/Itinerary');
+const { toAuthorities } = require('./authorityRooms');
+const {
+    ALERT_SEVERITY,
+    isHigherLevel,
+    stopsReached,
+    evaluateDeviation
+} = require('../utils/itinerary');
+
+async function raiseDeviationAlert(io, itinerary, deviation, location) {
+    const alert = new Alert({
+        type: 'deviation',
+        touristId: itinerary.touristId,
+        location: {
+            lat: location.lat,
+            lng: location.lng
+        },
+        message: `Tourist has deviated from their itinerary (${deviation.level})`,
+        description: deviation.reasons.join('; '),
+        severity: ALERT_SEVERITY[deviation.level],
+        status: 'active'
+    });
+
+    await alert.save();
+
+    if (!io) return alert;
+
+    toAuthorities(io, alert.region).emit('itinerary_deviation', {
+        alert,
+        touristId: itinerary.touristId,
+        itineraryId: itinerary._id,
+        deviation
+    });
+
+    io.to(`tourist_${itinerary.touristId}`).emit('itinerary_deviation', {
+        message: `You appear to be off your planned itinerary: ${deviation.reasons.join('; ')}`,
+        deviation
+    });
+
+    return alert;
+}
+
+// Compare a location update with the tourist's current itinerary: mark stops as
+// reached and raise an alert whenever the deviation grows to a higher level
+async function checkItinerary(io, touristId, location, now = new Date()) {
+    try {
+        const itinerary = await Itinerary.findCurrent(touristId, now);
+        if (!itinerary) return null;
+
+        const lat = parseFloat(location.lat);
+        const lng = parseFloat(location.lng);
+
+        for (const stop of stopsReached(itinerary, lat, lng)) {
+            stop.arrivedAt = now;
+        }
+
+        const deviation = evaluateDeviation(itinerary, lat, lng, now);
+
+        itinerary.deviation.level = deviation.level;
+        itinerary.deviation.offRouteDistance = deviation.offRoute.distance;
+        itinerary.deviation.lateStop = deviation.late.stop;
+        itinerary.deviation.minutesLate = deviation.late.minutesLate;
+        itinerary.deviation.evaluatedAt = now;
+
+        if (isHigherLevel(deviation.level, itinerary.deviation.alertedLevel)) {
+            const alert = await raiseDeviationAlert(io, itinerary, deviation, { lat, lng });
+            itinerary.deviation.alertedLevel = deviation.level;
+            itinerary.deviation.alertId = alert._id;
+        } else if (deviation.level === 'none') {
+            // Back on plan: the next deviation alerts again from the lowest level
+            itinerary.deviation.alertedLevel = 'none';
+        }
+
+        await itinerary.save();
+        return deviation;
+
+    } catch (error) {
+        console.error('Itinerary check error:', error);
+        return null;
+    }
+}
+
+module.exports = {
+    checkItinerary
+};
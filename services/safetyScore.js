@@ -0,0 +1,256 @@
+const Alert = require('../models/Alert');
+const SafetyScoreConfig = require('../models/SafetyScoreConfig');
+const { Tourist } = require('../models/User');
+const fenceIndex = require('./fenceIndex');
+const { distance, pointBounds } = require('../utils/geo');
+const { evaluateFence, isNearFence, resolveRegion } = require('../utils/geoFence');
+const { DEFAULT_TIMEZONE, isFenceInEffect, isValidTimezone, getLocalTime } = require('../utils/fenceSchedule');
+const { resolveFenceOutcome } = require('../utils/fencePolicy');
+
+const { DEFAULT_REGION } = SafetyScoreConfig;
+const DEFAULT_BASE_SCORE = 85;
+
+// Factors are evaluated in registration order. Each returns the points it adds to
+// (or takes from) the base score at a weight of 1, with a summary and details
+// explaining how it got there.
+const factors = new Map();
+
+function registerFactor(name, { label, evaluate }) {
+    factors.set(name, { name, label, evaluate });
+}
+
+function factorNames() {
+    return [...factors.keys()];
+}
+
+// Zones the tourist is in or near, using each fence type's policy (and permits)
+registerFactor('zoneProximity', {
+    label: 'Zone proximity',
+    evaluate({ tourist, at, zones }) {
+        let delta = 0;
+        const details = [];
+
+        for (const { zone, evaluation } of zones) {
+            const outcome = resolveFenceOutcome(zone, tourist, at);
+
+            let zoneDelta = 0;
+            if (evaluation.isInside) {
+                zoneDelta = outcome.insideScoreDelta;
+            } else if (isNearFence(zone, evaluation)) {
+                zoneDelta = outcome.nearScoreDelta;
+            } else {
+                continue;
+            }
+
+            delta += zoneDelta;
+            details.push({
+                fenceId: zone._id,
+                name: zone.name,
+                type: zone.type,
+                isInside: evaluation.isInside,
+                distanceToEdge: Math.round(evaluation.distanceToEdge),
+                delta: zoneDelta
+            });
+        }
+
+        return {
+            delta,
+            summary: details.length
+                ? details.map(zone => `${zone.isInside ? 'Inside' : 'Near'} ${zone.type} zone ${zone.name}`).join('; ')
+                : 'No geo-fenced zones nearby',
+            details: { zones: details }
+        };
+    }
+});
+
+// Night time in the tourist's own timezone
+registerFactor('timeOfDay', {
+    label: 'Time of day',
+    evaluate({ tourist, at }) {
+        const timezone = tourist.timezone && isValidTimezone(tourist.timezone)
+            ? tourist.timezone
+            : DEFAULT_TIMEZONE;
+        const { minutes } = getLocalTime(at, timezone);
+        const hour = Math.floor(minutes / 60);
+        const isNight = hour >= 22 || hour <= 5;
+        const localTime = `${String(hour).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+        return {
+            delta: isNight ? -10 : 0,
+            summary: `${isNight ? 'Night time' : 'Day time'} (${localTime} ${timezone})`,
+            details: { timezone, localTime, period: isNight ? 'night' : 'day' }
+        };
+    }
+});
+
+// Incidents and SOS alerts raised nearby in the last day
+const INCIDENT_RADIUS = 1000;
+const INCIDENT_WINDOW_HOURS = 24;
+
+registerFactor('incidentDensity', {
+    label: 'Incident density',
+    async evaluate({ lat, lng, at }) {
+        const bounds = pointBounds(lat, lng, INCIDENT_RADIUS);
+        const recentAlerts = (await Alert.find({
+            'location.lat': { $gte: bounds.minLat, $lte: bounds.maxLat },
+            'location.lng': { $gte: bounds.minLng, $lte: bounds.maxLng },
+            createdAt: { $gte: new Date(at.getTime() - INCIDENT_WINDOW_HOURS * 60 * 60 * 1000) },
+            type: { $in: ['incident', 'sos'] }
+        }).select('location')).filter(alert =>
+            distance(lat, lng, alert.location.lat, alert.location.lng) <= INCIDENT_RADIUS
+        );
+
+        return {
+            delta: Math.max(-30, recentAlerts.length * -5),
+            summary: `${recentAlerts.length} incident(s) within ${INCIDENT_RADIUS} m in the last ${INCIDENT_WINDOW_HOURS} hours`,
+            details: { count: recentAlerts.length, radius: INCIDENT_RADIUS, windowHours: INCIDENT_WINDOW_HOURS }
+        };
+    }
+});
+
+// Other tourists reporting nearby: being alone and being in a dense crowd both add risk
+const CROWD_RADIUS = 500;
+const CROWD_WINDOW_MINUTES = 30;
+const CROWDED_THRESHOLD = 50;
+
+registerFactor('crowdDensity', {
+    label: 'Crowd density',
+    async evaluate({ lat, lng, tourist, at }) {
+        const bounds = pointBounds(lat, lng, CROWD_RADIUS);
+        const nearby = (await Tourist.find({
+            _id: { $ne: tourist._id },
+            'currentLocation.lat': { $gte: bounds.minLat, $lte: bounds.maxLat },
+            'currentLocation.lng': { $gte: bounds.minLng, $lte: bounds.maxLng },
+            'currentLocation.timestamp': { $gte: new Date(at.getTime() - CROWD_WINDOW_MINUTES * 60 * 1000) }
+        }).select('currentLocation')).filter(other =>
+            distance(lat, lng, other.currentLocation.lat, other.currentLocation.lng) <= CROWD_RADIUS
+        );
+
+        let level = 'moderate';
+        if (!nearby.length) level = 'isolated';
+        else if (nearby.length >= CROWDED_THRESHOLD) level = 'crowded';
+
+        return {
+            delta: level === 'moderate' ? 0 : -5,
+            summary: `${nearby.length} other tourist(s) within ${CROWD_RADIUS} m (${level})`,
+            details: { count: nearby.length, radius: CROWD_RADIUS, level }
+        };
+    }
+});
+
+// Open weather alerts in the area, by their worst severity
+const WEATHER_RADIUS = 10000;
+const WEATHER_WINDOW_HOURS = 12;
+const WEATHER_DELTAS = { low: -2, medium: -5, high: -10, critical: -20 };
+
+registerFactor('weather', {
+    label: 'Weather',
+    async evaluate({ lat, lng, at }) {
+        const bounds = pointBounds(lat, lng, WEATHER_RADIUS);
+        const warnings = (await Alert.find({
+            type: 'weather',
+            status: { $in: ['active', 'acknowledged', 'responding'] },
+            'location.lat': { $gte: bounds.minLat, $lte: bounds.maxLat },
+            'location.lng': { $gte: bounds.minLng, $lte: bounds.maxLng },
+            createdAt: { $gte: new Date(at.getTime() - WEATHER_WINDOW_HOURS * 60 * 60 * 1000) }
+        }).select('location severity message')).filter(alert =>
+            distance(lat, lng, alert.location.lat, alert.location.lng) <= WEATHER_RADIUS
+        );
+
+        const delta = Math.min(0, ...warnings.map(alert => WEATHER_DELTAS[alert.severity] || 0));
+
+        return {
+            delta,
+            summary: warnings.length
+                ? `${warnings.length} weather warning(s) nearby`
+                : 'No weather warnings nearby',
+            details: {
+                warnings: warnings.map(alert => ({ severity: alert.severity, message: alert.message }))
+            }
+        };
+    }
+});
+
+// The tourist's own reported status
+const STATUS_DELTAS = { active: 0, offline: -5, alert: -10, emergency: -20 };
+
+registerFactor('touristStatus', {
+    label: 'Tourist status',
+    evaluate({ tourist }) {
+        return {
+            delta: STATUS_DELTAS[tourist.status] || 0,
+            summary: `Tourist status is ${tourist.status}`,
+            details: { status: tourist.status }
+        };
+    }
+});
+
+// Configuration for a region, falling back to the default region and then to built-ins
+async function loadConfig(region) {
+    const configs = await SafetyScoreConfig.find({ region: { $in: [region, DEFAULT_REGION] } }).lean();
+    const config = configs.find(entry => entry.region === region) ||
+        configs.find(entry => entry.region === DEFAULT_REGION);
+
+    return {
+        region: config ? config.region : DEFAULT_REGION,
+        baseScore: config ? config.baseScore : DEFAULT_BASE_SCORE,
+        weights: config ? config.weights || {} : {}
+    };
+}
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Score a tourist's position, returning the score with a per-factor breakdown
+async function calculateSafetyScore({ lat, lng, tourist, at = new Date() }) {
+    const zones = (await fenceIndex.candidates(lat, lng))
+        .filter(zone => isFenceInEffect(zone, at))
+        .map(zone => ({ zone, evaluation: evaluateFence(zone, lat, lng) }));
+
+    const region = resolveRegion(zones) || DEFAULT_REGION;
+    const config = await loadConfig(region);
+    const context = { lat, lng, tourist, at, zones, region };
+
+    let score = config.baseScore;
+    const breakdown = [];
+
+    for (const factor of factors.values()) {
+        const weight = config.weights[factor.name] ?? 1;
+
+        let result;
+        try {
+            result = await factor.evaluate(context);
+        } catch (error) {
+            console.error(`Safety score factor ${factor.name} error:`, error);
+            result = { delta: 0, summary: 'Unavailable', details: {} };
+        }
+
+        const delta = round(result.delta * weight, 1);
+        score += delta;
+
+        breakdown.push({
+            factor: factor.name,
+            label: factor.label,
+            weight,
+            rawDelta: result.delta,
+            delta,
+            summary: result.summary,
+            details: result.details
+        });
+    }
+
+    return {
+        score: Math.max(0, Math.min(100, Math.round(score))),
+        region,
+        configRegion: config.region,
+        baseScore: config.baseScore,
+        factors: breakdown,
+        computedAt: at
+    };
+}
+
+module.exports = {
+    DEFAULT_BASE_SCORE,
+    registerFactor,
+    factorNames,
+    calculateSafetyScore
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { User } = require('../models/User');
+
+// Access tokens are short-lived; refresh tokens last as long as the session
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const SESSION_TTL = (parseInt(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are `<session id>.<random secret>`; only the hash is stored
+const newRefreshToken = sessionId => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+// Sockets of a session join this room so they can be dropped when it is revoked
+const sessionRoom = sessionId => `session_${sessionId}`;
+
+// Longest device name kept, matching the Session schema
+const MAX_DEVICE_NAME = 100;
+
+function deviceFrom(req) {
+    const deviceName = req.body && req.body.deviceName;
+
+    return {
+        name: typeof deviceName === 'string' ? deviceName.trim().slice(0, MAX_DEVICE_NAME) || undefined : undefined,
+        userAgent: (req.get('User-Agent') || '').slice(0, 500) || undefined,
+        ip: req.ip
+    };
+}
+
+function tokensFor(session, refreshToken) {
+    const token = jwt.sign(
+        { userId: session.userId, userType: session.userType, sessionId: session._id },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRE }
+    );
+
+    return {
+        token,
+        tokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+        refreshToken,
+        sessionId: session._id
+    };
+}
+
+// Sign a user in on a new device
+async function startSession(user, req, now = new Date()) {
+    const session = new Session({
+        userId: user._id,
+        userType: user.userType,
+        device: deviceFrom(req),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + SESSION_TTL)
+    });
+
+    const refreshToken = newRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return tokensFor(session, refreshToken);
+}
+
+// Revoke the matching live sessions and disconnect their sockets. Returns how many were revoked.
+async function revokeSessions(io, filter, reason, now = new Date()) {
+    const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+    if (!sessions.length) return 0;
+
+    const ids = sessions.map(session => session._id);
+    await Session.updateMany(
+        { _id: { $in: ids }, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: reason } }
+    );
+
+    if (io) {
+        ids.forEach(id => io.in(sessionRoom(id)).disconnectSockets(true));
+    }
+
+    return ids.length;
+}
+
+// Exchange a refresh token for a new access token and refresh token. The old
+// refresh token stops working; presenting it again means it was copied, so the
+// whole session is revoked. Resolves to { tokens } or { error }.
+async function rotateSession(io, refreshToken, req, now = new Date()) {
+    const [sessionId] = (typeof refreshToken === 'string' ? refreshToken : '').split('.');
+    if (!mongoose.isValidObjectId(sessionId)) {
+        return { error: 'Invalid refresh token.' };
+    }
+
+    const session = await Session.findById(sessionId).select('+refreshTokenHash +previousTokenHash');
+    if (!session || !session.isValid(now)) {
+        return { error: 'Session expired or revoked.' };
+    }
+
+    const hash = hashToken(refreshToken);
+    if (hash !== session.refreshTokenHash) {
+        if (hash === session.previousTokenHash) {
+            console.warn(`Refresh token reuse on session ${session._id}; revoking it`);
+            await revokeSessions(io, { _id: session._id }, 'token_reuse', now);
+            return { error: 'Refresh token has already been used. Session revoked.' };
+        }
+        return { error: 'Invalid refresh token.' };
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+        await revokeSessions(io, { _id: session._id }, 'deactivated', now);
+        return { error: 'Account is deactivated.' };
+    }
+
+    const nextToken = newRefreshToken(session._id);
+    const { ip, userAgent } = deviceFrom(req);
+
+    // Conditional on the current hash so two concurrent refreshes cannot both succeed
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextToken),
+                previousTokenHash: hash,
+                lastUsedAt: now,
+                'device.ip': ip,
+                'device.userAgent': userAgent
+            }
+        },
+        { new: true }
+    );
+    if (!rotated) {
+        return { error: 'Invalid refresh token.' };
+    }
+
+    return { tokens: tokensFor(rotated, nextToken) };
+}
+
+// Verify an access token and check its session is live and its user active.
+// Resolves to { user } with the decoded token, or { error }; throws JWT errors.
+async function verifyAccessToken(token, now = new Date()) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!mongoose.isValidObjectId(decoded.sessionId)) {
+        return { error: 'Invalid token.' };
+    }
+
+    const [session, user] = await Promise.all([
+        Session.findById(decoded.sessionId),
+        User.findById(decoded.userId)
+    ]);
+
+    if (!session || !session.isValid(now) || session.userId.toString() !== decoded.userId.toString()) {
+        return { error: 'Session expired or revoked.' };
+    }
+    if (!user || !user.isActive) {
+        return { error: 'Account is deactivated.' };
+    }
+
+    return { user: decoded };
+}
+
+// Live sessions of a user, most recently used first
+function listSessions(userId, now = new Date()) {
+    return Session.find({ userId, revokedAt: null, expiresAt: { $gt: now } }).sort({ lastUsedAt: -1 });
+}
+
+module.exports = {
+    sessionRoom,
+    startSession,
+    rotateSession,
+    revokeSessions,
+    verifyAccessToken,
+    listSessions
+};
@@ -0,0 +1,156 @@
+const Alert = require('../models/Alert');
+const LocationHistory = require('../models/LocationHistory');
+const { Tourist } = require('../models/User');
+const socketAuth = require('../middleware/socketAuth');
+const { resolveScope } = require('../middleware/authorize');
+const fenceIndex = require('./fenceIndex');
+const { authorityRooms, toAuthorities } = require('./authorityRooms');
+const { sessionRoom } = require('./sessions');
+const { dispatchSOS } = require('./emergencyDispatch');
+const { checkGeoFencing } = require('./geoFenceMonitor');
+const { recordActivity } = require('./inactivityMonitor');
+const { checkItinerary } = require('./itineraryMonitor');
+
+// Identity and rooms of an authenticated user, derived server-side: tourists get
+// their personal room, authorities theirs plus the rooms of the regions they cover
+async function identify(user) {
+    if (user.userType === 'tourist') {
+        const tourist = await Tourist.findOne({ userId: user.userId }).select('_id');
+        if (!tourist) return null;
+
+        return { touristId: tourist._id.toString(), rooms: [`tourist_${tourist._id}`] };
+    }
+
+    if (user.userType === 'authority') {
+        const scope = await resolveScope(user);
+        if (!scope) return null;
+
+        return { rooms: [`authority_${user.userId}`, ...authorityRooms(scope.regions)] };
+    }
+
+    return null;
+}
+
+const reply = (ack, response) => {
+    if (typeof ack === 'function') ack(response);
+};
+
+const isValidLocation = location => Boolean(location) &&
+    !isNaN(parseFloat(location.lat)) && !isNaN(parseFloat(location.lng));
+
+// Register an event only tourists may send. It always acts on the connected
+// tourist; payloads naming another tourist are rejected.
+function onTouristEvent(socket, event, handler) {
+    socket.on(event, async (data, ack) => {
+        const { touristId } = socket.data;
+        data = data || {};
+
+        if (!touristId) {
+            return reply(ack, { success: false, message: `Only tourists can send ${event}` });
+        }
+
+        if (data.touristId && data.touristId.toString() !== touristId) {
+            console.warn(`Rejected ${event} for tourist ${data.touristId} from tourist ${touristId}`);
+            return reply(ack, { success: false, message: 'Tourist ID does not match the authenticated user' });
+        }
+
+        if (!isValidLocation(data.location)) {
+            return reply(ack, { success: false, message: 'Location coordinates are required' });
+        }
+
+        try {
+            const result = await handler({ ...data, touristId });
+            reply(ack, { success: true, data: result });
+        } catch (error) {
+            console.error(`Socket ${event} error:`, error);
+            reply(ack, { success: false, message: 'Server error' });
+        }
+    });
+}
+
+// SOS raised over the socket, handled like POST /api/emergency/sos
+async function handleSOS(io, user, data) {
+    const tourist = await Tourist.findById(data.touristId).populate('userId', 'name phone email');
+
+    const sosAlert = new Alert({
+        type: 'sos',
+        touristId: tourist._id,
+        location: {
+            lat: parseFloat(data.location.lat),
+            lng: parseFloat(data.location.lng),
+            address: data.location.address
+        },
+        message: data.message || `Emergency SOS from ${tourist.userId.name}`,
+        severity: 'critical',
+        status: 'active',
+        timeline: [{ event: 'created', to: 'active', actor: Alert.actorFor(user) }]
+    });
+
+    await sosAlert.save();
+    await dispatchSOS(io, sosAlert, tourist);
+
+    return { alertId: sosAlert._id };
+}
+
+function handleLocationUpdate(io, data) {
+    const { touristId, location, accuracy, speed, heading, altitude } = data;
+
+    // Update tourist location in real-time
+    fenceIndex.regionNear(location.lat, location.lng)
+        .then(region => toAuthorities(io, region).emit('location_update', data))
+        .catch(error => console.error('Location broadcast error:', error));
+
+    // Keep the trail for responders
+    LocationHistory.record(touristId, { ...location, accuracy, speed, heading, altitude }, 'socket')
+        .catch(error => console.error('Record location history error:', error));
+
+    // Keep the last known position fresh for the inactivity monitor
+    recordActivity(io, touristId, location);
+
+    // Check geo-fencing
+    checkGeoFencing(io, data);
+
+    // Compare with the registered itinerary
+    checkItinerary(io, touristId, location);
+}
+
+// Authenticate connections and wire up real-time events
+function initSocket(io) {
+    io.use(socketAuth);
+
+    io.use(async (socket, next) => {
+        try {
+            const identity = await identify(socket.data.user);
+            if (!identity) {
+                return next(new Error('Access denied. User profile not found.'));
+            }
+
+            socket.data.touristId = identity.touristId;
+            socket.data.rooms = identity.rooms;
+            next();
+        } catch (error) {
+            console.error('Socket identify error:', error);
+            next(new Error('Server error'));
+        }
+    });
+
+    io.on('connection', (socket) => {
+        const { user, rooms } = socket.data;
+        console.log(`User ${user.userId} (${user.userType}) connected:`, socket.id);
+
+        // The session room lets logout and revocation drop this connection
+        socket.join([...rooms, sessionRoom(user.sessionId)]);
+
+        onTouristEvent(socket, 'sos_alert', data => handleSOS(io, user, data));
+        onTouristEvent(socket, 'location_update', data => handleLocationUpdate(io, data));
+
+        socket.on('disconnect', () => {
+            console.log('User disconnected:', socket.id);
+        });
+    });
+}
+
+module.exports = {
+    identify,
+    initSocket
+};
@@ -0,0 +1,254 @@
+const validator = require('validator');
+const Alert = require('../models/Alert');
+const { Tourist, Authority } = require('../models/User');
+const emailService = require('../routes/email');
+const smsService = require('../routes/sms');
+const { toAuthorities } = require('./authorityRooms');
+const { rankResponders } = require('./dispatch');
+const { SUPERVISOR_RANKS, APPROVED_FILTER, rankSeniority } = require('../utils/roles');
+const { escapeXml } = require('../utils/xml');
+
+// How long an alert may stay unacknowledged before each escalation step
+const ACK_TIMEOUT = (parseInt(process.env.SOS_ACK_TIMEOUT_SECONDS) || 120) * 1000;
+const CHECK_INTERVAL = parseInt(process.env.SOS_ESCALATION_INTERVAL_MS) || 15 * 1000;
+
+// On-duty authorities within this distance (meters) are paged directly in the wider ring
+const WIDER_RING_RADIUS = parseInt(process.env.SOS_WIDER_RING_METERS) || 25000;
+const MAX_SUPERVISORS = 5;
+const NATIONAL_HELPLINE = process.env.NATIONAL_HELPLINE_NUMBER || '112';
+
+// Escalation stages, in order
+const STAGES = ['wider_ring', 'supervisors', 'contacts'];
+
+let escalationTimer = null;
+let processing = false;
+
+// Start the acknowledgement clock for a freshly dispatched alert
+function scheduleEscalation(alert, now = new Date()) {
+    alert.escalation.level = 0;
+    alert.escalation.nextAt = new Date(now.getTime() + ACK_TIMEOUT);
+}
+
+// The stage due for an alert, or null if it was acknowledged, is not due yet or has run out of stages
+function nextStage(alert, now) {
+    if (alert.status !== 'active') return null;
+
+    const { level, nextAt } = alert.escalation || {};
+    if (!nextAt || nextAt > now) return null;
+
+    return STAGES[level || 0] || null;
+}
+
+function describe(alert, tourist) {
+    const { lat, lng, address } = alert.location;
+    return `UNACKNOWLEDGED ${alert.type.toUpperCase()}: ${tourist.userId.name} needs help at ` +
+        `${address ? `${address} (${lat}, ${lng})` : `${lat}, ${lng}`}. ` +
+        `Raised ${alert.createdAt.toLocaleString()}, no response yet.`;
+}
+
+async function pageAuthorities(io, alert, tourist, authorities, stage) {
+    const message = describe(alert, tourist);
+
+    return Promise.all(authorities.map(async authority => {
+        const channels = [];
+
+        if (io) {
+            io.to(`authority_${authority.userId._id}`).emit('sos_escalated', {
+                alertId: alert._id,
+                stage,
+                message,
+                alert
+            });
+            channels.push('socket');
+        }
+
+        let delivered = channels.length > 0;
+        if (authority.userId.phone) {
+            const result = await smsService.sendSMS(authority.userId.phone, `SafeTrip: ${message}`);
+            channels.push('sms');
+            delivered = delivered || result.success;
+        }
+
+        return { kind: 'authority', authorityId: authority._id, channels, delivered };
+    }));
+}
+
+// Stage 1: page on-duty authorities near the alert (or working its region) directly,
+// falling back to every on-duty authority when none is close enough
+async function widerRing(io, alert, tourist, now) {
+    const authorities = await Authority.find({ ...APPROVED_FILTER, isOnDuty: true }).populate('userId', 'name phone');
+    const region = alert.region || null;
+    const ranked = rankResponders(alert, authorities, { region, now });
+
+    let ring = ranked.filter(candidate => candidate.distance === null
+        ? candidate.jurisdictionMatch
+        : candidate.distance <= WIDER_RING_RADIUS);
+    if (!ring.length) ring = ranked;
+
+    const recipients = await pageAuthorities(io, alert, tourist, ring.map(candidate => candidate.authority), 'wider_ring');
+
+    return {
+        recipients,
+        note: ring.length < ranked.length
+            ? `Paged ${ring.length} on-duty authorities within ${WIDER_RING_RADIUS / 1000} km` +
+                (region ? ` or working ${region}` : '')
+            : `Paged all ${ring.length} on-duty authorities`
+    };
+}
+
+// Stage 2: page the most senior supervisors, preferring those of the alert's region
+async function supervisors(io, alert, tourist) {
+    const region = alert.region || null;
+    const covers = authority => authority.jurisdiction === region ||
+        (authority.supervisedRegions || []).includes(region);
+    const candidates = (await Authority.find({ ...APPROVED_FILTER, rank: { $in: SUPERVISOR_RANKS.map(rank => new RegExp(`^${rank}$`, 'i')) } })
+        .populate('userId', 'name phone'))
+        .sort((a, b) =>
+            Number(covers(b)) - Number(covers(a)) ||
+            rankSeniority(a.rank) - rankSeniority(b.rank) ||
+            Number(b.isOnDuty) - Number(a.isOnDuty)
+        )
+        .slice(0, MAX_SUPERVISORS);
+
+    const recipients = await pageAuthorities(io, alert, tourist, candidates, 'supervisors');
+
+    return {
+        recipients,
+        note: candidates.length
+            ? `Paged supervisors: ${candidates.map(authority => `${authority.rank} ${authority.officerID}`).join(', ')}`
+            : 'No supervisors found'
+    };
+}
+
+// Stage 3: alert the tourist's emergency contact and the national emergency helpline
+async function contacts(io, alert, tourist) {
+    const { lat, lng } = alert.location;
+    const message = `EMERGENCY: ${tourist.userId.name} raised an SOS on SafeTrip at ${lat}, ${lng} ` +
+        `(${alert.createdAt.toLocaleString()}) and authorities have not yet responded. ` +
+        `Please try to reach them and call ${NATIONAL_HELPLINE} if you cannot.`;
+    const recipients = [];
+
+    if (tourist.emergencyContact) {
+        const byEmail = validator.isEmail(tourist.emergencyContact);
+        const result = byEmail
+            ? await emailService.sendEmail({
+                to: tourist.emergencyContact,
+                subject: `SafeTrip - Emergency for ${tourist.userId.name}`,
+                text: message,
+                html: `<p>${escapeXml(message)}</p>`
+            })
+            : await smsService.sendSMS(tourist.emergencyContact, message);
+
+        recipients.push({
+            kind: 'contact',
+            address: tourist.emergencyContact,
+            channels: [byEmail ? 'email' : 'sms'],
+            delivered: result.success
+        });
+    }
+
+    const helpline = await smsService.sendSMS(NATIONAL_HELPLINE,
+        `SafeTrip SOS relay: ${tourist.userId.name} (${tourist.userId.phone || 'no phone'}) ` +
+        `needs help at ${lat}, ${lng}. Unacknowledged since ${alert.createdAt.toISOString()}.`);
+    recipients.push({ kind: 'helpline', address: NATIONAL_HELPLINE, channels: ['sms'], delivered: helpline.success });
+
+    return {
+        recipients,
+        note: `Emergency contact ${tourist.emergencyContact ? 'notified' : 'not on file'}; ` +
+            `national helpline ${NATIONAL_HELPLINE} ${helpline.success ? 'notified' : 'could not be reached'}`
+    };
+}
+
+const STAGE_HANDLERS = {
+    wider_ring: widerRing,
+    supervisors,
+    contacts
+};
+
+// Run the next escalation stage for an alert, record it and schedule the one after
+async function escalateAlert(io, alert, now = new Date()) {
+    const stage = nextStage(alert, now);
+    if (!stage) return null;
+
+    const tourist = await Tourist.findById(alert.touristId).populate('userId', 'name phone email');
+    if (!tourist) {
+        alert.escalation.nextAt = undefined;
+        await alert.save();
+        return null;
+    }
+
+    const { recipients, note } = await STAGE_HANDLERS[stage](io, alert, tourist, now);
+    const level = alert.escalation.level + 1;
+    const step = { stage, level, at: now, recipients, note };
+
+    alert.escalation.steps.push(step);
+    alert.timeline.push({ event: 'escalation', comment: note, at: now });
+    alert.escalation.level = level;
+    if (level < STAGES.length) {
+        alert.escalation.nextAt = new Date(now.getTime() + ACK_TIMEOUT);
+    } else {
+        alert.escalation.nextAt = undefined;
+        alert.escalation.exhaustedAt = now;
+    }
+    await alert.save();
+
+    if (io) {
+        const event = {
+            alertId: alert._id,
+            touristId: tourist._id,
+            stage,
+            level,
+            note,
+            nextAt: alert.escalation.nextAt,
+            exhausted: Boolean(alert.escalation.exhaustedAt)
+        };
+        toAuthorities(io, alert.region).emit('sos_escalation', event);
+        io.to(`tourist_${tourist._id}`).emit('sos_escalation', event);
+    }
+
+    return step;
+}
+
+// Escalate every active alert whose acknowledgement deadline has passed
+async function processEscalations(io, now = new Date()) {
+    const alerts = await Alert.find({
+        status: 'active',
+        'escalation.nextAt': { $lte: now }
+    });
+
+    for (const alert of alerts) {
+        try {
+            await escalateAlert(io, alert, now);
+        } catch (error) {
+            console.error('SOS escalation error:', error);
+        }
+    }
+}
+
+function startSOSEscalation(io, interval = CHECK_INTERVAL) {
+    if (escalationTimer) return;
+
+    escalationTimer = setInterval(async () => {
+        // Skip a tick rather than overlap a slow run
+        if (processing) return;
+
+        processing = true;
+        try {
+            await processEscalations(io);
+        } catch (error) {
+            console.error('SOS escalation monitor error:', error);
+        } finally {
+            processing = false;
+        }
+    }, interval);
+    escalationTimer.unref();
+}
+
+module.exports = {
+    STAGES,
+    scheduleEscalation,
+    nextStage,
+    escalateAlert,
+    processEscalations,
+    startSOSEscalation
+};
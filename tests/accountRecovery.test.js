@@ -0,0 +1,227 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const AccountToken = require('../models/AccountToken');
+const Session = require('../models/Session');
+const { User } = require('../models/User');
+const emailService = require('../routes/email');
+const authRoutes = require('../routes/auth');
+
+const app = express();
+app.set('trust proxy', true);
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const USER_ID = '64b000000000000000000001';
+
+const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const user = (fields) => ({
+    _id: USER_ID,
+    name: 'Asha <Rao>',
+    email: 'asha@example.com',
+    isActive: true,
+    emailVerified: false,
+    save: jest.fn().mockResolvedValue(),
+    ...fields
+});
+
+beforeEach(() => {
+    jest.spyOn(emailService, 'sendEmail').mockResolvedValue({ success: true });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('account tokens', () => {
+    test('are stored hashed and invalidate earlier tokens of the same purpose', async () => {
+        const now = new Date('2026-01-01T00:00:00Z');
+        const invalidate = jest.spyOn(AccountToken, 'updateMany').mockResolvedValue({});
+        const create = jest.spyOn(AccountToken, 'create').mockResolvedValue({});
+
+        const { token, expiresAt } = await AccountToken.issue(USER_ID, 'password_reset', now);
+
+        expect(invalidate).toHaveBeenCalledWith(
+            { userId: USER_ID, purpose: 'password_reset', usedAt: null },
+            { $set: { usedAt: now } }
+        );
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({ tokenHash: hash(token), purpose: 'password_reset' }));
+        expect(JSON.stringify(create.mock.calls[0])).not.toContain(token);
+        expect(expiresAt - now).toBe(AccountToken.TOKEN_TTL.password_reset);
+    });
+
+    test('are consumed once, only before they expire', async () => {
+        const now = new Date();
+        const update = jest.spyOn(AccountToken, 'findOneAndUpdate').mockResolvedValue(null);
+
+        await AccountToken.consume('abc', 'email_verification', now);
+
+        expect(update).toHaveBeenCalledWith(
+            { tokenHash: hash('abc'), purpose: 'email_verification', usedAt: null, expiresAt: { $gt: now } },
+            { $set: { usedAt: now } },
+            { new: true }
+        );
+        expect(await AccountToken.consume({ $ne: null }, 'password_reset')).toBeNull();
+        expect(update).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+    const forgot = email => request(app).post('/api/auth/forgot-password').send({ email });
+
+    // Lets the reset email, sent after the response, go out
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    test('emails a reset link to existing accounts', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValue(user());
+        jest.spyOn(AccountToken, 'issue').mockResolvedValue({ token: 'reset-token', expiresAt: new Date() });
+
+        const res = await forgot('asha@example.com');
+        await flush();
+
+        expect(res.status).toBe(200);
+        expect(AccountToken.issue).toHaveBeenCalledWith(USER_ID, 'password_reset');
+        const [mail] = emailService.sendEmail.mock.calls[0];
+        expect(mail.to).toBe('asha@example.com');
+        expect(mail.html).toContain('/reset-password?token=reset-token');
+        expect(mail.html).toContain('Asha &lt;Rao&gt;');
+    });
+
+    test('responds the same for unknown and deactivated accounts without sending anything', async () => {
+        const issue = jest.spyOn(AccountToken, 'issue');
+        jest.spyOn(User, 'findOne')
+            .mockResolvedValueOnce(null)
+            .mockResolvedValueOnce(user({ isActive: false }));
+
+        const unknown = await forgot('nobody@example.com');
+        const deactivated = await forgot('gone@example.com');
+
+        expect(unknown.status).toBe(200);
+        expect(deactivated.body).toEqual(unknown.body);
+        expect(issue).not.toHaveBeenCalled();
+        expect(emailService.sendEmail).not.toHaveBeenCalled();
+    });
+
+    test('is rate limited per email address', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+        const statuses = [];
+        for (let i = 0; i < 6; i++) {
+            statuses.push((await forgot('Target@example.com')).status);
+        }
+
+        expect(statuses).toEqual([200, 200, 200, 200, 200, 429]);
+        expect((await forgot('other@example.com')).status).toBe(200);
+    });
+
+    test('does not wait on the email before responding', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValue(user());
+        jest.spyOn(AccountToken, 'issue').mockResolvedValue({ token: 'reset-token', expiresAt: new Date() });
+        emailService.sendEmail.mockReturnValue(new Promise(() => {}));
+
+        const res = await forgot('asha@example.com');
+
+        expect(res.status).toBe(200);
+    });
+
+    test('logs failed emails without failing the request', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValue(user());
+        jest.spyOn(AccountToken, 'issue').mockRejectedValue(new Error('db down'));
+        const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const res = await forgot('asha@example.com');
+        await flush();
+
+        expect(res.status).toBe(200);
+        expect(logged).toHaveBeenCalledWith('Password reset email error:', expect.any(Error));
+    });
+
+    test('is rate limited per client across email addresses', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValue(null);
+        const forgotFrom = (ip, email) => request(app).post('/api/auth/forgot-password')
+            .set('X-Forwarded-For', ip)
+            .send({ email });
+
+        const statuses = [];
+        for (let i = 0; i < 21; i++) {
+            statuses.push((await forgotFrom('203.0.113.7', `probe${i}@example.com`)).status);
+        }
+
+        expect(statuses.slice(0, 20)).toEqual(Array(20).fill(200));
+        expect(statuses[20]).toBe(429);
+        expect((await forgotFrom('203.0.113.8', 'probe0@example.com')).status).toBe(200);
+    });
+});
+
+describe('POST /api/auth/reset-password', () => {
+    const reset = body => request(app).post('/api/auth/reset-password').send(body);
+
+    test('sets the new password, signs out every session and confirms by email', async () => {
+        const account = user();
+        jest.spyOn(AccountToken, 'consume').mockResolvedValue({ userId: USER_ID });
+        jest.spyOn(User, 'findById').mockResolvedValue(account);
+        const find = jest.spyOn(Session, 'find').mockReturnValue({ select: () => Promise.resolve([{ _id: 's1' }]) });
+        const revoke = jest.spyOn(Session, 'updateMany').mockResolvedValue({});
+
+        const res = await reset({ token: 'reset-token', password: 'new-password' });
+
+        expect(res.status).toBe(200);
+        expect(AccountToken.consume).toHaveBeenCalledWith('reset-token', 'password_reset');
+        expect(account.password).toBe('new-password');
+        expect(account.emailVerified).toBe(true);
+        expect(account.save).toHaveBeenCalled();
+        expect(find).toHaveBeenCalledWith({ userId: USER_ID, revokedAt: null });
+        expect(revoke).toHaveBeenCalledWith(
+            expect.anything(),
+            { $set: expect.objectContaining({ revokedReason: 'password_reset' }) }
+        );
+        expect(emailService.sendEmail.mock.calls[0][0].subject).toMatch(/password was changed/);
+    });
+
+    test('rejects used, expired or unknown tokens', async () => {
+        jest.spyOn(AccountToken, 'consume').mockResolvedValue(null);
+
+        const res = await reset({ token: 'used-token', password: 'new-password' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Invalid or expired reset token');
+    });
+
+    test('does not use up the token for a weak password', async () => {
+        const consume = jest.spyOn(AccountToken, 'consume');
+
+        const res = await reset({ token: 'reset-token', password: 'short' });
+
+        expect(res.status).toBe(400);
+        expect(consume).not.toHaveBeenCalled();
+    });
+});
+
+describe('POST /api/auth/verify-email', () => {
+    const verify = token => request(app).post('/api/auth/verify-email').send({ token });
+
+    test('marks the email verified', async () => {
+        const account = user();
+        jest.spyOn(AccountToken, 'consume').mockResolvedValue({ userId: USER_ID });
+        jest.spyOn(User, 'findById').mockResolvedValue(account);
+
+        const res = await verify('verify-token');
+
+        expect(res.status).toBe(200);
+        expect(AccountToken.consume).toHaveBeenCalledWith('verify-token', 'email_verification');
+        expect(account.emailVerified).toBe(true);
+        expect(account.emailVerifiedAt).toBeInstanceOf(Date);
+        expect(account.save).toHaveBeenCalled();
+    });
+
+    test('rejects invalid tokens', async () => {
+        jest.spyOn(AccountToken, 'consume').mockResolvedValue(null);
+
+        const res = await verify('bad-token');
+
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,110 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const Alert = require('../models/Alert');
+const Session = require('../models/Session');
+const { User, Authority } = require('../models/User');
+const alertRoutes = require('../routes/alerts');
+
+const app = express();
+app.use(express.json());
+app.use('/api/alerts', alertRoutes);
+
+const USER_ID = '64b000000000000000000001';
+const SESSION_ID = '64b000000000000000000002';
+const ALERT_ID = '64b0000000000000000000a1';
+
+const ADMIN = {
+    _id: '64b0000000000000000000aa',
+    userId: USER_ID,
+    department: 'Police Department',
+    rank: 'Commissioner',
+    jurisdiction: 'Goa'
+};
+
+// An alert as loaded from MongoDB, acknowledged once
+const loadAlert = (fields) => Alert.hydrate({
+    _id: ALERT_ID,
+    __v: 0,
+    type: 'security',
+    touristId: '64b0000000000000000000c1',
+    location: { lat: 15.49, lng: 73.82 },
+    region: 'Goa',
+    message: 'Suspicious activity',
+    status: 'acknowledged',
+    timeline: [
+        { event: 'created', to: 'active' },
+        { event: 'status', from: 'active', to: 'acknowledged' }
+    ],
+    ...fields
+});
+
+const archive = (body) => request(app)
+    .delete(`/api/alerts/${ALERT_ID}`)
+    .set('Authorization', `Bearer ${jwt.sign({ userId: USER_ID, userType: 'authority', sessionId: SESSION_ID }, process.env.JWT_SECRET)}`)
+    .send(body);
+
+beforeEach(() => {
+    jest.spyOn(Session, 'findById').mockResolvedValue(
+        new Session({ _id: SESSION_ID, userId: USER_ID, userType: 'authority', expiresAt: new Date(Date.now() + 60000) }));
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: USER_ID, isActive: true });
+    jest.spyOn(Authority, 'findOne').mockResolvedValue(ADMIN);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('DELETE /api/alerts/:id', () => {
+    test('closes and archives the alert instead of deleting it', async () => {
+        const alert = loadAlert();
+        jest.spyOn(Alert, 'findOne').mockResolvedValue(alert);
+        const update = jest.spyOn(Alert.collection, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+        const remove = jest.spyOn(Alert, 'findOneAndDelete');
+
+        const res = await archive({ comment: 'Duplicate report' });
+
+        expect(res.status).toBe(200);
+        expect(remove).not.toHaveBeenCalled();
+        expect(update).toHaveBeenCalled();
+        expect(alert.status).toBe('closed');
+        expect(alert.archivedAt).toBeInstanceOf(Date);
+        expect(alert.timeline.slice(2).map(({ event, to, comment }) => ({ event, to, comment }))).toEqual([
+            { event: 'status', to: 'closed', comment: 'Duplicate report' },
+            { event: 'archived', to: undefined, comment: 'Duplicate report' }
+        ]);
+        expect(alert.timeline[3].actor.authorityId.toString()).toBe(ADMIN._id);
+    });
+
+    test('archives closed alerts without another status change', async () => {
+        const alert = loadAlert({ status: 'closed' });
+        jest.spyOn(Alert, 'findOne').mockResolvedValue(alert);
+        jest.spyOn(Alert.collection, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+
+        const res = await archive();
+
+        expect(res.status).toBe(200);
+        expect(alert.timeline.slice(2).map(entry => entry.event)).toEqual(['archived']);
+    });
+
+    test('rejects alerts that are already archived', async () => {
+        jest.spyOn(Alert, 'findOne').mockResolvedValue(loadAlert({ status: 'closed', archivedAt: new Date() }));
+        const update = jest.spyOn(Alert.collection, 'updateOne');
+
+        const res = await archive();
+
+        expect(res.status).toBe(409);
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    test('still refuses status changes that skip the timeline', async () => {
+        const alert = loadAlert();
+        alert.archive({ userType: 'system' });
+
+        alert.status = 'active';
+
+        await expect(alert.save()).rejects.toThrow(/transition/);
+    });
+});
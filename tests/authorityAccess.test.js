@@ -0,0 +1,312 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const AccountToken = require('../models/AccountToken');
+const Alert = require('../models/Alert');
+const Incident = require('../models/Incident');
+const Session = require('../models/Session');
+const { User, Tourist, Authority } = require('../models/User');
+const authorize = require('../middleware/authorize');
+const { roleFor, hasRole, jurisdictionsFor, regionFilter, inRegions } = require('../utils/roles');
+const { authorityRooms } = require('../services/authorityRooms');
+const emailService = require('../routes/email');
+const alertRoutes = require('../routes/alerts');
+const authRoutes = require('../routes/auth');
+const authorityRoutes = require('../routes/authority');
+const emergencyRoutes = require('../routes/emergency');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/authority', authorityRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/emergency', emergencyRoutes);
+
+const USER_ID = '64b000000000000000000001';
+const SESSION_ID = '64b000000000000000000002';
+const SAMPLE_PARAMS = { z: '4', x: '11', y: '7', region: 'goa' };
+
+const token = (userType) => jwt.sign({ userId: USER_ID, userType, sessionId: SESSION_ID }, process.env.JWT_SECRET);
+
+// Every route on the authority router, with sample values filled in for its params
+const endpoints = authorityRoutes.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+        method,
+        path: '/api/authority' + layer.route.path.replace(/:(\w+)/g, (_, name) =>
+            SAMPLE_PARAMS[name] || '64b0000000000000000000ff')
+    })));
+
+const send = ({ method, path }, userType) => {
+    const req = request(app)[method](path);
+    return userType ? req.set('Authorization', `Bearer ${token(userType)}`) : req;
+};
+
+const officer = (fields) => ({
+    _id: '64b0000000000000000000aa',
+    userId: USER_ID,
+    officerID: 'OFF-1',
+    department: 'Police Department',
+    rank: 'Officer',
+    jurisdiction: 'Goa',
+    ...fields
+});
+
+// Every token belongs to a live session of an active user
+beforeEach(() => {
+    jest.spyOn(Session, 'findById').mockResolvedValue(
+        new Session({ _id: SESSION_ID, userId: USER_ID, userType: 'authority', expiresAt: new Date(Date.now() + 60000) }));
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: USER_ID, isActive: true });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('every authority route declares a role', () => {
+    expect(endpoints.length).toBeGreaterThanOrEqual(18);
+
+    authorityRoutes.stack.filter(layer => layer.route).forEach(layer => {
+        expect(layer.route.stack.some(handler => handler.handle.minimumRole)).toBe(true);
+    });
+});
+
+test('every alert route and the SOS status route declare a role', () => {
+    const routesOf = router => router.stack.filter(layer => layer.route).map(layer => layer.route);
+    const sosStatus = routesOf(emergencyRoutes).find(route => route.path === '/sos/:id/status');
+
+    [...routesOf(alertRoutes), sosStatus].forEach(route => {
+        expect(route.stack.some(handler => handler.handle.minimumRole)).toBe(true);
+    });
+});
+
+describe.each(endpoints)('$method $path', (endpoint) => {
+    test('rejects tourists with 403', async () => {
+        const findOne = jest.spyOn(Authority, 'findOne');
+
+        const res = await send(endpoint, 'tourist');
+
+        expect(res.status).toBe(403);
+        expect(res.body.success).toBe(false);
+        expect(findOne).not.toHaveBeenCalled();
+    });
+
+    test('rejects requests without a token with 401', async () => {
+        const res = await send(endpoint);
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('authority roles', () => {
+    test('are derived from department and rank', () => {
+        expect(roleFor('tourist', officer())).toBeNull();
+        expect(roleFor('authority', null)).toBeNull();
+        expect(roleFor('authority', officer({ department: 'Tourism Department' }))).toBe('viewer');
+        expect(roleFor('authority', officer())).toBe('responder');
+        expect(roleFor('authority', officer({ department: 'Medical Department' }))).toBe('responder');
+        expect(roleFor('authority', officer({ rank: 'inspector' }))).toBe('supervisor');
+        expect(roleFor('authority', officer({ department: 'Tourism Department', rank: 'Sub-Inspector' })))
+            .toBe('supervisor');
+        expect(roleFor('authority', officer({ rank: 'Superintendent' }))).toBe('admin');
+    });
+
+    test('include the privileges of lower roles', () => {
+        expect(hasRole('admin', 'viewer')).toBe(true);
+        expect(hasRole('supervisor', 'responder')).toBe(true);
+        expect(hasRole('responder', 'supervisor')).toBe(false);
+        expect(hasRole(null, 'viewer')).toBe(false);
+    });
+
+    test('authorities without a profile get 403', async () => {
+        jest.spyOn(Authority, 'findOne').mockResolvedValue(null);
+
+        const res = await send({ method: 'get', path: '/api/authority/analytics' }, 'authority');
+        expect(res.status).toBe(403);
+    });
+
+    test('viewers cannot reach responder routes', async () => {
+        jest.spyOn(Authority, 'findOne').mockResolvedValue(officer({ department: 'Tourism Department' }));
+
+        const res = await send({ method: 'get', path: '/api/authority/tourists' }, 'authority');
+        expect(res.status).toBe(403);
+        expect(res.body.message).toMatch(/responder/);
+    });
+
+    test('responders cannot change safety score configuration', async () => {
+        jest.spyOn(Authority, 'findOne').mockResolvedValue(officer());
+
+        const res = await send({ method: 'delete', path: '/api/authority/safety-score/config/goa' }, 'authority');
+        expect(res.status).toBe(403);
+    });
+
+    test.each([
+        ['get', '/api/alerts'],
+        ['get', '/api/alerts/64b0000000000000000000ff'],
+        ['put', '/api/alerts/64b0000000000000000000ff/status'],
+        ['put', '/api/emergency/sos/64b0000000000000000000ff/status']
+    ])('viewers cannot %s %s', async (method, path) => {
+        jest.spyOn(Authority, 'findOne').mockResolvedValue(officer({ department: 'Tourism Department' }));
+        const find = jest.spyOn(Alert, 'find');
+        const findOne = jest.spyOn(Alert, 'findOne');
+
+        const res = await send({ method, path }, 'authority');
+
+        expect(res.status).toBe(403);
+        expect(res.body.message).toMatch(/responder/);
+        expect(find).not.toHaveBeenCalled();
+        expect(findOne).not.toHaveBeenCalled();
+    });
+
+    test('only admins can archive alerts', async () => {
+        jest.spyOn(Authority, 'findOne').mockResolvedValue(officer({ rank: 'Inspector' }));
+        const findOne = jest.spyOn(Alert, 'findOne');
+
+        const res = await send({ method: 'delete', path: '/api/alerts/64b0000000000000000000ff' }, 'authority');
+
+        expect(res.status).toBe(403);
+        expect(res.body.message).toMatch(/admin/);
+        expect(findOne).not.toHaveBeenCalled();
+    });
+
+    test('tourists still reach their own alerts', async () => {
+        const touristId = '64b0000000000000000000cc';
+        jest.spyOn(Tourist, 'findOne').mockResolvedValue({ _id: touristId });
+        const authorityLookup = jest.spyOn(Authority, 'findOne');
+        const query = { populate: () => query, then: resolve => resolve(null) };
+        const findOne = jest.spyOn(Alert, 'findOne').mockReturnValue(query);
+
+        const res = await send({ method: 'get', path: '/api/alerts/64b0000000000000000000ff' }, 'tourist');
+
+        expect(res.status).toBe(404);
+        expect(findOne).toHaveBeenCalledWith({ _id: '64b0000000000000000000ff', touristId });
+        expect(authorityLookup).not.toHaveBeenCalled();
+    });
+
+    test('officers awaiting approval are viewers whatever their rank', () => {
+        expect(roleFor('authority', officer({ rank: 'Commissioner', approvalStatus: 'pending' }))).toBe('viewer');
+        expect(roleFor('authority', officer({ rank: 'Commissioner', approvalStatus: 'approved' }))).toBe('admin');
+    });
+
+    test('self-registered officers cannot claim an admin rank', async () => {
+        let profile = null;
+        jest.spyOn(User, 'findOne').mockResolvedValue(null);
+        jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(Authority.prototype, 'save').mockImplementation(function() {
+            profile = this;
+            return Promise.resolve(this);
+        });
+        jest.spyOn(Authority, 'findOne').mockImplementation(query => Promise.resolve(query.userId ? profile : null));
+        jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(AccountToken, 'issue').mockResolvedValue({ token: 'verify', expiresAt: new Date() });
+        jest.spyOn(emailService, 'sendEmail').mockResolvedValue({ success: true });
+
+        const registered = await request(app).post('/api/auth/register/authority').send({
+            name: 'Self Promoted',
+            email: 'self@example.com',
+            phone: '+919876543210',
+            password: 'password123',
+            officerID: 'OFF-99',
+            department: 'Police Department',
+            rank: 'Commissioner',
+            jurisdiction: 'Goa'
+        });
+
+        expect(registered.status).toBe(201);
+        expect(profile.rank).toBe('Officer');
+        expect(profile.approvalStatus).toBe('pending');
+
+        Session.findById.mockResolvedValue(new Session({
+            _id: registered.body.data.sessionId,
+            userId: profile.userId,
+            userType: 'authority',
+            expiresAt: new Date(Date.now() + 60000)
+        }));
+
+        const res = await request(app)
+            .delete('/api/authority/safety-score/config/goa')
+            .set('Authorization', `Bearer ${registered.body.data.token}`);
+
+        expect(res.status).toBe(403);
+        expect(res.body.message).toMatch(/admin/);
+    });
+
+    test('sufficient roles pass through with the profile attached', async () => {
+        const profile = officer({ rank: 'Inspector' });
+        jest.spyOn(Authority, 'findOne').mockResolvedValue(profile);
+
+        const req = { user: { userId: USER_ID, userType: 'authority' } };
+        const next = jest.fn();
+
+        await authorize('responder')(req, {}, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(req.authority).toBe(profile);
+        expect(req.role).toBe('supervisor');
+    });
+});
+
+describe('jurisdiction scope', () => {
+    test('limits authorities to their jurisdiction, supervisors to the regions they oversee', () => {
+        const supervisor = officer({ rank: 'Inspector', supervisedRegions: ['Sikkim', 'Goa'] });
+
+        expect(jurisdictionsFor(officer({ supervisedRegions: ['Sikkim'] }), 'responder')).toEqual(['Goa']);
+        expect(jurisdictionsFor(supervisor, 'supervisor')).toEqual(['Goa', 'Sikkim']);
+        expect(jurisdictionsFor(officer({ rank: 'Commissioner' }), 'admin')).toBeNull();
+    });
+
+    test('filters records by region, keeping those outside every region visible', () => {
+        expect(regionFilter(['Goa'])).toEqual({ region: { $in: ['Goa', null] } });
+        expect(regionFilter(null)).toEqual({});
+
+        expect(inRegions(['Goa'], 'Goa')).toBe(true);
+        expect(inRegions(['Goa'], 'Sikkim')).toBe(false);
+        expect(inRegions(['Goa'], undefined)).toBe(true);
+        expect(inRegions(null, 'Sikkim')).toBe(true);
+    });
+
+    test('partitions socket rooms by region', () => {
+        expect(authorityRooms(['Goa', 'Sikkim'])).toEqual(['authorities', 'authorities:Goa', 'authorities:Sikkim']);
+        expect(authorityRooms(null)).toEqual(['authorities', 'authorities:all']);
+    });
+
+    test('limits heatmaps to the jurisdiction', async () => {
+        jest.spyOn(Authority, 'findOne').mockResolvedValue(officer());
+        const alerts = jest.spyOn(Alert, 'aggregate').mockResolvedValue([]);
+        const incidents = jest.spyOn(Incident, 'aggregate').mockResolvedValue([]);
+        const tourists = jest.spyOn(Tourist, 'aggregate').mockResolvedValue([]);
+
+        const res = await send({ method: 'get', path: '/api/authority/heatmap?layers=alerts,incidents,tourists' }, 'authority');
+
+        expect(res.status).toBe(200);
+        [alerts, incidents, tourists].forEach(aggregate => {
+            expect(aggregate.mock.calls[0][0][0].$match.region).toEqual({ $in: ['Goa', null] });
+        });
+    });
+
+    test('keeps live tourist positions from viewers', async () => {
+        jest.spyOn(Authority, 'findOne').mockResolvedValue(officer({ department: 'Tourism Department' }));
+        const tourists = jest.spyOn(Tourist, 'aggregate');
+
+        const res = await send({ method: 'get', path: '/api/authority/heatmap/tiles/4/11/7?layers=tourists' }, 'authority');
+
+        expect(res.status).toBe(403);
+        expect(res.body.message).toMatch(/responder/);
+        expect(tourists).not.toHaveBeenCalled();
+    });
+
+    test('hides tourists outside the jurisdiction', async () => {
+        jest.spyOn(Authority, 'findOne').mockResolvedValue(officer());
+        const findOne = jest.spyOn(Tourist, 'findOne').mockReturnValue({ populate: () => Promise.resolve(null) });
+
+        const res = await send({ method: 'get', path: '/api/authority/tourists/64b0000000000000000000ff/trail' }, 'authority');
+
+        expect(res.status).toBe(404);
+        expect(findOne).toHaveBeenCalledWith(expect.objectContaining({ region: { $in: ['Goa', null] } }));
+    });
+});
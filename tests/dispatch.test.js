@@ -0,0 +1,120 @@
+const Incident = require('../models/Incident');
+const { Authority } = require('../models/User');
+const { rankResponders, selectResponder, knownDutyLocation } = require('../services/dispatch');
+const { destinationPoint } = require('../utils/geo');
+
+const NOW = new Date('2026-03-01T10:00:00Z');
+const SCENE = { lat: 15.49, lng: 73.82 };
+const INCIDENT = { type: 'theft', location: SCENE };
+
+// On-duty officer reporting from `km` kilometers north of the scene (or nowhere)
+const officer = (id, km, fields) => ({
+    _id: id,
+    officerID: `OFF-${id.slice(-2)}`,
+    department: 'Police Department',
+    jurisdiction: 'Goa',
+    isOnDuty: true,
+    dutyLocation: km === null ? undefined : { ...destinationPoint(SCENE.lat, SCENE.lng, 0, km * 1000), timestamp: NOW },
+    ...fields
+});
+
+const ids = ranked => ranked.map(candidate => candidate.authority._id);
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('rankResponders', () => {
+    test('ranks by distance when nothing else differs', () => {
+        const ranked = rankResponders(INCIDENT, [officer('b1', 5), officer('b2', 1), officer('b3', 3)], { region: 'Goa', now: NOW });
+
+        expect(ids(ranked)).toEqual(['b2', 'b3', 'b1']);
+        expect(ranked[0].distance).toBeCloseTo(1000, -1);
+        expect(ranked[0].score).toBeCloseTo(1, 1);
+    });
+
+    test('adds 2 km per open case', () => {
+        const caseloads = new Map([['b1', 3]]);
+
+        const ranked = rankResponders(INCIDENT, [officer('b1', 1), officer('b2', 6)], { caseloads, region: 'Goa', now: NOW });
+
+        expect(ids(ranked)).toEqual(['b2', 'b1']);
+        expect(ranked[1]).toEqual(expect.objectContaining({ caseload: 3 }));
+        expect(ranked[1].score).toBeCloseTo(7, 1);
+    });
+
+    test('penalizes working outside the jurisdiction by 10 km', () => {
+        const ranked = rankResponders(INCIDENT, [
+            officer('b1', 1, { jurisdiction: 'Sikkim' }),
+            officer('b2', 10)
+        ], { region: 'Goa', now: NOW });
+
+        expect(ids(ranked)).toEqual(['b2', 'b1']);
+        expect(ranked[1].jurisdictionMatch).toBe(false);
+        expect(ranked[1].score).toBeCloseTo(11, 1);
+    });
+
+    test('does not penalize jurisdiction for incidents outside mapped regions', () => {
+        const ranked = rankResponders(INCIDENT, [officer('b1', 1, { jurisdiction: 'Sikkim' })], { now: NOW });
+
+        expect(ranked[0].score).toBeCloseTo(1, 1);
+    });
+
+    test('prefers the primary department, then secondary ones, then any other', () => {
+        const medical = { type: 'medical', location: SCENE };
+
+        const ranked = rankResponders(medical, [
+            officer('b1', 1, { department: 'Police Department' }),
+            officer('b2', 1, { department: 'Emergency Services' }),
+            officer('b3', 1, { department: 'Medical Department' })
+        ], { region: 'Goa', now: NOW });
+
+        expect(ids(ranked)).toEqual(['b3', 'b2', 'b1']);
+        expect(ranked.map(candidate => Math.round(candidate.score))).toEqual([1, 6, 21]);
+        expect(ranked[0].departmentMatch).toBe(true);
+    });
+
+    test('treats missing or stale duty locations as 50 km away', () => {
+        const stale = officer('b2', 1);
+        stale.dutyLocation.timestamp = new Date(NOW.getTime() - 3 * 60 * 60 * 1000);
+
+        const ranked = rankResponders(INCIDENT, [officer('b1', null), stale, officer('b3', 40)], { region: 'Goa', now: NOW });
+
+        expect(ids(ranked)).toEqual(['b3', 'b1', 'b2']);
+        expect(ranked[1]).toEqual(expect.objectContaining({ distance: null, score: 50 }));
+        expect(knownDutyLocation(stale, NOW)).toBeNull();
+    });
+});
+
+describe('selectResponder', () => {
+    test('picks the best ranked officer and explains why', async () => {
+        const find = jest.spyOn(Authority, 'find').mockResolvedValue([officer('64b0000000000000000000b1', 8), officer('64b0000000000000000000b2', 2)]);
+        jest.spyOn(Incident, 'aggregate').mockResolvedValue([]);
+
+        const { authority, dispatch } = await selectResponder({ ...INCIDENT, region: 'Goa' }, NOW);
+
+        expect(find).toHaveBeenCalledWith(expect.objectContaining({ approvalStatus: { $ne: 'pending' }, isOnDuty: true }));
+        expect(authority._id).toBe('64b0000000000000000000b2');
+        expect(dispatch.candidates.map(candidate => candidate.authorityId)).toEqual(['64b0000000000000000000b2', '64b0000000000000000000b1']);
+        expect(dispatch.reasoning).toMatch(/OFF-b2, 2\.0 km away, 0 open case\(s\), jurisdiction Goa/);
+    });
+
+    test('falls back to any on-duty officer when no department matches', async () => {
+        const find = jest.spyOn(Authority, 'find')
+            .mockResolvedValueOnce([])
+            .mockResolvedValueOnce([officer('64b0000000000000000000b1', 2, { department: 'Tourism Department' })]);
+        jest.spyOn(Incident, 'aggregate').mockResolvedValue([]);
+
+        const { authority, dispatch } = await selectResponder({ ...INCIDENT, type: 'medical', region: 'Goa' }, NOW);
+
+        expect(find).toHaveBeenCalledTimes(2);
+        expect(authority.department).toBe('Tourism Department');
+        expect(dispatch.departmentMatch).toBe(false);
+    });
+
+    test('returns null when nobody is on duty', async () => {
+        jest.spyOn(Authority, 'find').mockResolvedValue([]);
+
+        expect(await selectResponder(INCIDENT, NOW)).toBeNull();
+    });
+});
@@ -0,0 +1,48 @@
+const emailService = require('../routes/email');
+const smsService = require('../routes/sms');
+const { notifyEmergencyContacts } = require('../services/emergencyDispatch');
+
+const SOS = {
+    location: { lat: 15.49, lng: 73.82 },
+    createdAt: new Date('2026-03-01T10:00:00Z')
+};
+
+const tourist = emergencyContact => ({
+    emergencyContact,
+    userId: { name: 'Asha <Rao>', email: 'asha@example.com' }
+});
+
+beforeEach(() => {
+    jest.spyOn(emailService, 'sendEmail').mockResolvedValue({ success: true });
+    jest.spyOn(smsService, 'sendSMS').mockResolvedValue({ success: true });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('notifyEmergencyContacts', () => {
+    test('emails the emergency contact, not the tourist', async () => {
+        await notifyEmergencyContacts(tourist('family@example.com'), SOS);
+
+        const [mail] = emailService.sendEmail.mock.calls[0];
+        expect(mail.to).toBe('family@example.com');
+        expect(mail.html).toContain('Asha &lt;Rao&gt;');
+        expect(mail.html).toContain('15.49, 73.82');
+        expect(smsService.sendSMS).not.toHaveBeenCalled();
+    });
+
+    test('texts contacts given as a phone number', async () => {
+        await notifyEmergencyContacts(tourist('+919876543210'), SOS);
+
+        expect(smsService.sendSMS).toHaveBeenCalledWith('+919876543210', expect.stringContaining('Asha <Rao>'));
+        expect(emailService.sendEmail).not.toHaveBeenCalled();
+    });
+
+    test('does nothing without a contact on file', async () => {
+        await notifyEmergencyContacts(tourist(undefined), SOS);
+
+        expect(emailService.sendEmail).not.toHaveBeenCalled();
+        expect(smsService.sendSMS).not.toHaveBeenCalled();
+    });
+});
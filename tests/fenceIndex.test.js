@@ -0,0 +1,158 @@
+const { FenceIndex } = require('../services/fenceIndex');
+const { evaluateFence, isNearFence } = require('../utils/geoFence');
+
+// Deterministic pseudo-random numbers so benchmark runs are comparable
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Fences and pings scattered over roughly the extent of India
+function randomPoint(random) {
+    return {
+        lat: 8 + random() * 27,
+        lng: 68 + random() * 29
+    };
+}
+
+function createFences(count, random) {
+    return Array.from({ length: count }, (_, i) => {
+        const { lat, lng } = randomPoint(random);
+
+        if (i % 2 === 0) {
+            return {
+                _id: `fence${i}`,
+                isActive: true,
+                center: { lat, lng },
+                radius: 50 + Math.floor(random() * 5000)
+            };
+        }
+
+        const size = 0.005 + random() * 0.05;
+        return {
+            _id: `fence${i}`,
+            isActive: true,
+            geometry: {
+                type: 'Polygon',
+                coordinates: [[
+                    [lng, lat],
+                    [lng + size, lat],
+                    [lng + size, lat + size],
+                    [lng, lat + size],
+                    [lng, lat]
+                ]]
+            }
+        };
+    });
+}
+
+// Fences that contain the point or that the point is near
+function relevantFences(fences, lat, lng) {
+    return fences
+        .filter(fence => {
+            const evaluation = evaluateFence(fence, lat, lng);
+            return evaluation.isInside || isNearFence(fence, evaluation);
+        })
+        .map(fence => fence._id)
+        .sort();
+}
+
+describe('FenceIndex', () => {
+    const random = createRandom(42);
+    const fences = createFences(2000, random);
+    const index = new FenceIndex();
+    index.rebuild(fences);
+
+    // Half of the pings land right next to a fence so there is something to find
+    const pings = Array.from({ length: 200 }, (_, i) => {
+        if (i % 2 === 0) return randomPoint(random);
+
+        const fence = fences[Math.floor(random() * fences.length)];
+        const [lng, lat] = fence.geometry ? fence.geometry.coordinates[0][0] : [fence.center.lng, fence.center.lat];
+        return { lat: lat + 0.001, lng: lng + 0.001 };
+    });
+
+    test('returns the same fences as a linear scan', () => {
+        for (const { lat, lng } of pings) {
+            expect(relevantFences(index.query(lat, lng), lat, lng)).toEqual(relevantFences(fences, lat, lng));
+        }
+    });
+
+    test('finds fences within a search radius', () => {
+        const { lat, lng } = pings[1];
+        const radius = 20000;
+
+        const expected = fences
+            .filter(fence => evaluateFence(fence, lat, lng).distance <= radius)
+            .map(fence => fence._id);
+        const found = index.query(lat, lng, radius).map(fence => fence._id);
+
+        expect(found).toEqual(expect.arrayContaining(expected));
+    });
+
+    test('stays in sync with upserts and removals', () => {
+        const local = new FenceIndex();
+        local.rebuild(fences.slice(0, 10));
+
+        const fence = { ...fences[0], center: { lat: 20, lng: 80 }, radius: 100 };
+        local.upsert(fence);
+        expect(local.query(20, 80).map(f => f._id)).toContain(fence._id);
+
+        local.upsert({ ...fence, isActive: false });
+        expect(local.query(20, 80).map(f => f._id)).not.toContain(fence._id);
+        expect(local.size).toBe(9);
+
+        local.remove(fences[1]._id);
+        expect(local.get(fences[1]._id)).toBeNull();
+        expect(local.size).toBe(8);
+    });
+
+    test('only evaluates the fences around each point', () => {
+        const candidates = pings.reduce((total, { lat, lng }) => total + index.query(lat, lng).length, 0);
+
+        // A linear scan evaluates every fence for every ping
+        expect(candidates * 10).toBeLessThan(fences.length * pings.length);
+    });
+
+    test('benchmark: indexed lookups are faster than a linear scan', () => {
+        // Best of `runs`, so a slow moment on a busy machine does not decide the result
+        const time = (lookup, runs) => {
+            let best = Infinity;
+            for (let run = 0; run < runs; run++) {
+                const start = process.hrtime.bigint();
+                for (const { lat, lng } of pings) {
+                    lookup(lat, lng);
+                }
+                best = Math.min(best, Number(process.hrtime.bigint() - start));
+            }
+            return best;
+        };
+
+        // A slow linear run only widens the gap, so it is timed once
+        const linearTime = time((lat, lng) => relevantFences(fences, lat, lng), 1);
+        const indexedTime = time((lat, lng) => relevantFences(index.query(lat, lng), lat, lng), 5);
+
+        console.log(
+            `${fences.length} fences, ${pings.length} pings: ` +
+            `linear ${(linearTime / 1e6).toFixed(1)} ms, indexed ${(indexedTime / 1e6).toFixed(1)} ms ` +
+            `(${(linearTime / indexedTime).toFixed(0)}x)`
+        );
+
+        // The speedup is usually far larger; the margin keeps the test stable
+        expect(indexedTime * 10).toBeLessThan(linearTime);
+    });
+
+    test('scans fences directly when a search box spans more cells than there are fences', () => {
+        const cellKeys = jest.spyOn(index, 'cellKeys');
+
+        const found = index.query(0, 0, 20000000);
+
+        expect(cellKeys).not.toHaveBeenCalled();
+        expect(found).toHaveLength(fences.length);
+        cellKeys.mockRestore();
+    });
+});
@@ -0,0 +1,91 @@
+const { FENCE_POLICIES, getFencePolicy, findValidPermit, resolveFenceOutcome } = require('../utils/fencePolicy');
+
+const NOW = new Date('2026-03-06T10:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const RESTRICTED = { _id: '64b0000000000000000000f1', name: 'Border Post', type: 'restricted', region: 'Sikkim' };
+
+const permit = (fields) => ({
+    permitNumber: 'ILP-001',
+    validFrom: new Date(NOW.getTime() - DAY),
+    validUntil: new Date(NOW.getTime() + DAY),
+    ...fields
+});
+
+describe('getFencePolicy', () => {
+    test('returns the policy of each type, treating unknown types as caution', () => {
+        expect(getFencePolicy('danger')).toBe(FENCE_POLICIES.danger);
+        expect(getFencePolicy('unknown')).toBe(FENCE_POLICIES.caution);
+    });
+});
+
+describe('resolveFenceOutcome', () => {
+    test('applies the policy of the fence type', () => {
+        const safe = resolveFenceOutcome({ name: 'Beach', type: 'safe' }, null, NOW);
+        const danger = resolveFenceOutcome({ name: 'Cliff', type: 'danger' }, null, NOW);
+
+        expect(safe).toEqual(expect.objectContaining({ severity: 'low', alertAuthorities: false, insideScoreDelta: 5 }));
+        expect(safe.hasPermit).toBeUndefined();
+        expect(danger).toEqual(expect.objectContaining({ severity: 'high', alertAuthorities: true, insideScoreDelta: -30 }));
+        expect(danger.warning).toContain('Cliff');
+    });
+
+    test('alerts on restricted fences entered without a permit', () => {
+        const outcome = resolveFenceOutcome(RESTRICTED, { permits: [] }, NOW);
+
+        expect(outcome).toEqual(expect.objectContaining({
+            severity: 'critical',
+            alertAuthorities: true,
+            requiresPermit: true,
+            hasPermit: false
+        }));
+        expect(resolveFenceOutcome(RESTRICTED, null, NOW).hasPermit).toBe(false);
+    });
+
+    test('a valid permit for the fence overrides the restricted policy', () => {
+        const tourist = { permits: [permit({ fenceId: RESTRICTED._id })] };
+
+        const outcome = resolveFenceOutcome(RESTRICTED, tourist, NOW);
+
+        expect(outcome).toEqual(expect.objectContaining({
+            severity: 'low',
+            alertAuthorities: false,
+            requiresPermit: true,
+            hasPermit: true,
+            permitNumber: 'ILP-001',
+            insideScoreDelta: 0
+        }));
+        expect(outcome.warning).toContain('ILP-001');
+    });
+
+    test('permits only override restricted fences', () => {
+        const danger = { ...RESTRICTED, type: 'danger' };
+        const tourist = { permits: [permit({ fenceId: danger._id })] };
+
+        expect(resolveFenceOutcome(danger, tourist, NOW).alertAuthorities).toBe(true);
+    });
+});
+
+describe('findValidPermit', () => {
+    test('matches permits for the fence or its whole region', () => {
+        expect(findValidPermit({ permits: [permit({ fenceId: RESTRICTED._id })] }, RESTRICTED, NOW)).not.toBeNull();
+        expect(findValidPermit({ permits: [permit({ region: 'Sikkim' })] }, RESTRICTED, NOW)).not.toBeNull();
+        expect(findValidPermit({ permits: [permit({ region: 'Goa' })] }, RESTRICTED, NOW)).toBeNull();
+        expect(findValidPermit({ permits: [permit({ fenceId: '64b0000000000000000000f2' })] }, RESTRICTED, NOW)).toBeNull();
+    });
+
+    test('ignores permits outside their validity period', () => {
+        const expired = permit({ region: 'Sikkim', validUntil: NOW });
+        const future = permit({ region: 'Sikkim', validFrom: new Date(NOW.getTime() + 1) });
+        const open = permit({ region: 'Sikkim', validFrom: undefined, validUntil: undefined });
+
+        expect(findValidPermit({ permits: [expired] }, RESTRICTED, NOW)).toBeNull();
+        expect(findValidPermit({ permits: [future] }, RESTRICTED, NOW)).toBeNull();
+        expect(findValidPermit({ permits: [open] }, RESTRICTED, NOW)).toBe(open);
+    });
+
+    test('handles tourists without permits', () => {
+        expect(findValidPermit(null, RESTRICTED, NOW)).toBeNull();
+        expect(findValidPermit({}, RESTRICTED, NOW)).toBeNull();
+    });
+});
@@ -0,0 +1,118 @@
+const { isFenceInEffect, getLocalTime, isValidTimezone, parseEvaluationTime } = require('../utils/fenceSchedule');
+
+// Moment at a wall-clock time in India, the default fence timezone
+const ist = (date, time) => new Date(`${date}T${time}:00+05:30`);
+
+// 2026-03-06 is a Friday
+const FRIDAY = '2026-03-06';
+const SATURDAY = '2026-03-07';
+const THURSDAY = '2026-03-05';
+
+const fence = (fields) => ({ isActive: true, ...fields });
+
+describe('isFenceInEffect', () => {
+    test('fences without schedule or activations are in effect while active', () => {
+        expect(isFenceInEffect(fence())).toBe(true);
+        expect(isFenceInEffect(fence({ isActive: false }))).toBe(false);
+        expect(isFenceInEffect(fence({ isActive: false, activations: [{ startsAt: new Date(0) }] }))).toBe(false);
+    });
+
+    test('daily windows include their start and exclude their end', () => {
+        const market = fence({ schedule: { windows: [{ start: '09:00', end: '17:00' }] } });
+
+        expect(isFenceInEffect(market, ist(FRIDAY, '08:59'))).toBe(false);
+        expect(isFenceInEffect(market, ist(FRIDAY, '09:00'))).toBe(true);
+        expect(isFenceInEffect(market, ist(FRIDAY, '16:59'))).toBe(true);
+        expect(isFenceInEffect(market, ist(FRIDAY, '17:00'))).toBe(false);
+    });
+
+    test('windows crossing midnight belong to the day they start on', () => {
+        const nightlife = fence({ schedule: { windows: [{ start: '22:00', end: '05:00', days: [5] }] } });
+
+        expect(isFenceInEffect(nightlife, ist(FRIDAY, '21:59'))).toBe(false);
+        expect(isFenceInEffect(nightlife, ist(FRIDAY, '22:00'))).toBe(true);
+        expect(isFenceInEffect(nightlife, ist(SATURDAY, '00:30'))).toBe(true);
+        expect(isFenceInEffect(nightlife, ist(SATURDAY, '04:59'))).toBe(true);
+        expect(isFenceInEffect(nightlife, ist(SATURDAY, '05:00'))).toBe(false);
+
+        // Saturday night is not scheduled, and Friday's early hours belong to Thursday night
+        expect(isFenceInEffect(nightlife, ist(SATURDAY, '23:00'))).toBe(false);
+        expect(isFenceInEffect(nightlife, ist(FRIDAY, '04:00'))).toBe(false);
+        expect(isFenceInEffect(nightlife, ist(THURSDAY, '23:00'))).toBe(false);
+    });
+
+    test('windows are judged in the fence timezone', () => {
+        const windows = [{ start: '09:00', end: '10:00' }];
+        const at = new Date('2026-03-06T09:30:00Z');
+
+        expect(isFenceInEffect(fence({ schedule: { windows } }), at)).toBe(false);
+        expect(isFenceInEffect(fence({ schedule: { windows, timezone: 'UTC' } }), at)).toBe(true);
+    });
+
+    test('date ranges recur every year and may wrap over New Year', () => {
+        const season = fence({ schedule: { dateRanges: [{ start: '12-20', end: '01-05' }] } });
+
+        expect(isFenceInEffect(season, ist('2026-12-19', '23:59'))).toBe(false);
+        expect(isFenceInEffect(season, ist('2026-12-20', '00:00'))).toBe(true);
+        expect(isFenceInEffect(season, ist('2027-01-05', '23:59'))).toBe(true);
+        expect(isFenceInEffect(season, ist('2027-01-06', '00:00'))).toBe(false);
+        expect(isFenceInEffect(season, ist('2030-12-31', '12:00'))).toBe(true);
+    });
+
+    test('date ranges and windows must both match', () => {
+        const monsoonNights = fence({
+            schedule: {
+                dateRanges: [{ start: '06-01', end: '09-30' }],
+                windows: [{ start: '20:00', end: '06:00' }]
+            }
+        });
+
+        expect(isFenceInEffect(monsoonNights, ist('2026-07-15', '21:00'))).toBe(true);
+        expect(isFenceInEffect(monsoonNights, ist('2026-07-15', '12:00'))).toBe(false);
+        expect(isFenceInEffect(monsoonNights, ist('2026-11-15', '21:00'))).toBe(false);
+    });
+
+    test('one-off activations apply on their own and on top of a schedule', () => {
+        const activation = { startsAt: ist(FRIDAY, '10:00'), endsAt: ist(FRIDAY, '18:00') };
+        const festival = fence({ activations: [activation] });
+
+        expect(isFenceInEffect(festival, ist(FRIDAY, '09:59'))).toBe(false);
+        expect(isFenceInEffect(festival, ist(FRIDAY, '10:00'))).toBe(true);
+        expect(isFenceInEffect(festival, ist(FRIDAY, '18:00'))).toBe(false);
+
+        const nightly = fence({
+            schedule: { windows: [{ start: '22:00', end: '05:00' }] },
+            activations: [activation]
+        });
+        expect(isFenceInEffect(nightly, ist(FRIDAY, '12:00'))).toBe(true);
+        expect(isFenceInEffect(nightly, ist(FRIDAY, '23:00'))).toBe(true);
+        expect(isFenceInEffect(nightly, ist(FRIDAY, '20:00'))).toBe(false);
+    });
+
+    test('activations without an end stay in effect', () => {
+        const closure = fence({ activations: [{ startsAt: ist(FRIDAY, '10:00') }] });
+
+        expect(isFenceInEffect(closure, ist(FRIDAY, '09:00'))).toBe(false);
+        expect(isFenceInEffect(closure, ist('2027-01-01', '00:00'))).toBe(true);
+    });
+});
+
+describe('getLocalTime', () => {
+    test('reads weekday, minutes and month-day in the timezone', () => {
+        expect(getLocalTime(ist(FRIDAY, '23:30'))).toEqual({ weekday: 5, minutes: 23 * 60 + 30, monthDay: '03-06' });
+        expect(getLocalTime(ist(FRIDAY, '23:30'), 'UTC')).toEqual({ weekday: 5, minutes: 18 * 60, monthDay: '03-06' });
+    });
+});
+
+describe('input helpers', () => {
+    test('validate timezones', () => {
+        expect(isValidTimezone('Asia/Kolkata')).toBe(true);
+        expect(isValidTimezone('Mars/Olympus')).toBe(false);
+    });
+
+    test('parse evaluation times', () => {
+        expect(parseEvaluationTime('2026-03-06T10:00:00Z')).toEqual(new Date('2026-03-06T10:00:00Z'));
+        expect(parseEvaluationTime('soon')).toBeNull();
+        expect(parseEvaluationTime()).toBeInstanceOf(Date);
+    });
+});
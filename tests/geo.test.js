@@ -0,0 +1,180 @@
+const geo = require('../utils/geo');
+
+// Reference coordinates
+const DELHI = { lat: 28.6139, lng: 77.2090 };
+const MUMBAI = { lat: 19.0760, lng: 72.8777 };
+const LONDON = { lat: 51.5074, lng: -0.1278 };
+const PARIS = { lat: 48.8566, lng: 2.3522 };
+
+// One degree of arc on a sphere with the Earth's mean radius
+const ONE_DEGREE = 111195;
+
+// 1° square with a 0.2° hole in the middle
+const SQUARE_WITH_HOLE = {
+    type: 'Polygon',
+    coordinates: [
+        [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]],
+        [[0.4, 0.4], [0.6, 0.4], [0.6, 0.6], [0.4, 0.6], [0.4, 0.4]]
+    ]
+};
+
+describe('distance', () => {
+    test('matches known great-circle distances', () => {
+        expect(geo.distance(DELHI.lat, DELHI.lng, MUMBAI.lat, MUMBAI.lng) / 1000).toBeCloseTo(1148, 0);
+        expect(geo.distance(LONDON.lat, LONDON.lng, PARIS.lat, PARIS.lng) / 1000).toBeCloseTo(343.6, 0);
+    });
+
+    test('is zero for identical points and symmetric', () => {
+        expect(geo.distance(DELHI.lat, DELHI.lng, DELHI.lat, DELHI.lng)).toBe(0);
+        expect(geo.distance(DELHI.lat, DELHI.lng, MUMBAI.lat, MUMBAI.lng))
+            .toBeCloseTo(geo.distance(MUMBAI.lat, MUMBAI.lng, DELHI.lat, DELHI.lng), 6);
+    });
+
+    test('one degree along the equator', () => {
+        expect(geo.distance(0, 0, 0, 1)).toBeCloseTo(ONE_DEGREE, -1);
+    });
+});
+
+describe('bearing', () => {
+    test('cardinal directions', () => {
+        expect(geo.bearing(0, 0, 1, 0)).toBeCloseTo(0, 6);
+        expect(geo.bearing(0, 0, 0, 1)).toBeCloseTo(90, 6);
+        expect(geo.bearing(0, 0, -1, 0)).toBeCloseTo(180, 6);
+        expect(geo.bearing(0, 0, 0, -1)).toBeCloseTo(270, 6);
+    });
+
+    test('London to Paris', () => {
+        expect(geo.bearing(LONDON.lat, LONDON.lng, PARIS.lat, PARIS.lng)).toBeCloseTo(148.1, 1);
+    });
+});
+
+describe('destinationPoint', () => {
+    test('travelling east along the equator', () => {
+        const point = geo.destinationPoint(0, 0, 90, ONE_DEGREE);
+        expect(point.lat).toBeCloseTo(0, 6);
+        expect(point.lng).toBeCloseTo(1, 4);
+    });
+
+    test('round-trips with distance and bearing', () => {
+        const meters = geo.distance(LONDON.lat, LONDON.lng, PARIS.lat, PARIS.lng);
+        const heading = geo.bearing(LONDON.lat, LONDON.lng, PARIS.lat, PARIS.lng);
+        const point = geo.destinationPoint(LONDON.lat, LONDON.lng, heading, meters);
+
+        expect(point.lat).toBeCloseTo(PARIS.lat, 6);
+        expect(point.lng).toBeCloseTo(PARIS.lng, 6);
+    });
+
+    test('wraps longitude across the antimeridian', () => {
+        const point = geo.destinationPoint(0, 179.5, 90, ONE_DEGREE);
+        expect(point.lng).toBeCloseTo(-179.5, 4);
+    });
+});
+
+describe('containment', () => {
+    test('polygon with a hole', () => {
+        expect(geo.containsPoint(SQUARE_WITH_HOLE, 0.2, 0.2)).toBe(true);
+        expect(geo.containsPoint(SQUARE_WITH_HOLE, 0.5, 0.5)).toBe(false);
+        expect(geo.containsPoint(SQUARE_WITH_HOLE, 1.5, 0.5)).toBe(false);
+    });
+
+    test('multi-polygon', () => {
+        const multi = {
+            type: 'MultiPolygon',
+            coordinates: [
+                SQUARE_WITH_HOLE.coordinates,
+                [[[2, 2], [3, 2], [3, 3], [2, 3], [2, 2]]]
+            ]
+        };
+
+        expect(geo.containsPoint(multi, 2.5, 2.5)).toBe(true);
+        expect(geo.containsPoint(multi, 1.5, 1.5)).toBe(false);
+    });
+
+    test('circle', () => {
+        expect(geo.inCircle(DELHI, 1000, DELHI.lat + 0.005, DELHI.lng)).toBe(true);
+        expect(geo.inCircle(DELHI, 1000, DELHI.lat + 0.01, DELHI.lng)).toBe(false);
+    });
+});
+
+describe('distance to boundary', () => {
+    test('point near an edge of a polygon', () => {
+        expect(geo.distanceToBoundary(SQUARE_WITH_HOLE, 0.5, 1.01)).toBeCloseTo(ONE_DEGREE * 0.01, -1);
+    });
+
+    test('point inside a hole measures to the hole ring', () => {
+        expect(geo.distanceToBoundary(SQUARE_WITH_HOLE, 0.5, 0.5)).toBeCloseTo(ONE_DEGREE * 0.1, -2);
+    });
+
+    test('point on a line segment', () => {
+        expect(geo.distanceToLine(0, 0.5, [[0, 0], [1, 0]])).toBeCloseTo(0, 6);
+        expect(geo.distanceToLine(0.01, 0.5, [[0, 0], [1, 0]])).toBeCloseTo(ONE_DEGREE * 0.01, -1);
+    });
+
+    test('circle boundary from inside and outside', () => {
+        expect(geo.distanceToCircleBoundary({ lat: 0, lng: 0 }, 2000, 0, 0)).toBe(2000);
+        expect(geo.distanceToCircleBoundary({ lat: 0, lng: 0 }, 500, 0, 0.01)).toBeCloseTo(ONE_DEGREE * 0.01 - 500, -1);
+    });
+});
+
+describe('bounding boxes', () => {
+    test('point bounds cover the requested radius', () => {
+        const bounds = geo.pointBounds(DELHI.lat, DELHI.lng, 5000);
+        const north = geo.destinationPoint(DELHI.lat, DELHI.lng, 0, 5000);
+        const east = geo.destinationPoint(DELHI.lat, DELHI.lng, 90, 5000);
+
+        expect(bounds.maxLat).toBeCloseTo(north.lat, 6);
+        expect(bounds.maxLng).toBeGreaterThanOrEqual(east.lng - 1e-6);
+    });
+
+    test('geometry bounds, buffering and intersection', () => {
+        const bounds = geo.geometryBounds(SQUARE_WITH_HOLE);
+        expect(bounds).toEqual({ minLat: 0, maxLat: 1, minLng: 0, maxLng: 1 });
+        expect(geo.boundsCenter(bounds)).toEqual({ lat: 0.5, lng: 0.5 });
+
+        const buffered = geo.bufferBounds(bounds, ONE_DEGREE);
+        expect(buffered.minLat).toBeCloseTo(-1, 4);
+        expect(buffered.maxLng).toBeGreaterThan(2);
+
+        expect(geo.boundsContain(buffered, 1.5, 1.5)).toBe(true);
+        expect(geo.boundsIntersect(bounds, geo.pointBounds(1.5, 1.5, 1000))).toBe(false);
+        expect(geo.boundsIntersect(buffered, geo.pointBounds(1.5, 1.5, 1000))).toBe(true);
+    });
+
+    test('buffered point approximates a circle', () => {
+        const polygon = geo.bufferPoint(DELHI.lat, DELHI.lng, 1000, 16);
+        const ring = polygon.coordinates[0];
+
+        expect(ring).toHaveLength(17);
+        expect(ring[0]).toEqual(ring[16]);
+        for (const [lng, lat] of ring) {
+            expect(geo.distance(DELHI.lat, DELHI.lng, lat, lng)).toBeCloseTo(1000, 3);
+        }
+        expect(geo.containsPoint(polygon, DELHI.lat, DELHI.lng)).toBe(true);
+    });
+});
+
+describe('simplifyLine', () => {
+    test('drops points within tolerance of a straight line', () => {
+        const line = [0, 0.001, 0.002, 0.003, 0.004].map(lng => ({ lat: 0, lng }));
+        expect(geo.simplifyLine(line, 1)).toEqual([line[0], line[4]]);
+    });
+
+    test('keeps corners that deviate more than the tolerance', () => {
+        // An L-shaped walk: east ~220 m, then north ~220 m
+        const line = [
+            { lat: 0, lng: 0 },
+            { lat: 0, lng: 0.001 },
+            { lat: 0, lng: 0.002 },
+            { lat: 0.001, lng: 0.002 },
+            { lat: 0.002, lng: 0.002 }
+        ];
+
+        expect(geo.simplifyLine(line, 10)).toEqual([line[0], line[2], line[4]]);
+        expect(geo.simplifyLine(line, 1000)).toEqual([line[0], line[4]]);
+    });
+
+    test('keeps short lines as they are', () => {
+        const line = [{ lat: 0, lng: 0 }, { lat: 1, lng: 1 }];
+        expect(geo.simplifyLine(line, 10)).toEqual(line);
+    });
+});
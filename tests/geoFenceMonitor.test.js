@@ -0,0 +1,174 @@
+const Alert = require('../models/Alert');
+const GeoFence = require('../models/GeoFence');
+const GeoFenceVisit = require('../models/GeoFenceVisit');
+const { Tourist } = require('../models/User');
+const fenceIndex = require('../services/fenceIndex');
+const { checkGeoFencing, nextVisitEvent } = require('../services/geoFenceMonitor');
+
+const TOURIST_ID = '64b0000000000000000000c1';
+const ENTERED_AT = new Date('2026-03-01T10:00:00Z');
+const after = seconds => new Date(ENTERED_AT.getTime() + seconds * 1000);
+
+// 200 m circle around the Fort, alerting authorities after 10 minutes inside
+const DANGER = {
+    _id: '64b0000000000000000000f1',
+    name: 'Fort',
+    type: 'danger',
+    region: 'Goa',
+    isActive: true,
+    center: { lat: 15.49, lng: 73.82 },
+    radius: 200,
+    dwellTime: 600
+};
+const INSIDE = { lat: 15.49, lng: 73.82 };
+const OUTSIDE = { lat: 15.5, lng: 73.82 };
+
+// Socket.IO server stand-in recording what was emitted to which rooms
+function createIO() {
+    const emitted = [];
+    let rooms = [];
+    const io = {
+        to: room => {
+            rooms.push(room);
+            return io;
+        },
+        emit: (event, payload) => {
+            emitted.push({ rooms, event, payload });
+            rooms = [];
+        }
+    };
+    return { io, emitted };
+}
+
+const openVisit = (fields) => {
+    const visit = new GeoFenceVisit({
+        touristId: TOURIST_ID,
+        fenceId: DANGER._id,
+        state: 'entered',
+        enteredAt: ENTERED_AT,
+        lastSeenAt: ENTERED_AT,
+        ...fields
+    });
+    jest.spyOn(visit, 'save').mockResolvedValue(visit);
+    return visit;
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+});
+
+describe('nextVisitEvent', () => {
+    test('enters when a tourist without an open visit is inside', () => {
+        expect(nextVisitEvent(null, true, DANGER, ENTERED_AT)).toBe('enter');
+        expect(nextVisitEvent(null, false, DANGER, ENTERED_AT)).toBeNull();
+    });
+
+    test('exits an open visit once the tourist is outside', () => {
+        expect(nextVisitEvent({ state: 'entered', enteredAt: ENTERED_AT }, false, DANGER, after(1))).toBe('exit');
+        expect(nextVisitEvent({ state: 'dwelling', enteredAt: ENTERED_AT }, false, DANGER, after(1))).toBe('exit');
+    });
+
+    test('dwells once the tourist has stayed inside for the dwell time', () => {
+        const visit = { state: 'entered', enteredAt: ENTERED_AT };
+
+        expect(nextVisitEvent(visit, true, DANGER, after(599))).toBeNull();
+        expect(nextVisitEvent(visit, true, DANGER, after(600))).toBe('dwell');
+    });
+
+    test('dwells only once per visit', () => {
+        expect(nextVisitEvent({ state: 'dwelling', enteredAt: ENTERED_AT }, true, DANGER, after(6000))).toBeNull();
+    });
+
+    test('never dwells in safe zones or fences without a dwell time', () => {
+        const visit = { state: 'entered', enteredAt: ENTERED_AT };
+
+        expect(nextVisitEvent(visit, true, { ...DANGER, type: 'safe' }, after(6000))).toBeNull();
+        expect(nextVisitEvent(visit, true, { ...DANGER, dwellTime: 0 }, after(6000))).toBeNull();
+    });
+});
+
+describe('checkGeoFencing', () => {
+    const update = location => ({ touristId: TOURIST_ID, location });
+
+    beforeEach(() => {
+        jest.spyOn(Tourist, 'findById').mockReturnValue({ select: () => Promise.resolve({ permits: [] }) });
+        jest.spyOn(fenceIndex, 'candidates').mockResolvedValue([DANGER]);
+        jest.spyOn(Alert.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(GeoFence, 'updateOne').mockResolvedValue({});
+    });
+
+    test('opens a visit and alerts authorities on entering a danger zone', async () => {
+        jest.spyOn(GeoFenceVisit, 'find').mockResolvedValue([]);
+        const saved = jest.spyOn(GeoFenceVisit.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+        const { io, emitted } = createIO();
+
+        await checkGeoFencing(io, update(INSIDE));
+
+        const [visit] = saved.mock.contexts;
+        expect(visit.state).toBe('entered');
+        expect(visit.alerts).toHaveLength(1);
+        expect(emitted.map(({ event }) => event)).toEqual(['geo_fence_alert', 'geo_fence_warning']);
+        expect(emitted[0].payload.event).toBe('enter');
+    });
+
+    test('raises a dwell alert after the dwell time', async () => {
+        jest.useFakeTimers({ now: after(601), doNotFake: ['nextTick', 'setImmediate'] });
+        const visit = openVisit();
+        jest.spyOn(GeoFenceVisit, 'find').mockResolvedValue([visit]);
+        const { io, emitted } = createIO();
+
+        await checkGeoFencing(io, update(INSIDE));
+
+        expect(visit.state).toBe('dwelling');
+        expect(visit.dwellAlertedAt).toEqual(after(601));
+        expect(emitted[0].payload.event).toBe('dwell');
+        expect(emitted[1].payload.message).toMatch(/still inside/);
+    });
+
+    test('keeps an open visit alive while the tourist stays inside', async () => {
+        jest.useFakeTimers({ now: after(60), doNotFake: ['nextTick', 'setImmediate'] });
+        const visit = openVisit();
+        jest.spyOn(GeoFenceVisit, 'find').mockResolvedValue([visit]);
+        const { io, emitted } = createIO();
+
+        await checkGeoFencing(io, update(INSIDE));
+
+        expect(visit.state).toBe('entered');
+        expect(visit.lastSeenAt).toEqual(after(60));
+        expect(emitted).toEqual([]);
+    });
+
+    test('closes the visit on leaving the fence', async () => {
+        jest.useFakeTimers({ now: after(120), doNotFake: ['nextTick', 'setImmediate'] });
+        const visit = openVisit({ state: 'dwelling' });
+        jest.spyOn(GeoFenceVisit, 'find').mockResolvedValue([visit]);
+        const { io, emitted } = createIO();
+
+        await checkGeoFencing(io, update(OUTSIDE));
+
+        expect(visit.state).toBe('exited');
+        expect(visit.exitedAt).toEqual(after(120));
+        expect(emitted).toEqual([expect.objectContaining({
+            rooms: ['authorities:all', 'authorities:Goa'],
+            event: 'geo_fence_exit'
+        })]);
+    });
+
+    test('closes visits of fences that are no longer around the tourist', async () => {
+        fenceIndex.candidates.mockResolvedValue([]);
+        jest.spyOn(fenceIndex, 'get').mockReturnValue(null);
+        const visit = openVisit();
+        jest.spyOn(GeoFenceVisit, 'find').mockResolvedValue([visit]);
+        const { io, emitted } = createIO();
+
+        await checkGeoFencing(io, update(OUTSIDE));
+
+        expect(visit.state).toBe('exited');
+        expect(emitted.map(({ event }) => event)).toEqual(['geo_fence_exit']);
+    });
+});
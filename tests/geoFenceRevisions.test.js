@@ -0,0 +1,54 @@
+const GeoFence = require('../models/GeoFence');
+const GeoFenceRevision = require('../models/GeoFenceRevision');
+
+const AUTHOR = '64b0000000000000000000aa';
+
+// A fence as loaded from MongoDB at revision 3
+const loadFence = () => GeoFence.hydrate({
+    _id: '64b0000000000000000000f1',
+    __v: 0,
+    name: 'Fort',
+    type: 'safe',
+    region: 'Goa',
+    center: { lat: 15.49, lng: 73.82 },
+    radius: 100,
+    geometry: { type: 'Point', coordinates: [73.82, 15.49] },
+    revision: 3,
+    isActive: true,
+    isArchived: false,
+    createdBy: AUTHOR
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('saveWithRevision', () => {
+    test('only saves over the revision the fence was loaded at', async () => {
+        const update = jest.spyOn(GeoFence.collection, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+        const record = jest.spyOn(GeoFenceRevision, 'record').mockResolvedValue({});
+        const fence = loadFence();
+
+        fence.name = 'Old Fort';
+        await fence.saveWithRevision({ action: 'update', author: AUTHOR });
+
+        const [filter, changes] = update.mock.calls[0];
+        expect(filter).toEqual(expect.objectContaining({ _id: fence._id, revision: 3 }));
+        expect(changes.$set).toEqual(expect.objectContaining({ name: 'Old Fort', revision: 4 }));
+        expect(record).toHaveBeenCalledWith(fence, expect.objectContaining({ action: 'update' }));
+        expect(fence.revision).toBe(4);
+    });
+
+    test('rejects an edit that lost a race without logging a revision', async () => {
+        jest.spyOn(GeoFence.collection, 'updateOne').mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+        const record = jest.spyOn(GeoFenceRevision, 'record');
+        const fence = loadFence();
+
+        fence.name = 'Old Fort';
+        const saving = fence.saveWithRevision({ action: 'update', author: AUTHOR });
+
+        await expect(saving).rejects.toMatchObject({ name: 'RevisionConflictError' });
+        expect(record).not.toHaveBeenCalled();
+        expect(fence.revision).toBe(3);
+    });
+});
@@ -0,0 +1,250 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const GeoFence = require('../models/GeoFence');
+const FenceProposal = require('../models/FenceProposal');
+const Session = require('../models/Session');
+const { User, Authority } = require('../models/User');
+const fenceIndex = require('../services/fenceIndex');
+const geoRoutes = require('../routes/geo');
+
+const app = express();
+app.use(express.json());
+app.use('/api/geo', geoRoutes);
+
+const USER_ID = '64b000000000000000000001';
+const SESSION_ID = '64b000000000000000000002';
+
+const token = (userType) => jwt.sign({ userId: USER_ID, userType, sessionId: SESSION_ID }, process.env.JWT_SECRET);
+
+// Routes tourists may use; every other geo route is for authorities only
+const PUBLIC_ROUTES = [
+    'post /check-location',
+    'get /nearby'
+];
+
+const routes = geoRoutes.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+        method,
+        route: layer.route,
+        name: `${method} ${layer.route.path}`,
+        path: '/api/geo' + layer.route.path.replace(/:(\w+)/g, '64b0000000000000000000ff')
+    })));
+const authorityRoutes = routes.filter(({ name }) => !PUBLIC_ROUTES.includes(name));
+
+const send = ({ method, path }, userType) => {
+    const req = request(app)[method](path);
+    return userType ? req.set('Authorization', `Bearer ${token(userType)}`) : req;
+};
+
+// Every token belongs to a live session of an active user
+beforeEach(() => {
+    jest.spyOn(Session, 'findById').mockResolvedValue(
+        new Session({ _id: SESSION_ID, userId: USER_ID, userType: 'tourist', expiresAt: new Date(Date.now() + 60000) }));
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: USER_ID, isActive: true });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('access', () => {
+    test('every authority route declares a role', () => {
+        expect(authorityRoutes.length).toBeGreaterThanOrEqual(10);
+
+        authorityRoutes.forEach(({ route }) => {
+            expect(route.stack.some(handler => handler.handle.minimumRole)).toBe(true);
+        });
+    });
+
+    test.each(authorityRoutes)('$name rejects tourists with 403', async (endpoint) => {
+        const findOne = jest.spyOn(Authority, 'findOne');
+
+        const res = await send(endpoint, 'tourist');
+
+        expect(res.status).toBe(403);
+        expect(findOne).not.toHaveBeenCalled();
+    });
+
+    test.each(routes)('$name rejects requests without a token with 401', async (endpoint) => {
+        const res = await send(endpoint);
+        expect(res.status).toBe(401);
+    });
+
+    test('viewers cannot change geo-fences', async () => {
+        jest.spyOn(Authority, 'findOne').mockResolvedValue({
+            _id: '64b0000000000000000000aa',
+            userId: USER_ID,
+            department: 'Tourism Department',
+            rank: 'Officer',
+            jurisdiction: 'Goa'
+        });
+        const findById = jest.spyOn(GeoFence, 'findById');
+
+        const res = await send({ method: 'post', path: '/api/geo/fences/64b0000000000000000000ff/rollback' }, 'authority');
+
+        expect(res.status).toBe(403);
+        expect(res.body.message).toMatch(/supervisor/);
+        expect(findById).not.toHaveBeenCalled();
+    });
+});
+
+describe('reading geo-fences', () => {
+    const officer = {
+        _id: '64b0000000000000000000aa',
+        userId: USER_ID,
+        department: 'Tourism Department',
+        rank: 'Officer',
+        jurisdiction: 'Goa'
+    };
+    const get = path => request(app).get(path).set('Authorization', `Bearer ${token('authority')}`);
+
+    test('lists and exports fences of the jurisdiction only', async () => {
+        jest.spyOn(Authority, 'findOne').mockResolvedValue(officer);
+        const query = { populate: () => query, sort: () => Promise.resolve([]) };
+        const find = jest.spyOn(GeoFence, 'find').mockReturnValue(query);
+
+        expect((await get('/api/geo/fences?archived=true')).status).toBe(200);
+        expect((await get('/api/geo/export')).status).toBe(200);
+
+        find.mock.calls.forEach(([filter]) => {
+            expect(filter.region).toEqual({ $in: ['Goa', null] });
+        });
+        expect(find.mock.calls[0][0].isArchived).toBe(true);
+    });
+
+    test('rejects regions outside the jurisdiction', async () => {
+        jest.spyOn(Authority, 'findOne').mockResolvedValue(officer);
+        const find = jest.spyOn(GeoFence, 'find');
+
+        expect((await get('/api/geo/fences?region=Sikkim')).status).toBe(403);
+        expect((await get('/api/geo/export?region=Sikkim')).status).toBe(403);
+        expect(find).not.toHaveBeenCalled();
+    });
+
+    test('hides the history of fences outside the jurisdiction', async () => {
+        jest.spyOn(Authority, 'findOne').mockResolvedValue(officer);
+        const findOne = jest.spyOn(GeoFence, 'findOne').mockResolvedValue(null);
+
+        const res = await get('/api/geo/fences/64b0000000000000000000ff/history');
+
+        expect(res.status).toBe(404);
+        expect(findOne).toHaveBeenCalledWith({ _id: '64b0000000000000000000ff', region: { $in: ['Goa', null] } });
+    });
+});
+
+describe('GET /api/geo/proposals', () => {
+    const officer = {
+        _id: '64b0000000000000000000aa',
+        userId: USER_ID,
+        department: 'Police Department',
+        rank: 'Officer',
+        jurisdiction: 'Goa'
+    };
+    const list = query => request(app)
+        .get('/api/geo/proposals')
+        .query(query)
+        .set('Authorization', `Bearer ${token('authority')}`);
+
+    const mockFind = () => jest.spyOn(FenceProposal, 'find').mockReturnValue({
+        populate: () => ({ sort: () => ({ limit: () => Promise.resolve([]) }) })
+    });
+
+    test('lists proposals of the jurisdiction', async () => {
+        jest.spyOn(Authority, 'findOne').mockResolvedValue(officer);
+        const find = mockFind();
+
+        const res = await list({ region: 'Goa' });
+
+        expect(res.status).toBe(200);
+        expect(find).toHaveBeenCalledWith({ region: 'Goa', status: 'pending' });
+    });
+
+    test('rejects regions outside the jurisdiction', async () => {
+        jest.spyOn(Authority, 'findOne').mockResolvedValue(officer);
+        const find = mockFind();
+
+        const res = await list({ region: 'Sikkim' });
+
+        expect(res.status).toBe(403);
+        expect(find).not.toHaveBeenCalled();
+    });
+});
+
+describe('GET /api/geo/proposals/:id', () => {
+    test('hides proposals outside the jurisdiction', async () => {
+        jest.spyOn(Authority, 'findOne').mockResolvedValue({
+            _id: '64b0000000000000000000aa',
+            userId: USER_ID,
+            department: 'Police Department',
+            rank: 'Officer',
+            jurisdiction: 'Goa'
+        });
+        const populate = () => query;
+        const query = { populate, then: (resolve) => resolve(null) };
+        const findOne = jest.spyOn(FenceProposal, 'findOne').mockReturnValue(query);
+
+        const res = await request(app)
+            .get('/api/geo/proposals/64b0000000000000000000ff')
+            .set('Authorization', `Bearer ${token('authority')}`);
+
+        expect(res.status).toBe(404);
+        expect(findOne).toHaveBeenCalledWith({ _id: '64b0000000000000000000ff', region: { $in: ['Goa', null] } });
+    });
+
+    test('is closed to viewers', async () => {
+        jest.spyOn(Authority, 'findOne').mockResolvedValue({
+            _id: '64b0000000000000000000aa',
+            userId: USER_ID,
+            department: 'Tourism Department',
+            rank: 'Officer',
+            jurisdiction: 'Goa'
+        });
+
+        const res = await request(app)
+            .get('/api/geo/proposals/64b0000000000000000000ff')
+            .set('Authorization', `Bearer ${token('authority')}`);
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('GET /api/geo/nearby', () => {
+    const nearby = query => request(app)
+        .get('/api/geo/nearby')
+        .query(query)
+        .set('Authorization', `Bearer ${token('tourist')}`);
+
+    test('rejects search radii above the maximum', async () => {
+        const candidates = jest.spyOn(fenceIndex, 'candidates');
+
+        const res = await nearby({ lat: 0, lng: 0, radius: 20000000 });
+
+        expect(res.status).toBe(400);
+        expect(candidates).not.toHaveBeenCalled();
+    });
+
+    test('rejects invalid coordinates and radii', async () => {
+        expect((await nearby({ lat: 'north', lng: 0 })).status).toBe(400);
+        expect((await nearby({ lat: 0, lng: 0, radius: -5 })).status).toBe(400);
+        expect((await nearby({ lat: 0, lng: 0, radius: 'far' })).status).toBe(400);
+    });
+
+    test('does not populate the fences cached by the index', async () => {
+        const cached = { _id: 'fence1', name: 'Fort', isActive: true, center: { lat: 15.49, lng: 73.82 }, radius: 200, createdBy: 'officer1' };
+        jest.spyOn(fenceIndex, 'candidates').mockResolvedValue([cached]);
+        jest.spyOn(GeoFence, 'populate').mockImplementation(fences => {
+            fences.forEach(fence => { fence.createdBy = { department: 'Police Department' }; });
+            return Promise.resolve(fences);
+        });
+
+        const res = await nearby({ lat: 15.49, lng: 73.82, radius: 1000 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data[0].createdBy).toEqual({ department: 'Police Department' });
+        expect(cached.createdBy).toBe('officer1');
+    });
+});
@@ -0,0 +1,142 @@
+const Alert = require('../models/Alert');
+const FenceProposal = require('../models/FenceProposal');
+const Incident = require('../models/Incident');
+const fenceIndex = require('../services/fenceIndex');
+const { detectHotspots } = require('../services/hotspotDetector');
+const { dbscan } = require('../utils/dbscan');
+const { destinationPoint } = require('../utils/geo');
+
+const NOW = new Date('2026-03-01T10:00:00Z');
+const MARKET = { lat: 15.49, lng: 73.82 };
+
+// `count` points spread around `center`, each within `meters` of it
+const around = (center, count, meters) => Array.from({ length: count }, (_, i) =>
+    destinationPoint(center.lat, center.lng, (360 / count) * i, meters));
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('dbscan', () => {
+    test('groups dense points into clusters and leaves isolated ones as noise', () => {
+        const points = [
+            ...around(MARKET, 6, 50),
+            ...around({ lat: 15.6, lng: 73.9 }, 5, 40),
+            { lat: 15.7, lng: 74.0 },
+            { lat: 15.3, lng: 73.7 }
+        ];
+
+        const { clusters, noise } = dbscan(points, 300, 5);
+
+        expect(clusters.map(members => members.sort((a, b) => a - b))).toEqual([
+            [0, 1, 2, 3, 4, 5],
+            [6, 7, 8, 9, 10]
+        ]);
+        expect(noise).toEqual([11, 12]);
+    });
+
+    test('needs minPoints neighbours, counting the point itself, to start a cluster', () => {
+        const points = around(MARKET, 4, 50);
+
+        expect(dbscan(points, 300, 5).clusters).toEqual([]);
+        expect(dbscan(points, 300, 4).clusters).toHaveLength(1);
+    });
+
+    test('adds border points to a cluster without expanding from them', () => {
+        // Core points at the market and 150 m west of it, a border point 200 m east that
+        // reaches too few points to be core, and a point 250 m past it only the border reaches
+        const points = [
+            ...around(MARKET, 3, 5),
+            ...around(destinationPoint(MARKET.lat, MARKET.lng, 270, 150), 3, 5),
+            destinationPoint(MARKET.lat, MARKET.lng, 90, 200),
+            destinationPoint(MARKET.lat, MARKET.lng, 90, 450)
+        ];
+
+        const { clusters, noise } = dbscan(points, 300, 6);
+
+        expect(clusters).toHaveLength(1);
+        expect(clusters[0].sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+        expect(noise).toEqual([7]);
+    });
+
+    test('handles no points and inputs too large to spread into a call', () => {
+        expect(dbscan([], 300, 5)).toEqual({ clusters: [], noise: [] });
+
+        // A grid of points about 1 km apart, so none are neighbours
+        const points = Array.from({ length: 150000 }, (_, i) => ({
+            lat: 8 + (i % 3000) * 0.01,
+            lng: 68 + Math.floor(i / 3000) * 0.01
+        }));
+
+        const { clusters, noise } = dbscan(points, 300, 5);
+
+        expect(clusters).toEqual([]);
+        expect(noise).toHaveLength(points.length);
+    });
+});
+
+describe('detectHotspots', () => {
+    const reports = (Model, points, severity = 'high') => {
+        const docs = points.map((location, i) => ({
+            _id: `64b0000000000000000000${Model === Incident ? 'a' : 'b'}${i}`,
+            location,
+            severity,
+            createdAt: new Date(NOW.getTime() - i * 60 * 60 * 1000)
+        }));
+        jest.spyOn(Model, 'find').mockReturnValue({ select: () => Promise.resolve(docs) });
+    };
+
+    beforeEach(() => {
+        jest.spyOn(fenceIndex, 'ensureLoaded').mockResolvedValue();
+        jest.spyOn(fenceIndex, 'candidates').mockResolvedValue([]);
+        jest.spyOn(fenceIndex, 'regionNear').mockResolvedValue('Goa');
+        jest.spyOn(FenceProposal, 'find').mockResolvedValue([]);
+    });
+
+    test('proposes a fence for an uncovered cluster of reports', async () => {
+        reports(Incident, around(MARKET, 3, 60));
+        reports(Alert, [...around(MARKET, 3, 30), { lat: 16.5, lng: 74.5 }]);
+        const saved = jest.spyOn(FenceProposal.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+
+        const result = await detectHotspots(null, NOW);
+
+        expect(result.clusters).toBe(1);
+        expect(result.created).toHaveLength(1);
+        const [proposal] = saved.mock.contexts;
+        expect(proposal.suggestedType).toBe('danger');
+        expect(proposal.region).toBe('Goa');
+        expect(proposal.center.lat).toBeCloseTo(MARKET.lat, 3);
+        expect(proposal.radius).toBeGreaterThanOrEqual(300);
+        expect(proposal.cluster.size).toBe(6);
+        expect(proposal.cluster.incidents).toHaveLength(3);
+        expect(proposal.cluster.alerts).toHaveLength(3);
+        expect(proposal.cluster.firstSeenAt).toEqual(new Date(NOW.getTime() - 2 * 60 * 60 * 1000));
+        expect(proposal.cluster.lastSeenAt).toEqual(NOW);
+    });
+
+    test('skips clusters that existing zones already cover', async () => {
+        reports(Incident, around(MARKET, 6, 60), 'low');
+        reports(Alert, []);
+        fenceIndex.candidates.mockResolvedValue([{ type: 'caution', isActive: true, center: MARKET, radius: 500 }]);
+        const saved = jest.spyOn(FenceProposal.prototype, 'save');
+
+        const result = await detectHotspots(null, NOW);
+
+        expect(result.covered).toBe(1);
+        expect(saved).not.toHaveBeenCalled();
+    });
+
+    test('does not re-propose recently rejected hotspots', async () => {
+        reports(Incident, around(MARKET, 6, 60), 'low');
+        reports(Alert, []);
+        FenceProposal.find.mockResolvedValue([{ status: 'rejected', center: MARKET, radius: 300 }]);
+        const saved = jest.spyOn(FenceProposal.prototype, 'save');
+
+        const result = await detectHotspots(null, NOW);
+
+        expect(result.suppressed).toBe(1);
+        expect(saved).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,32 @@
+const { Tourist } = require('../models/User');
+const { checkInactivity, nextInactivityStep } = require('../services/inactivityMonitor');
+
+const NOW = new Date('2026-03-01T10:00:00Z');
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('checkInactivity', () => {
+    test('only watches tourists sharing their location during their trip', async () => {
+        const find = jest.spyOn(Tourist, 'find').mockReturnValue({ populate: () => Promise.resolve([]) });
+
+        await checkInactivity(null, NOW);
+
+        const [filter] = find.mock.calls[0];
+        expect(filter.locationSharing).toBe(true);
+        expect(filter['visitDuration.startDate']).toEqual({ $lte: NOW });
+        expect(filter['visitDuration.endDate']).toEqual({ $gte: NOW });
+        expect(filter.$or).toBeUndefined();
+    });
+});
+
+describe('nextInactivityStep', () => {
+    test('marks tourists offline before alerting', () => {
+        expect(nextInactivityStep(undefined, 'low', 119)).toBeNull();
+        expect(nextInactivityStep(undefined, 'low', 120)).toBe('offline');
+        expect(nextInactivityStep({ offlineAt: NOW }, 'low', 359)).toBeNull();
+        expect(nextInactivityStep({ offlineAt: NOW }, 'low', 360)).toBe('alert');
+        expect(nextInactivityStep({ offlineAt: NOW, alertId: 'alert1' }, 'low', 1000)).toBeNull();
+    });
+});
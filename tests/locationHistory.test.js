@@ -0,0 +1,87 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const LocationHistory = require('../models/LocationHistory');
+const Session = require('../models/Session');
+const { User, Tourist, Authority } = require('../models/User');
+const authorityRoutes = require('../routes/authority');
+
+const app = express();
+app.use(express.json());
+app.use('/api/authority', authorityRoutes);
+
+const TOURIST_ID = '64b0000000000000000000a1';
+const USER_ID = '64b000000000000000000001';
+const SESSION_ID = '64b000000000000000000002';
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('LocationHistory.record', () => {
+    test('keeps valid optional readings', async () => {
+        const create = jest.spyOn(LocationHistory, 'create').mockResolvedValue({});
+
+        await LocationHistory.record(TOURIST_ID, { lat: '15.49', lng: '73.82', accuracy: 5, speed: '1.5', heading: 270, altitude: -3 });
+
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            location: { lat: 15.49, lng: 73.82 },
+            accuracy: 5,
+            speed: 1.5,
+            heading: 270,
+            altitude: -3
+        }));
+    });
+
+    test('drops unknown (-1), invalid and out-of-range readings', async () => {
+        const create = jest.spyOn(LocationHistory, 'create').mockResolvedValue({});
+
+        await LocationHistory.record(TOURIST_ID, { lat: 15.49, lng: 73.82, accuracy: -1, speed: -1, heading: 400, altitude: 'high' });
+
+        const [fix] = create.mock.calls[0];
+        expect(fix.accuracy).toBeUndefined();
+        expect(fix.speed).toBeUndefined();
+        expect(fix.heading).toBeUndefined();
+        expect(fix.altitude).toBeUndefined();
+        await expect(new LocationHistory(fix).validate()).resolves.toBeUndefined();
+    });
+});
+
+describe('GET /api/authority/tourists/:id/trail', () => {
+    test('keeps the most recent fixes when the trail is capped, oldest first', async () => {
+        jest.spyOn(Session, 'findById').mockResolvedValue(
+            new Session({ _id: SESSION_ID, userId: USER_ID, userType: 'authority', expiresAt: new Date(Date.now() + 60000) }));
+        jest.spyOn(User, 'findById').mockResolvedValue({ _id: USER_ID, isActive: true });
+        jest.spyOn(Authority, 'findOne').mockResolvedValue({
+            _id: '64b0000000000000000000aa',
+            userId: USER_ID,
+            department: 'Police Department',
+            rank: 'Officer',
+            jurisdiction: 'Goa'
+        });
+        jest.spyOn(Tourist, 'findOne').mockReturnValue({ populate: () => Promise.resolve({ _id: TOURIST_ID }) });
+
+        const fixes = [3, 2].map(minute => ({ location: { lat: 15.49, lng: 73.82 }, timestamp: new Date(Date.UTC(2026, 2, 1, 10, minute)) }));
+        const query = {
+            select: () => query,
+            sort: jest.fn(() => query),
+            limit: jest.fn(() => Promise.resolve(fixes.slice()))
+        };
+        jest.spyOn(LocationHistory, 'find').mockReturnValue(query);
+
+        const res = await request(app)
+            .get(`/api/authority/tourists/${TOURIST_ID}/trail`)
+            .query({ limit: 2 })
+            .set('Authorization', `Bearer ${jwt.sign({ userId: USER_ID, userType: 'authority', sessionId: SESSION_ID }, process.env.JWT_SECRET)}`);
+
+        expect(res.status).toBe(200);
+        expect(query.sort).toHaveBeenCalledWith({ timestamp: -1 });
+        expect(query.limit).toHaveBeenCalledWith(2);
+        expect(res.body.data.points.map(point => point.timestamp)).toEqual([
+            '2026-03-01T10:02:00.000Z',
+            '2026-03-01T10:03:00.000Z'
+        ]);
+    });
+});
@@ -0,0 +1,220 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const Session = require('../models/Session');
+const { User } = require('../models/User');
+const auth = require('../middleware/auth');
+const authRoutes = require('../routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.get('/protected', auth, (req, res) => res.json({ success: true, data: req.user }));
+
+const USER_ID = '64b000000000000000000001';
+const SESSION_ID = '64b000000000000000000002';
+
+const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+const accessToken = (payload = {}) =>
+    jwt.sign({ userId: USER_ID, userType: 'tourist', sessionId: SESSION_ID, ...payload }, process.env.JWT_SECRET);
+
+const session = (fields) => new Session({
+    _id: SESSION_ID,
+    userId: USER_ID,
+    userType: 'tourist',
+    refreshTokenHash: hash(`${SESSION_ID}.current`),
+    previousTokenHash: hash(`${SESSION_ID}.previous`),
+    expiresAt: new Date(Date.now() + 60000),
+    ...fields
+});
+
+const withSelect = value => ({ select: () => Promise.resolve(value) });
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('auth middleware', () => {
+    const get = token => request(app).get('/protected').set('Authorization', `Bearer ${token}`);
+
+    beforeEach(() => {
+        jest.spyOn(User, 'findById').mockResolvedValue({ _id: USER_ID, isActive: true });
+    });
+
+    test('accepts tokens of live sessions', async () => {
+        jest.spyOn(Session, 'findById').mockResolvedValue(session());
+
+        const res = await get(accessToken());
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual(expect.objectContaining({ userId: USER_ID, sessionId: SESSION_ID }));
+    });
+
+    test('rejects tokens without a session', async () => {
+        const res = await get(accessToken({ sessionId: undefined }));
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Invalid token.');
+    });
+
+    test('rejects tokens of revoked or expired sessions', async () => {
+        jest.spyOn(Session, 'findById')
+            .mockResolvedValueOnce(session({ revokedAt: new Date(), revokedReason: 'logout' }))
+            .mockResolvedValueOnce(session({ expiresAt: new Date(Date.now() - 1000) }));
+
+        for (let i = 0; i < 2; i++) {
+            const res = await get(accessToken());
+            expect(res.status).toBe(401);
+            expect(res.body.message).toBe('Session expired or revoked.');
+        }
+    });
+
+    test('rejects deactivated accounts', async () => {
+        jest.spyOn(Session, 'findById').mockResolvedValue(session());
+        User.findById.mockResolvedValue({ _id: USER_ID, isActive: false });
+
+        const res = await get(accessToken());
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Account is deactivated.');
+    });
+
+    test('rejects expired access tokens', async () => {
+        const expired = jwt.sign({ userId: USER_ID, sessionId: SESSION_ID }, process.env.JWT_SECRET, { expiresIn: -10 });
+
+        const res = await get(expired);
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Token expired.');
+    });
+});
+
+describe('POST /api/auth/refresh', () => {
+    const refresh = refreshToken => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    beforeEach(() => {
+        jest.spyOn(User, 'findById').mockResolvedValue({ _id: USER_ID, isActive: true });
+    });
+
+    test('rotates the refresh token', async () => {
+        jest.spyOn(Session, 'findById').mockReturnValue(withSelect(session()));
+        const update = jest.spyOn(Session, 'findOneAndUpdate').mockImplementation((filter, { $set }) =>
+            Promise.resolve(session({ refreshTokenHash: $set.refreshTokenHash })));
+
+        const res = await refresh(`${SESSION_ID}.current`);
+
+        expect(res.status).toBe(200);
+        const { token, refreshToken } = res.body.data;
+        expect(refreshToken).not.toBe(`${SESSION_ID}.current`);
+        expect(refreshToken.startsWith(`${SESSION_ID}.`)).toBe(true);
+        expect(jwt.verify(token, process.env.JWT_SECRET)).toEqual(expect.objectContaining({ sessionId: SESSION_ID }));
+
+        const [filter, { $set }] = update.mock.calls[0];
+        expect(filter.refreshTokenHash).toBe(hash(`${SESSION_ID}.current`));
+        expect($set.previousTokenHash).toBe(hash(`${SESSION_ID}.current`));
+        expect($set.refreshTokenHash).toBe(hash(refreshToken));
+    });
+
+    test('revokes the session when a rotated token is replayed', async () => {
+        jest.spyOn(Session, 'findById').mockReturnValue(withSelect(session()));
+        jest.spyOn(Session, 'find').mockReturnValue(withSelect([{ _id: SESSION_ID }]));
+        const revoke = jest.spyOn(Session, 'updateMany').mockResolvedValue({});
+        const update = jest.spyOn(Session, 'findOneAndUpdate');
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const res = await refresh(`${SESSION_ID}.previous`);
+
+        expect(res.status).toBe(401);
+        expect(update).not.toHaveBeenCalled();
+        expect(revoke).toHaveBeenCalledWith(
+            expect.anything(),
+            { $set: expect.objectContaining({ revokedReason: 'token_reuse' }) }
+        );
+    });
+
+    test('rejects unknown, malformed and revoked refresh tokens', async () => {
+        jest.spyOn(Session, 'findById')
+            .mockReturnValueOnce(withSelect(session()))
+            .mockReturnValueOnce(withSelect(session({ revokedAt: new Date() })));
+
+        expect((await refresh(`${SESSION_ID}.forged`)).status).toBe(401);
+        expect((await refresh(`${SESSION_ID}.current`)).status).toBe(401);
+        expect((await refresh('not-a-token')).status).toBe(401);
+        expect((await refresh()).status).toBe(400);
+        expect((await refresh({ $ne: null })).status).toBe(400);
+        expect((await refresh(['a.b'])).status).toBe(400);
+    });
+});
+
+describe('starting a session', () => {
+    test('keeps device names within the stored length', async () => {
+        const save = jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+        const { startSession } = require('../services/sessions');
+        const req = { body: { deviceName: `  ${'Pixel '.repeat(40)}` }, ip: '10.0.0.1', get: () => 'Mobile' };
+
+        await startSession({ _id: USER_ID, userType: 'tourist' }, req);
+
+        const [session] = save.mock.contexts;
+        expect(session.device.name).toHaveLength(100);
+        await expect(session.validate()).resolves.toBeUndefined();
+    });
+
+    test('ignores device names that are not text', async () => {
+        const save = jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+        const { startSession } = require('../services/sessions');
+
+        await startSession({ _id: USER_ID, userType: 'tourist' }, { body: { deviceName: { x: 1 } }, ip: '10.0.0.1', get: () => undefined });
+
+        expect(save.mock.contexts[0].device.name).toBeUndefined();
+    });
+});
+
+describe('logout', () => {
+    beforeEach(() => {
+        jest.spyOn(Session, 'findById').mockResolvedValue(session());
+        jest.spyOn(User, 'findById').mockResolvedValue({ _id: USER_ID, isActive: true });
+    });
+
+    test('revokes the current session', async () => {
+        const find = jest.spyOn(Session, 'find').mockReturnValue(withSelect([{ _id: SESSION_ID }]));
+        jest.spyOn(Session, 'updateMany').mockResolvedValue({});
+
+        const res = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${accessToken()}`);
+
+        expect(res.status).toBe(200);
+        expect(find).toHaveBeenCalledWith({ _id: SESSION_ID, revokedAt: null });
+    });
+
+    test('revokes every session of the user on logout-all', async () => {
+        const find = jest.spyOn(Session, 'find').mockReturnValue(withSelect([{ _id: SESSION_ID }, { _id: USER_ID }]));
+        const revoke = jest.spyOn(Session, 'updateMany').mockResolvedValue({});
+
+        const res = await request(app).post('/api/auth/logout-all').set('Authorization', `Bearer ${accessToken()}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.revoked).toBe(2);
+        expect(find).toHaveBeenCalledWith({ userId: USER_ID, revokedAt: null });
+        expect(revoke).toHaveBeenCalledWith(
+            expect.anything(),
+            { $set: expect.objectContaining({ revokedReason: 'logout_all' }) }
+        );
+    });
+
+    test('only revokes sessions of the signed-in user', async () => {
+        const find = jest.spyOn(Session, 'find').mockReturnValue(withSelect([]));
+
+        const res = await request(app)
+            .delete('/api/auth/sessions/64b0000000000000000000ff')
+            .set('Authorization', `Bearer ${accessToken()}`);
+
+        expect(res.status).toBe(404);
+        expect(find).toHaveBeenCalledWith({ _id: '64b0000000000000000000ff', userId: USER_ID, revokedAt: null });
+    });
+});
@@ -0,0 +1,229 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../services/emergencyDispatch', () => ({ dispatchSOS: jest.fn().mockResolvedValue() }));
+jest.mock('../services/geoFenceMonitor', () => ({ checkGeoFencing: jest.fn() }));
+jest.mock('../services/inactivityMonitor', () => ({ recordActivity: jest.fn() }));
+jest.mock('../services/itineraryMonitor', () => ({ checkItinerary: jest.fn() }));
+
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { Server } = require('socket.io');
+const { io: connectClient } = require('socket.io-client');
+const Alert = require('../models/Alert');
+const LocationHistory = require('../models/LocationHistory');
+const Session = require('../models/Session');
+const { User, Tourist, Authority } = require('../models/User');
+const fenceIndex = require('../services/fenceIndex');
+const { dispatchSOS } = require('../services/emergencyDispatch');
+const { toAuthorities } = require('../services/authorityRooms');
+const { initSocket } = require('../services/socketServer');
+
+// Users, keyed by their User id, with their tourist or authority profiles
+const TOURISTS = {
+    '64b000000000000000000011': { _id: '64b0000000000000000000a1' },
+    '64b000000000000000000012': { _id: '64b0000000000000000000a2' }
+};
+const AUTHORITIES = {
+    '64b000000000000000000021': { _id: '64b0000000000000000000b1', department: 'Police Department', rank: 'Officer', jurisdiction: 'Goa' },
+    '64b000000000000000000022': { _id: '64b0000000000000000000b2', department: 'Police Department', rank: 'Officer', jurisdiction: 'Sikkim' },
+    '64b000000000000000000023': { _id: '64b0000000000000000000b3', department: 'Police Department', rank: 'Commissioner', jurisdiction: 'Delhi' }
+};
+const [TOURIST, OTHER_TOURIST] = Object.keys(TOURISTS);
+const [GOA_OFFICER, SIKKIM_OFFICER, COMMISSIONER] = Object.keys(AUTHORITIES);
+
+const LOCATION = { lat: 15.4909, lng: 73.8278 };
+
+let io;
+let httpServer;
+let url;
+const clients = [];
+
+// Each user has one session, which for brevity shares the user's id
+const token = (userId, userType) => jwt.sign({ userId, userType, sessionId: userId }, process.env.JWT_SECRET);
+
+// Connect a client, resolving once connected and rejecting with the server's reason otherwise
+function connect(auth) {
+    const client = connectClient(url, { auth, transports: ['websocket'], reconnection: false });
+    clients.push(client);
+
+    return new Promise((resolve, reject) => {
+        client.on('connect', () => resolve(client));
+        client.on('connect_error', reject);
+    });
+}
+
+const connectAs = (userId, userType) => connect({ token: token(userId, userType) });
+
+const emitWithAck = (client, event, data) => new Promise(resolve => client.emit(event, data, resolve));
+
+// Wait for an event, or resolve with null if it does not arrive in time
+const nextEvent = (client, event, timeout = 200) => new Promise(resolve => {
+    const timer = setTimeout(() => resolve(null), timeout);
+    client.once(event, payload => {
+        clearTimeout(timer);
+        resolve(payload);
+    });
+});
+
+const roomMembers = async room => (await io.in(room).fetchSockets()).map(socket => socket.data.user.userId);
+
+beforeAll(done => {
+    httpServer = http.createServer();
+    io = new Server(httpServer);
+    initSocket(io);
+
+    httpServer.listen(0, () => {
+        url = `http://localhost:${httpServer.address().port}`;
+        done();
+    });
+});
+
+beforeEach(() => {
+    // Every token belongs to a live session of an active user
+    jest.spyOn(Session, 'findById').mockImplementation(id =>
+        Promise.resolve(new Session({ _id: id, userId: id, userType: 'tourist', expiresAt: new Date(Date.now() + 60000) })));
+    jest.spyOn(User, 'findById').mockImplementation(id => Promise.resolve({ _id: id, isActive: true }));
+    jest.spyOn(Tourist, 'findOne').mockImplementation(({ userId }) => ({
+        select: () => Promise.resolve(TOURISTS[userId] || null)
+    }));
+    jest.spyOn(Authority, 'findOne').mockImplementation(({ userId }) =>
+        Promise.resolve(AUTHORITIES[userId] || null));
+    jest.spyOn(fenceIndex, 'regionNear').mockResolvedValue('Goa');
+    jest.spyOn(LocationHistory, 'record').mockResolvedValue();
+});
+
+afterEach(() => {
+    clients.splice(0).forEach(client => client.disconnect());
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+});
+
+afterAll(done => {
+    io.close();
+    httpServer.close(done);
+});
+
+describe('handshake', () => {
+    test('rejects connections without a token', async () => {
+        await expect(connect({})).rejects.toThrow('No token provided');
+    });
+
+    test('rejects invalid tokens', async () => {
+        await expect(connect({ token: 'not-a-jwt' })).rejects.toThrow('Invalid token');
+        await expect(connect({ token: jwt.sign({ userId: TOURIST, userType: 'tourist' }, 'wrong-secret') }))
+            .rejects.toThrow('Invalid token');
+    });
+
+    test('rejects tokens of revoked sessions', async () => {
+        Session.findById.mockResolvedValue(null);
+
+        await expect(connectAs(TOURIST, 'tourist')).rejects.toThrow('Session expired or revoked');
+    });
+
+    test('rejects users without a profile', async () => {
+        await expect(connectAs('64b000000000000000000099', 'tourist')).rejects.toThrow('profile not found');
+    });
+});
+
+describe('rooms', () => {
+    test('tourists join only their own room', async () => {
+        const client = await connectAs(TOURIST, 'tourist');
+
+        // The legacy join event no longer lets clients pick rooms
+        client.emit('join', { userType: 'tourist', userId: TOURISTS[OTHER_TOURIST]._id });
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(await roomMembers(`tourist_${TOURISTS[TOURIST]._id}`)).toEqual([TOURIST]);
+        expect(await roomMembers(`tourist_${TOURISTS[OTHER_TOURIST]._id}`)).toEqual([]);
+        expect(await roomMembers('authorities')).toEqual([]);
+    });
+
+    test('authorities join their personal room and the rooms of their regions', async () => {
+        await connectAs(GOA_OFFICER, 'authority');
+        await connectAs(COMMISSIONER, 'authority');
+
+        expect(await roomMembers(`authority_${GOA_OFFICER}`)).toEqual([GOA_OFFICER]);
+        expect(await roomMembers('authorities:Goa')).toEqual([GOA_OFFICER]);
+        expect((await roomMembers('authorities')).sort()).toEqual([GOA_OFFICER, COMMISSIONER].sort());
+        expect(await roomMembers('authorities:all')).toEqual([COMMISSIONER]);
+    });
+
+    test('regional broadcasts reach only the authorities covering the region', async () => {
+        const goa = await connectAs(GOA_OFFICER, 'authority');
+        const sikkim = await connectAs(SIKKIM_OFFICER, 'authority');
+        const commissioner = await connectAs(COMMISSIONER, 'authority');
+
+        const received = Promise.all([goa, sikkim, commissioner].map(client => nextEvent(client, 'sos_alert')));
+        toAuthorities(io, 'Goa').emit('sos_alert', { region: 'Goa' });
+
+        expect(await received).toEqual([{ region: 'Goa' }, null, { region: 'Goa' }]);
+    });
+});
+
+describe('tourist events', () => {
+    test('location updates use the authenticated tourist', async () => {
+        const tourist = await connectAs(TOURIST, 'tourist');
+        const authority = await connectAs(GOA_OFFICER, 'authority');
+        const broadcast = nextEvent(authority, 'location_update');
+
+        const ack = await emitWithAck(tourist, 'location_update', { location: LOCATION, accuracy: 5 });
+
+        expect(ack.success).toBe(true);
+        expect(LocationHistory.record).toHaveBeenCalledWith(
+            TOURISTS[TOURIST]._id, expect.objectContaining(LOCATION), 'socket');
+        expect(await broadcast).toEqual(expect.objectContaining({ touristId: TOURISTS[TOURIST]._id }));
+    });
+
+    test('rejects location updates for another tourist', async () => {
+        const tourist = await connectAs(TOURIST, 'tourist');
+
+        const ack = await emitWithAck(tourist, 'location_update', {
+            touristId: TOURISTS[OTHER_TOURIST]._id,
+            location: LOCATION
+        });
+
+        expect(ack).toEqual({ success: false, message: 'Tourist ID does not match the authenticated user' });
+        expect(LocationHistory.record).not.toHaveBeenCalled();
+    });
+
+    test('rejects SOS alerts for another tourist', async () => {
+        const tourist = await connectAs(TOURIST, 'tourist');
+
+        const ack = await emitWithAck(tourist, 'sos_alert', {
+            touristId: TOURISTS[OTHER_TOURIST]._id,
+            location: LOCATION
+        });
+
+        expect(ack.success).toBe(false);
+        expect(dispatchSOS).not.toHaveBeenCalled();
+    });
+
+    test('raises and dispatches SOS alerts for the authenticated tourist', async () => {
+        const profile = { _id: TOURISTS[TOURIST]._id, userId: { name: 'Asha' } };
+        jest.spyOn(Tourist, 'findById').mockReturnValue({ populate: () => Promise.resolve(profile) });
+        const save = jest.spyOn(Alert.prototype, 'save').mockResolvedValue();
+
+        const tourist = await connectAs(TOURIST, 'tourist');
+        const ack = await emitWithAck(tourist, 'sos_alert', { touristId: TOURISTS[TOURIST]._id, location: LOCATION });
+
+        expect(ack.success).toBe(true);
+        expect(save).toHaveBeenCalled();
+
+        const [, alert, dispatchedTourist] = dispatchSOS.mock.calls[0];
+        expect(alert.touristId.toString()).toBe(TOURISTS[TOURIST]._id);
+        expect(alert.timeline[0].actor.userId.toString()).toBe(TOURIST);
+        expect(dispatchedTourist).toBe(profile);
+    });
+
+    test('authorities cannot send tourist events', async () => {
+        const authority = await connectAs(GOA_OFFICER, 'authority');
+
+        const ack = await emitWithAck(authority, 'location_update', {
+            touristId: TOURISTS[TOURIST]._id,
+            location: LOCATION
+        });
+
+        expect(ack.success).toBe(false);
+        expect(LocationHistory.record).not.toHaveBeenCalled();
+    });
+});
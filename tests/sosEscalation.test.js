@@ -0,0 +1,180 @@
+process.env.SOS_ACK_TIMEOUT_SECONDS = '60';
+process.env.NATIONAL_HELPLINE_NUMBER = '112';
+
+const Alert = require('../models/Alert');
+const { Tourist, Authority } = require('../models/User');
+const emailService = require('../routes/email');
+const smsService = require('../routes/sms');
+const { STAGES, scheduleEscalation, nextStage, escalateAlert } = require('../services/sosEscalation');
+
+const ACK_TIMEOUT = 60 * 1000;
+const RAISED_AT = new Date('2026-03-01T10:00:00Z');
+const after = ms => new Date(RAISED_AT.getTime() + ms);
+
+const TOURIST = {
+    _id: '64b0000000000000000000a1',
+    emergencyContact: 'family@example.com',
+    userId: { name: 'Asha <Rao>', phone: '+919876543210' }
+};
+
+const officer = (id, fields) => ({
+    _id: id,
+    officerID: `OFF-${id.slice(-2)}`,
+    department: 'Police Department',
+    rank: 'Officer',
+    jurisdiction: 'Goa',
+    isOnDuty: true,
+    userId: { _id: `${id.slice(0, -2)}ff`, phone: '+919876543211' },
+    ...fields
+});
+
+const ON_DUTY = [
+    officer('64b0000000000000000000b1', { dutyLocation: { lat: 15.50, lng: 73.83, timestamp: RAISED_AT } }),
+    officer('64b0000000000000000000b2', { jurisdiction: 'Sikkim', dutyLocation: { lat: 27.33, lng: 88.61, timestamp: RAISED_AT } })
+];
+const SUPERVISORS = [
+    officer('64b0000000000000000000c1', { rank: 'Inspector', jurisdiction: 'Sikkim' }),
+    officer('64b0000000000000000000c2', { rank: 'Superintendent', jurisdiction: 'Goa' })
+];
+
+function createAlert(fields) {
+    const alert = new Alert({
+        type: 'sos',
+        touristId: TOURIST._id,
+        location: { lat: 15.49, lng: 73.82 },
+        message: 'Help',
+        severity: 'critical',
+        status: 'active',
+        region: 'Goa',
+        createdAt: RAISED_AT,
+        ...fields
+    });
+    jest.spyOn(alert, 'save').mockResolvedValue(alert);
+    scheduleEscalation(alert, RAISED_AT);
+    return alert;
+}
+
+// Socket.IO server stand-in recording what was emitted to which rooms
+function createIO() {
+    const emitted = [];
+    let rooms = [];
+    const io = {
+        to: room => {
+            rooms.push(room);
+            return io;
+        },
+        emit: (event, payload) => {
+            emitted.push({ rooms, event, payload });
+            rooms = [];
+        }
+    };
+    return { io, emitted };
+}
+
+beforeEach(() => {
+    jest.spyOn(Tourist, 'findById').mockReturnValue({ populate: () => Promise.resolve(TOURIST) });
+    jest.spyOn(Authority, 'find').mockImplementation(query => ({
+        populate: () => Promise.resolve([...(query.isOnDuty ? ON_DUTY : SUPERVISORS)])
+    }));
+    jest.spyOn(smsService, 'sendSMS').mockResolvedValue({ success: true });
+    jest.spyOn(emailService, 'sendEmail').mockResolvedValue({ success: true });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('nextStage', () => {
+    test('waits for the acknowledgement timeout', () => {
+        const alert = createAlert();
+
+        expect(alert.escalation.nextAt).toEqual(after(ACK_TIMEOUT));
+        expect(nextStage(alert, after(ACK_TIMEOUT - 1))).toBeNull();
+        expect(nextStage(alert, after(ACK_TIMEOUT))).toBe('wider_ring');
+    });
+
+    test('skips alerts that were acknowledged or resolved', () => {
+        for (const status of ['acknowledged', 'responding', 'resolved', 'closed']) {
+            const alert = createAlert({ status });
+            expect(nextStage(alert, after(ACK_TIMEOUT))).toBeNull();
+        }
+    });
+});
+
+describe('escalateAlert', () => {
+    test('climbs the ladder one stage per timeout until it is exhausted', async () => {
+        const alert = createAlert();
+        const { io, emitted } = createIO();
+
+        for (let level = 1; level <= STAGES.length; level++) {
+            const step = await escalateAlert(io, alert, after(level * ACK_TIMEOUT));
+
+            expect(step.stage).toBe(STAGES[level - 1]);
+            expect(step.level).toBe(level);
+        }
+
+        expect(alert.escalation.steps.map(step => step.stage)).toEqual(STAGES);
+        expect(alert.escalation.exhaustedAt).toEqual(after(STAGES.length * ACK_TIMEOUT));
+        expect(alert.escalation.nextAt).toBeUndefined();
+        expect(alert.timeline.filter(entry => entry.event === 'escalation')).toHaveLength(STAGES.length);
+        expect(alert.status).toBe('active');
+
+        // Nothing further once every stage has run
+        expect(await escalateAlert(io, alert, after(10 * ACK_TIMEOUT))).toBeNull();
+
+        const broadcasts = emitted.filter(({ event }) => event === 'sos_escalation');
+        expect(broadcasts.map(({ payload }) => payload.stage)).toEqual(expect.arrayContaining(STAGES));
+        expect(broadcasts[broadcasts.length - 1].payload.exhausted).toBe(true);
+    });
+
+    test('does not escalate before the next stage is due', async () => {
+        const alert = createAlert();
+
+        await escalateAlert(null, alert, after(ACK_TIMEOUT));
+
+        expect(await escalateAlert(null, alert, after(ACK_TIMEOUT + 1000))).toBeNull();
+        expect(alert.escalation.level).toBe(1);
+        expect(alert.escalation.nextAt).toEqual(after(2 * ACK_TIMEOUT));
+    });
+
+    test('stops once the alert is acknowledged', async () => {
+        const alert = createAlert();
+        await escalateAlert(null, alert, after(ACK_TIMEOUT));
+
+        alert.transition('acknowledged', { userType: 'authority' });
+
+        expect(await escalateAlert(null, alert, after(2 * ACK_TIMEOUT))).toBeNull();
+        expect(alert.escalation.steps).toHaveLength(1);
+    });
+
+    test('pages nearby on-duty authorities first, then supervisors of the region', async () => {
+        const alert = createAlert();
+        const { io, emitted } = createIO();
+
+        const ring = await escalateAlert(io, alert, after(ACK_TIMEOUT));
+        const supervisors = await escalateAlert(io, alert, after(2 * ACK_TIMEOUT));
+
+        expect(ring.recipients.map(recipient => recipient.authorityId)).toEqual([ON_DUTY[0]._id]);
+        expect(supervisors.recipients.map(recipient => recipient.authorityId))
+            .toEqual([SUPERVISORS[1]._id, SUPERVISORS[0]._id]);
+        expect(emitted.filter(({ event }) => event === 'sos_escalated').map(({ rooms }) => rooms))
+            .toEqual([[`authority_${ON_DUTY[0].userId._id}`], ...[1, 0].map(i => [`authority_${SUPERVISORS[i].userId._id}`])]);
+    });
+
+    test('alerts the emergency contact and helpline last, escaping the tourist name', async () => {
+        const alert = createAlert();
+        for (let level = 1; level < STAGES.length; level++) {
+            await escalateAlert(null, alert, after(level * ACK_TIMEOUT));
+        }
+        smsService.sendSMS.mockClear();
+
+        const step = await escalateAlert(null, alert, after(STAGES.length * ACK_TIMEOUT));
+
+        expect(step.recipients.map(recipient => recipient.kind)).toEqual(['contact', 'helpline']);
+        const [mail] = emailService.sendEmail.mock.calls[0];
+        expect(mail.to).toBe(TOURIST.emergencyContact);
+        expect(mail.html).toContain('Asha &lt;Rao&gt;');
+        expect(mail.html).not.toContain('<Rao>');
+        expect(smsService.sendSMS).toHaveBeenCalledWith('112', expect.any(String));
+    });
+});
@@ -0,0 +1,122 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('../services/safetyScore', () => ({ calculateSafetyScore: jest.fn() }));
+jest.mock('../services/itineraryMonitor', () => ({ checkItinerary: jest.fn() }));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const LocationHistory = require('../models/LocationHistory');
+const SafetyScoreSnapshot = require('../models/SafetyScoreSnapshot');
+const Session = require('../models/Session');
+const { User, Tourist } = require('../models/User');
+const { calculateSafetyScore } = require('../services/safetyScore');
+const { checkItinerary } = require('../services/itineraryMonitor');
+const touristRoutes = require('../routes/tourist');
+
+const USER_ID = '64b000000000000000000001';
+const SESSION_ID = '64b000000000000000000002';
+const TOURIST_ID = '64b0000000000000000000c1';
+
+// Socket.IO server stand-in recording what was emitted to which rooms
+const emitted = [];
+let rooms = [];
+const io = {
+    to: room => {
+        rooms.push(room);
+        return io;
+    },
+    emit: (event, payload) => {
+        emitted.push({ rooms, event, payload });
+        rooms = [];
+    }
+};
+
+const app = express();
+app.use(express.json());
+app.set('io', io);
+app.use('/api/tourist', touristRoutes);
+
+const loadTourist = (fields) => {
+    const tourist = new Tourist({
+        _id: TOURIST_ID,
+        userId: USER_ID,
+        region: 'Goa',
+        safetyScore: 80,
+        ...fields
+    });
+    jest.spyOn(tourist, 'save').mockResolvedValue(tourist);
+    jest.spyOn(Tourist, 'findOne').mockResolvedValue(tourist);
+    return tourist;
+};
+
+const report = () => request(app)
+    .post('/api/tourist/location')
+    .set('Authorization', `Bearer ${jwt.sign({ userId: USER_ID, userType: 'tourist', sessionId: SESSION_ID }, process.env.JWT_SECRET)}`)
+    .send({ lat: 15.49, lng: 73.82 });
+
+beforeEach(() => {
+    emitted.length = 0;
+    jest.spyOn(Session, 'findById').mockResolvedValue(
+        new Session({ _id: SESSION_ID, userId: USER_ID, userType: 'tourist', expiresAt: new Date(Date.now() + 60000) }));
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: USER_ID, isActive: true });
+    jest.spyOn(LocationHistory, 'record').mockResolvedValue({});
+    calculateSafetyScore.mockResolvedValue({ score: 75, factors: [] });
+    checkItinerary.mockResolvedValue(null);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('POST /api/tourist/location', () => {
+    test('tells authorities when a tourist marked offline reports again', async () => {
+        const tourist = loadTourist({ status: 'offline', inactivity: { riskLevel: 'low', offlineAt: new Date() } });
+
+        const res = await report();
+
+        expect(res.status).toBe(200);
+        expect(tourist.status).toBe('active');
+        expect(emitted).toEqual([{
+            rooms: ['authorities:all', 'authorities:Goa'],
+            event: 'tourist_online',
+            payload: expect.objectContaining({ touristId: tourist._id })
+        }]);
+    });
+
+    test('stays quiet for tourists that were online', async () => {
+        loadTourist({ status: 'active' });
+
+        const res = await report();
+
+        expect(res.status).toBe(200);
+        expect(emitted).toEqual([]);
+    });
+
+    test('still succeeds when the safety score snapshot cannot be stored', async () => {
+        loadTourist({ status: 'active' });
+        calculateSafetyScore.mockResolvedValue({ score: 75, factors: [{ factor: 'zones', delta: -5 }] });
+        const record = jest.spyOn(SafetyScoreSnapshot, 'record').mockRejectedValue(new Error('write failed'));
+        const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const res = await report();
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.safetyScore).toBe(75);
+        expect(record).toHaveBeenCalled();
+        expect(logged).toHaveBeenCalledWith('Record safety score snapshot error:', expect.any(Error));
+    });
+
+    test('still succeeds when the itinerary check fails', async () => {
+        loadTourist({ status: 'active' });
+        checkItinerary.mockRejectedValue(new Error('itinerary lookup failed'));
+        const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const res = await report();
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.deviation).toBeNull();
+        expect(logged).toHaveBeenCalledWith('Check itinerary error:', expect.any(Error));
+    });
+});
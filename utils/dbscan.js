@@ -0,0 +1,108 @@
+// DBSCAN clustering of { lat, lng } points with a radius in meters. Neighbours are
+// found through a grid of eps-sized cells, so each lookup only measures the points
+// in the 3×3 cells around a point.
+
+const { distance, pointBounds } = require('./geo');
+
+function buildGrid(points, eps) {
+    // Cell size in degrees; longitude cells are widened for the most poleward point.
+    // A loop rather than Math.max(...) so large inputs do not overflow the call stack.
+    let maxAbsLat = 0;
+    for (const point of points) {
+        maxAbsLat = Math.max(maxAbsLat, Math.abs(point.lat));
+    }
+    const padding = pointBounds(maxAbsLat, 0, eps);
+    const cellLat = padding.maxLat - maxAbsLat;
+    const cellLng = padding.maxLng;
+
+    const cells = new Map();
+    const cellOf = point => [Math.floor(point.lat / cellLat), Math.floor(point.lng / cellLng)];
+
+    points.forEach((point, index) => {
+        const key = cellOf(point).join(':');
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(index);
+    });
+
+    return { cells, cellOf };
+}
+
+// Returns { clusters: [[index, ...], ...], noise: [index, ...] }
+function dbscan(points, eps, minPoints) {
+    if (!points.length) return { clusters: [], noise: [] };
+
+    const { cells, cellOf } = buildGrid(points, eps);
+
+    const neighbours = index => {
+        const point = points[index];
+        const [row, col] = cellOf(point);
+        const found = [];
+
+        for (let r = row - 1; r <= row + 1; r++) {
+            for (let c = col - 1; c <= col + 1; c++) {
+                for (const other of cells.get(`${r}:${c}`) || []) {
+                    if (distance(point.lat, point.lng, points[other].lat, points[other].lng) <= eps) {
+                        found.push(other);
+                    }
+                }
+            }
+        }
+
+        return found;
+    };
+
+    const UNVISITED = -2;
+    const NOISE = -1;
+    const labels = new Array(points.length).fill(UNVISITED);
+    const clusters = [];
+
+    for (let index = 0; index < points.length; index++) {
+        if (labels[index] !== UNVISITED) continue;
+
+        const seeds = neighbours(index);
+        if (seeds.length < minPoints) {
+            labels[index] = NOISE;
+            continue;
+        }
+
+        const clusterId = clusters.length;
+        const members = [index];
+        labels[index] = clusterId;
+
+        const queue = seeds.filter(other => other !== index);
+        while (queue.length) {
+            const other = queue.pop();
+
+            // Border points previously marked as noise join the cluster but are not expanded
+            if (labels[other] === NOISE) {
+                labels[other] = clusterId;
+                members.push(other);
+                continue;
+            }
+            if (labels[other] !== UNVISITED) continue;
+
+            labels[other] = clusterId;
+            members.push(other);
+
+            const reachable = neighbours(other);
+            if (reachable.length >= minPoints) {
+                for (const next of reachable) {
+                    if (labels[next] === UNVISITED || labels[next] === NOISE) queue.push(next);
+                }
+            }
+        }
+
+        clusters.push(members);
+    }
+
+    const noise = [];
+    labels.forEach((label, index) => {
+        if (label === NOISE) noise.push(index);
+    });
+
+    return { clusters, noise };
+}
+
+module.exports = {
+    dbscan
+};
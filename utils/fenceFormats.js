@@ -0,0 +1,248 @@
+// Conversion between GeoFence documents and GeoJSON / KML
+
+const { escapeXml, decodeXml, findElements, findText } = require('./xml');
+const { isPolygonFence } = require('./geoFence');
+
+const FENCE_PROPERTIES = ['name', 'type', 'region', 'description'];
+
+// KML colours are aabbggrr
+const KML_STYLES = {
+    safe: '7f699605',
+    caution: '7f0c58ea',
+    danger: '7f2626dc',
+    restricted: '7fed3a7c'
+};
+
+// Case-insensitive property lookup, so "Name" and "NAME" from GIS tools map too
+function pickProperty(properties, key) {
+    const match = Object.keys(properties || {}).find(k => k.toLowerCase() === key);
+    return match === undefined ? undefined : properties[match];
+}
+
+// Map a GeoJSON geometry and properties onto GeoFence fields
+function fenceFieldsFromFeature(geometry, properties, defaults = {}) {
+    const fields = {};
+
+    for (const key of FENCE_PROPERTIES) {
+        const value = pickProperty(properties, key);
+        fields[key] = value !== undefined && value !== '' ? String(value).trim() : defaults[key];
+    }
+
+    if (fields.type) fields.type = fields.type.toLowerCase();
+
+    if (!geometry) {
+        throw new Error('Feature has no geometry');
+    }
+
+    if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+        fields.geometry = {
+            type: geometry.type,
+            coordinates: geometry.coordinates
+        };
+    } else if (geometry.type === 'Point') {
+        const radius = parseFloat(pickProperty(properties, 'radius'));
+        if (!radius) {
+            throw new Error('Point features need a radius property (meters)');
+        }
+
+        const [lng, lat] = geometry.coordinates || [];
+        fields.center = { lat, lng };
+        fields.radius = radius;
+    } else {
+        throw new Error(`Unsupported geometry type: ${geometry.type}`);
+    }
+
+    return fields;
+}
+
+// Parse a FeatureCollection (or single Feature) into per-feature results
+function parseGeoJSON(data) {
+    const collection = typeof data === 'string' ? JSON.parse(data) : data;
+
+    let features;
+    if (collection && collection.type === 'FeatureCollection' && Array.isArray(collection.features)) {
+        features = collection.features;
+    } else if (collection && collection.type === 'Feature') {
+        features = [collection];
+    } else {
+        throw new Error('Expected a GeoJSON FeatureCollection or Feature');
+    }
+
+    return features.map(feature => ({
+        properties: (feature && feature.properties) || {},
+        geometry: feature && feature.geometry
+    }));
+}
+
+function parseKMLCoordinates(text) {
+    return (text || '')
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+}
+
+function parseKMLPolygon(xml) {
+    const rings = [];
+
+    for (const boundary of findElements(xml, 'outerBoundaryIs')) {
+        rings.push(parseKMLCoordinates(findText(boundary, 'coordinates')));
+    }
+    for (const boundary of findElements(xml, 'innerBoundaryIs')) {
+        rings.push(parseKMLCoordinates(findText(boundary, 'coordinates')));
+    }
+
+    return rings;
+}
+
+// ExtendedData <Data name="x"><value> and <SimpleData name="x"> pairs
+function parseKMLExtendedData(xml) {
+    const data = {};
+    const pattern = /<(?:\w+:)?(Data|SimpleData)\b[^>]*\bname="([^"]*)"[^>]*>([\s\S]*?)<\/(?:\w+:)?\1>/g;
+
+    for (const [, tag, name, inner] of xml.matchAll(pattern)) {
+        data[name] = tag === 'Data' ? findText(inner, 'value') : decodeXml(inner).trim();
+    }
+
+    return data;
+}
+
+// Parse the Placemarks of a KML document into per-feature results
+function parseKML(text) {
+    if (typeof text !== 'string' || !/<(?:\w+:)?kml\b/.test(text)) {
+        throw new Error('Expected a KML document');
+    }
+
+    return findElements(text, 'Placemark').map(placemark => {
+        const properties = {
+            ...parseKMLExtendedData(placemark),
+            name: findText(placemark, 'name'),
+            description: findText(placemark, 'description')
+        };
+
+        const polygons = findElements(placemark, 'Polygon').map(parseKMLPolygon);
+        let geometry = null;
+
+        if (polygons.length === 1) {
+            geometry = { type: 'Polygon', coordinates: polygons[0] };
+        } else if (polygons.length > 1) {
+            geometry = { type: 'MultiPolygon', coordinates: polygons };
+        } else {
+            const [point] = findElements(placemark, 'Point');
+            if (point !== undefined) {
+                const [position] = parseKMLCoordinates(findText(point, 'coordinates'));
+                geometry = { type: 'Point', coordinates: position };
+            }
+        }
+
+        return { properties, geometry };
+    });
+}
+
+function fenceProperties(fence) {
+    return {
+        id: fence._id,
+        name: fence.name,
+        type: fence.type,
+        region: fence.region,
+        description: fence.description,
+        color: fence.color,
+        isActive: fence.isActive
+    };
+}
+
+function toGeoJSON(fences) {
+    return {
+        type: 'FeatureCollection',
+        features: fences.map(fence => {
+            if (isPolygonFence(fence)) {
+                return {
+                    type: 'Feature',
+                    geometry: {
+                        type: fence.geometry.type,
+                        coordinates: fence.geometry.coordinates
+                    },
+                    properties: fenceProperties(fence)
+                };
+            }
+
+            return {
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: [fence.center.lng, fence.center.lat]
+                },
+                properties: {
+                    ...fenceProperties(fence),
+                    radius: fence.radius
+                }
+            };
+        })
+    };
+}
+
+function kmlRing(ring) {
+    return `<LinearRing><coordinates>${ring.map(([lng, lat]) => `${lng},${lat}`).join(' ')}</coordinates></LinearRing>`;
+}
+
+function kmlPolygon(rings) {
+    const [outer, ...holes] = rings;
+    return '<Polygon>' +
+        `<outerBoundaryIs>${kmlRing(outer)}</outerBoundaryIs>` +
+        holes.map(hole => `<innerBoundaryIs>${kmlRing(hole)}</innerBoundaryIs>`).join('') +
+        '</Polygon>';
+}
+
+function kmlGeometry(fence) {
+    if (!isPolygonFence(fence)) {
+        return `<Point><coordinates>${fence.center.lng},${fence.center.lat}</coordinates></Point>`;
+    }
+
+    if (fence.geometry.type === 'Polygon') {
+        return kmlPolygon(fence.geometry.coordinates);
+    }
+
+    return `<MultiGeometry>${fence.geometry.coordinates.map(kmlPolygon).join('')}</MultiGeometry>`;
+}
+
+function toKML(fences, documentName = 'SafeTrip Geo-fences') {
+    const styles = Object.entries(KML_STYLES).map(([type, color]) =>
+        `<Style id="${type}"><LineStyle><color>ff${color.slice(2)}</color><width>2</width></LineStyle>` +
+        `<PolyStyle><color>${color}</color></PolyStyle></Style>`
+    ).join('\n    ');
+
+    const placemarks = fences.map(fence => {
+        const data = { type: fence.type, region: fence.region, id: fence._id };
+        if (!isPolygonFence(fence)) data.radius = fence.radius;
+
+        const extendedData = Object.entries(data)
+            .map(([name, value]) => `<Data name="${name}"><value>${escapeXml(value)}</value></Data>`)
+            .join('');
+
+        return `    <Placemark>
+      <name>${escapeXml(fence.name)}</name>
+      <description>${escapeXml(fence.description)}</description>
+      <styleUrl>#${fence.type}</styleUrl>
+      <ExtendedData>${extendedData}</ExtendedData>
+      ${kmlGeometry(fence)}
+    </Placemark>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(documentName)}</name>
+    ${styles}
+${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+module.exports = {
+    parseGeoJSON,
+    parseKML,
+    fenceFieldsFromFeature,
+    toGeoJSON,
+    toKML
+};
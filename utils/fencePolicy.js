@@ -0,0 +1,94 @@
+// Per-type geo-fence policy, shared by the socket monitor, check-location and the safety score
+
+const FENCE_POLICIES = {
+    safe: {
+        severity: 'low',
+        alertAuthorities: false,
+        requiresPermit: false,
+        insideScoreDelta: 5,
+        nearScoreDelta: 0,
+        warning: fence => `You are in ${fence.name}, a designated safe zone`
+    },
+    caution: {
+        severity: 'medium',
+        alertAuthorities: false,
+        requiresPermit: false,
+        insideScoreDelta: -15,
+        nearScoreDelta: -5,
+        warning: fence => `Caution: You are entering ${fence.name}. Stay alert and follow local guidance.`
+    },
+    danger: {
+        severity: 'high',
+        alertAuthorities: true,
+        requiresPermit: false,
+        insideScoreDelta: -30,
+        nearScoreDelta: -15,
+        warning: fence => `Warning: You are entering ${fence.name}`
+    },
+    restricted: {
+        severity: 'critical',
+        alertAuthorities: true,
+        requiresPermit: true,
+        insideScoreDelta: -20,
+        nearScoreDelta: -5,
+        warning: fence => `${fence.name} is a restricted area. Entry requires a valid permit.`
+    }
+};
+
+function getFencePolicy(type) {
+    return FENCE_POLICIES[type] || FENCE_POLICIES.caution;
+}
+
+// A permit covers a fence either directly or through the fence's region
+function findValidPermit(tourist, fence, at = new Date()) {
+    if (!tourist || !tourist.permits) return null;
+
+    return tourist.permits.find(permit => {
+        const covers = permit.fenceId
+            ? permit.fenceId.toString() === fence._id.toString()
+            : permit.region === fence.region;
+
+        return covers &&
+            (!permit.validFrom || permit.validFrom <= at) &&
+            (!permit.validUntil || permit.validUntil > at);
+    }) || null;
+}
+
+// Resolve what entering `fence` means for `tourist` (who may be null)
+function resolveFenceOutcome(fence, tourist, at = new Date()) {
+    const policy = getFencePolicy(fence.type);
+
+    if (policy.requiresPermit) {
+        const permit = findValidPermit(tourist, fence, at);
+
+        if (permit) {
+            return {
+                severity: 'low',
+                alertAuthorities: false,
+                requiresPermit: true,
+                hasPermit: true,
+                permitNumber: permit.permitNumber,
+                insideScoreDelta: 0,
+                nearScoreDelta: 0,
+                warning: `You are entering ${fence.name}. Keep your permit ${permit.permitNumber} ready for inspection.`
+            };
+        }
+    }
+
+    return {
+        severity: policy.severity,
+        alertAuthorities: policy.alertAuthorities,
+        requiresPermit: policy.requiresPermit,
+        hasPermit: policy.requiresPermit ? false : undefined,
+        insideScoreDelta: policy.insideScoreDelta,
+        nearScoreDelta: policy.nearScoreDelta,
+        warning: policy.warning(fence)
+    };
+}
+
+module.exports = {
+    FENCE_POLICIES,
+    getFencePolicy,
+    findValidPermit,
+    resolveFenceOutcome
+};
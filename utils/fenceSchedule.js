@@ -0,0 +1,123 @@
+// Evaluates whether a geo-fence is in effect at a given moment
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+function isValidTimezone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Wall-clock parts of `date` in the given timezone
+function getLocalTime(date, timeZone = DEFAULT_TIMEZONE) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+
+    return {
+        weekday: WEEKDAYS.indexOf(parts.weekday),
+        minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+        monthDay: `${parts.month}-${parts.day}`
+    };
+}
+
+// "HH:mm" → minutes since midnight
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Windows whose end is before their start run past midnight into the next day
+function inTimeWindow(window, local) {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    const days = window.days && window.days.length ? window.days : null;
+    const onDay = day => !days || days.includes(day);
+
+    if (start <= end) {
+        return onDay(local.weekday) && local.minutes >= start && local.minutes < end;
+    }
+
+    const previousDay = (local.weekday + 6) % 7;
+    return (onDay(local.weekday) && local.minutes >= start) ||
+        (onDay(previousDay) && local.minutes < end);
+}
+
+// "MM-DD" ranges recur every year and may wrap over New Year
+function inDateRange(range, local) {
+    if (range.start <= range.end) {
+        return local.monthDay >= range.start && local.monthDay <= range.end;
+    }
+    return local.monthDay >= range.start || local.monthDay <= range.end;
+}
+
+function inActivation(activation, at) {
+    return at >= activation.startsAt && (!activation.endsAt || at < activation.endsAt);
+}
+
+// A fence with no schedule and no activations is always in effect while active.
+// Otherwise it is in effect during any one-off activation, or when its
+// recurring schedule (date ranges and/or daily windows) matches.
+function isFenceInEffect(fence, at = new Date()) {
+    if (!fence.isActive) return false;
+
+    const schedule = fence.schedule || {};
+    const windows = schedule.windows || [];
+    const dateRanges = schedule.dateRanges || [];
+    const activations = fence.activations || [];
+
+    if (!windows.length && !dateRanges.length && !activations.length) {
+        return true;
+    }
+
+    if (activations.some(activation => inActivation(activation, at))) {
+        return true;
+    }
+
+    if (!windows.length && !dateRanges.length) {
+        return false;
+    }
+
+    const local = getLocalTime(at, schedule.timezone || DEFAULT_TIMEZONE);
+
+    return (!dateRanges.length || dateRanges.some(range => inDateRange(range, local))) &&
+        (!windows.length || windows.some(window => inTimeWindow(window, local)));
+}
+
+// Parse an optional evaluation time from request input
+function parseEvaluationTime(value) {
+    if (!value) return new Date();
+
+    const at = new Date(value);
+    return isNaN(at.getTime()) ? null : at;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isFenceInEffect,
+    isValidTimezone,
+    getLocalTime,
+    parseEvaluationTime
+};
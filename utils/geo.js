@@ -0,0 +1,282 @@
+// Shared geospatial helpers. Points are { lat, lng } objects or separate
+// lat/lng arguments; GeoJSON positions are [lng, lat] arrays.
+
+const EARTH_RADIUS = 6371e3; // Earth's radius in meters
+const METERS_PER_DEGREE_LAT = Math.PI * EARTH_RADIUS / 180;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+// Great-circle (haversine) distance between two coordinates in meters
+function distance(lat1, lng1, lat2, lng2) {
+    const φ1 = toRadians(lat1);
+    const φ2 = toRadians(lat2);
+    const Δφ = toRadians(lat2 - lat1);
+    const Δλ = toRadians(lng2 - lng1);
+
+    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+              Math.cos(φ1) * Math.cos(φ2) *
+              Math.sin(Δλ/2) * Math.sin(Δλ/2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+    return EARTH_RADIUS * c;
+}
+
+// Initial bearing from the first point to the second, in degrees clockwise from north
+function bearing(lat1, lng1, lat2, lng2) {
+    const φ1 = toRadians(lat1);
+    const φ2 = toRadians(lat2);
+    const Δλ = toRadians(lng2 - lng1);
+
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+
+    return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+// Point reached by travelling `meters` from a start point along `bearingDegrees`
+function destinationPoint(lat, lng, bearingDegrees, meters) {
+    const δ = meters / EARTH_RADIUS;
+    const θ = toRadians(bearingDegrees);
+    const φ1 = toRadians(lat);
+    const λ1 = toRadians(lng);
+
+    const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ));
+    const λ2 = λ1 + Math.atan2(
+        Math.sin(θ) * Math.sin(δ) * Math.cos(φ1),
+        Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2)
+    );
+
+    return {
+        lat: toDegrees(φ2),
+        lng: ((toDegrees(λ2) + 540) % 360) - 180
+    };
+}
+
+// Ray-casting test of a point against a single linear ring of [lng, lat] positions
+function pointInRing(lat, lng, ring) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+
+        const intersects = ((yi > lat) !== (yj > lat)) &&
+            (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi);
+
+        if (intersects) inside = !inside;
+    }
+
+    return inside;
+}
+
+// Polygon coordinates are [outerRing, ...holes]
+function pointInPolygon(lat, lng, rings) {
+    if (!rings.length || !pointInRing(lat, lng, rings[0])) {
+        return false;
+    }
+
+    return !rings.slice(1).some(hole => pointInRing(lat, lng, hole));
+}
+
+// Polygons (each [outerRing, ...holes]) of a GeoJSON Polygon/MultiPolygon
+function getPolygons(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+}
+
+// Containment of a point in a GeoJSON Polygon/MultiPolygon, honouring holes
+function containsPoint(geometry, lat, lng) {
+    return getPolygons(geometry).some(rings => pointInPolygon(lat, lng, rings));
+}
+
+// Containment of a point in a circle
+function inCircle(center, radius, lat, lng) {
+    return distance(lat, lng, center.lat, center.lng) <= radius;
+}
+
+// Distance from a point to a segment of [lng, lat] positions, using a local
+// equirectangular projection (accurate for the short segments of fences and trails)
+function distanceToSegment(lat, lng, [lng1, lat1], [lng2, lat2]) {
+    const metersPerDegLng = METERS_PER_DEGREE_LAT * Math.cos(toRadians(lat));
+
+    const ax = (lng1 - lng) * metersPerDegLng;
+    const ay = (lat1 - lat) * METERS_PER_DEGREE_LAT;
+    const bx = (lng2 - lng) * metersPerDegLng;
+    const by = (lat2 - lat) * METERS_PER_DEGREE_LAT;
+
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+
+    let t = lengthSq === 0 ? 0 : -(ax * dx + ay * dy) / lengthSq;
+    t = Math.max(0, Math.min(1, t));
+
+    return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+// Distance from a point to the nearest segment of a line of [lng, lat] positions
+function distanceToLine(lat, lng, line) {
+    if (line.length === 1) {
+        return distance(lat, lng, line[0][1], line[0][0]);
+    }
+
+    let min = Infinity;
+    for (let i = 1; i < line.length; i++) {
+        min = Math.min(min, distanceToSegment(lat, lng, line[i - 1], line[i]));
+    }
+    return min;
+}
+
+// Distance from a point to the nearest ring (outer or hole) of a Polygon/MultiPolygon
+function distanceToBoundary(geometry, lat, lng) {
+    let min = Infinity;
+
+    for (const rings of getPolygons(geometry)) {
+        for (const ring of rings) {
+            min = Math.min(min, distanceToLine(lat, lng, ring));
+        }
+    }
+
+    return min;
+}
+
+// Distance from a point to the edge of a circle (inside or outside)
+function distanceToCircleBoundary(center, radius, lat, lng) {
+    return Math.abs(radius - distance(lat, lng, center.lat, center.lng));
+}
+
+// Bounding box of a point expanded by `meters`
+function pointBounds(lat, lng, meters = 0) {
+    const latDelta = meters / METERS_PER_DEGREE_LAT;
+    const lngDelta = latDelta / Math.max(Math.cos(toRadians(lat)), 0.01);
+
+    return {
+        minLat: lat - latDelta,
+        maxLat: lat + latDelta,
+        minLng: lng - lngDelta,
+        maxLng: lng + lngDelta
+    };
+}
+
+// Bounding box of a GeoJSON Polygon/MultiPolygon (outer rings) or LineString
+function geometryBounds(geometry) {
+    const positions = geometry.type === 'LineString'
+        ? geometry.coordinates
+        : getPolygons(geometry).flatMap(rings => rings[0]);
+
+    let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+
+    for (const [lng, lat] of positions) {
+        minLat = Math.min(minLat, lat);
+        maxLat = Math.max(maxLat, lat);
+        minLng = Math.min(minLng, lng);
+        maxLng = Math.max(maxLng, lng);
+    }
+
+    return { minLat, maxLat, minLng, maxLng };
+}
+
+// Expand a bounding box by `meters` on every side
+function bufferBounds(bounds, meters) {
+    const widestLat = Math.max(Math.abs(bounds.minLat), Math.abs(bounds.maxLat));
+    const padding = pointBounds(widestLat, 0, meters);
+    const latDelta = padding.maxLat - widestLat;
+
+    return {
+        minLat: bounds.minLat - latDelta,
+        maxLat: bounds.maxLat + latDelta,
+        minLng: bounds.minLng + padding.minLng,
+        maxLng: bounds.maxLng + padding.maxLng
+    };
+}
+
+function boundsIntersect(a, b) {
+    return a.minLat <= b.maxLat && a.maxLat >= b.minLat &&
+        a.minLng <= b.maxLng && a.maxLng >= b.minLng;
+}
+
+function boundsContain(bounds, lat, lng) {
+    return lat >= bounds.minLat && lat <= bounds.maxLat &&
+        lng >= bounds.minLng && lng <= bounds.maxLng;
+}
+
+function boundsCenter({ minLat, maxLat, minLng, maxLng }) {
+    return {
+        lat: (minLat + maxLat) / 2,
+        lng: (minLng + maxLng) / 2
+    };
+}
+
+// Buffer a point into a GeoJSON Polygon approximating a circle of `radius` meters
+function bufferPoint(lat, lng, radius, steps = 32) {
+    const ring = [];
+
+    for (let i = 0; i < steps; i++) {
+        const point = destinationPoint(lat, lng, (360 / steps) * i, radius);
+        ring.push([point.lng, point.lat]);
+    }
+    ring.push(ring[0]);
+
+    return { type: 'Polygon', coordinates: [ring] };
+}
+
+// Douglas–Peucker simplification of an ordered list of { lat, lng } points.
+// Points closer than `tolerance` meters to the simplified line are dropped;
+// the first and last points are always kept.
+function simplifyLine(points, tolerance) {
+    if (points.length <= 2) return points.slice();
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = keep[points.length - 1] = true;
+
+    const stack = [[0, points.length - 1]];
+    while (stack.length) {
+        const [start, end] = stack.pop();
+        const a = [points[start].lng, points[start].lat];
+        const b = [points[end].lng, points[end].lat];
+
+        let maxDistance = 0;
+        let index = -1;
+        for (let i = start + 1; i < end; i++) {
+            const d = distanceToSegment(points[i].lat, points[i].lng, a, b);
+            if (d > maxDistance) {
+                maxDistance = d;
+                index = i;
+            }
+        }
+
+        if (index !== -1 && maxDistance > tolerance) {
+            keep[index] = true;
+            stack.push([start, index], [index, end]);
+        }
+    }
+
+    return points.filter((point, i) => keep[i]);
+}
+
+module.exports = {
+    EARTH_RADIUS,
+    distance,
+    bearing,
+    destinationPoint,
+    pointInRing,
+    pointInPolygon,
+    getPolygons,
+    containsPoint,
+    inCircle,
+    distanceToSegment,
+    distanceToLine,
+    distanceToBoundary,
+    distanceToCircleBoundary,
+    pointBounds,
+    geometryBounds,
+    bufferBounds,
+    boundsIntersect,
+    boundsContain,
+    boundsCenter,
+    bufferPoint,
+    simplifyLine
+};
@@ -0,0 +1,153 @@
+// Fence-level helpers for evaluating circular and polygonal geo-fences
+
+const {
+    getPolygons,
+    containsPoint,
+    inCircle,
+    distanceToBoundary,
+    distanceToCircleBoundary,
+    pointBounds,
+    geometryBounds,
+    bufferBounds,
+    boundsCenter
+} = require('./geo');
+
+// Buffer used to decide whether a point is "near" a polygon fence (meters)
+const POLYGON_NEAR_BUFFER = 500;
+
+function isPolygonFence(fence) {
+    return getPolygons(fence.geometry).length > 0;
+}
+
+// Evaluate a point against a fence.
+// `distance` is 0 inside the fence and the distance to its boundary outside;
+// `distanceToEdge` is always the distance to the nearest boundary.
+function evaluateFence(fence, lat, lng) {
+    const polygon = isPolygonFence(fence);
+
+    const isInside = polygon
+        ? containsPoint(fence.geometry, lat, lng)
+        : inCircle(fence.center, fence.radius, lat, lng);
+    const distanceToEdge = polygon
+        ? distanceToBoundary(fence.geometry, lat, lng)
+        : distanceToCircleBoundary(fence.center, fence.radius, lat, lng);
+
+    return {
+        shape: polygon ? 'polygon' : 'circle',
+        isInside,
+        distance: isInside ? 0 : distanceToEdge,
+        distanceToEdge
+    };
+}
+
+// Distance outside a fence's boundary that still counts as "near" it
+function nearBuffer(fence) {
+    return isPolygonFence(fence) ? POLYGON_NEAR_BUFFER : fence.radius;
+}
+
+// Whether an outside point is close enough to a fence to count as "near" it
+function isNearFence(fence, evaluation) {
+    if (evaluation.isInside) return false;
+    return evaluation.distanceToEdge <= nearBuffer(fence);
+}
+
+// Bounding box of a fence expanded by `buffer` meters
+function fenceBounds(fence, buffer = 0) {
+    if (!isPolygonFence(fence)) {
+        return pointBounds(fence.center.lat, fence.center.lng, fence.radius + buffer);
+    }
+
+    return bufferBounds(geometryBounds(fence.geometry), buffer);
+}
+
+// Validate a GeoJSON Polygon/MultiPolygon; returns an error message or null
+function validatePolygonGeometry(geometry) {
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+        return 'Geometry type must be Polygon or MultiPolygon';
+    }
+
+    if (!Array.isArray(geometry.coordinates) || !geometry.coordinates.length) {
+        return 'Geometry coordinates are required';
+    }
+
+    for (const rings of getPolygons(geometry)) {
+        if (!Array.isArray(rings) || !rings.length) {
+            return 'Each polygon must have an outer ring';
+        }
+
+        for (const ring of rings) {
+            if (!Array.isArray(ring) || ring.length < 4) {
+                return 'Each ring must have at least 4 positions';
+            }
+
+            const valid = ring.every(position =>
+                Array.isArray(position) &&
+                Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+                Number.isFinite(position[1]) && Math.abs(position[1]) <= 90
+            );
+            if (!valid) {
+                return 'Ring positions must be [lng, lat] pairs within valid ranges';
+            }
+
+            const first = ring[0];
+            const last = ring[ring.length - 1];
+            if (first[0] !== last[0] || first[1] !== last[1]) {
+                return 'Each ring must be closed (first and last positions equal)';
+            }
+        }
+    }
+
+    return null;
+}
+
+// Center of the bounding box of a polygon geometry, used as the fence center
+function polygonCenter(geometry) {
+    return boundsCenter(geometryBounds(geometry));
+}
+
+// Normalise request input into the GeoFence shape fields
+function parseFenceShape({ geometry, center, radius }) {
+    if (geometry) {
+        const coordinates = JSON.parse(JSON.stringify(geometry.coordinates || []), (key, value) =>
+            typeof value === 'string' ? parseFloat(value) : value
+        );
+        return { geometry: { type: geometry.type, coordinates } };
+    }
+
+    if (center && radius) {
+        return {
+            center: {
+                lat: parseFloat(center.lat),
+                lng: parseFloat(center.lng)
+            },
+            radius: parseInt(radius)
+        };
+    }
+
+    return null;
+}
+
+// Region of the zone a point is inside, or else of the nearest zone it is near.
+// `zones` are { zone, evaluation } pairs for the point.
+function resolveRegion(zones) {
+    const inside = zones.find(({ evaluation }) => evaluation.isInside);
+    if (inside) return inside.zone.region;
+
+    const near = zones
+        .filter(({ zone, evaluation }) => isNearFence(zone, evaluation))
+        .sort((a, b) => a.evaluation.distanceToEdge - b.evaluation.distanceToEdge)[0];
+
+    return near ? near.zone.region : null;
+}
+
+module.exports = {
+    evaluateFence,
+    nearBuffer,
+    isNearFence,
+    fenceBounds,
+    isPolygonFence,
+    validatePolygonGeometry,
+    polygonCenter,
+    parseFenceShape,
+    resolveRegion
+};
@@ -0,0 +1,111 @@
+// Comparison of a tourist's position against their registered itinerary
+
+const { distance, distanceToLine } = require('./geo');
+
+const DEVIATION_LEVELS = ['none', 'minor', 'moderate', 'severe'];
+
+// Multiples of the corridor / grace period at which each level starts
+const GRADE_STEPS = [
+    { level: 'severe', factor: 4 },
+    { level: 'moderate', factor: 2 },
+    { level: 'minor', factor: 1 }
+];
+
+const ALERT_SEVERITY = {
+    minor: 'low',
+    moderate: 'medium',
+    severe: 'high'
+};
+
+function grade(value, limit) {
+    const step = GRADE_STEPS.find(({ factor }) => value > limit * factor);
+    return step ? step.level : 'none';
+}
+
+function higherLevel(a, b) {
+    return DEVIATION_LEVELS.indexOf(a) >= DEVIATION_LEVELS.indexOf(b) ? a : b;
+}
+
+function isHigherLevel(a, b) {
+    return DEVIATION_LEVELS.indexOf(a) > DEVIATION_LEVELS.indexOf(b);
+}
+
+// Planned route as [lng, lat] positions, in stop order
+function routeLine(itinerary) {
+    return itinerary.stops.map(stop => [stop.location.lng, stop.location.lat]);
+}
+
+// Distance from a point to the planned route or the nearest accommodation, whichever is closer
+function distanceFromPlan(itinerary, lat, lng) {
+    let min = distanceToLine(lat, lng, routeLine(itinerary));
+
+    for (const place of itinerary.accommodation || []) {
+        min = Math.min(min, distance(lat, lng, place.location.lat, place.location.lng));
+    }
+
+    return min;
+}
+
+// Stops the point is within the arrival radius of, not yet marked as arrived
+function stopsReached(itinerary, lat, lng) {
+    return itinerary.stops.filter(stop =>
+        !stop.arrivedAt &&
+        distance(lat, lng, stop.location.lat, stop.location.lng) <= stop.radius
+    );
+}
+
+// The most overdue stop that has not been reached yet
+function mostOverdueStop(itinerary, now) {
+    let overdue = null;
+
+    for (const stop of itinerary.stops) {
+        if (stop.arrivedAt || !stop.arriveBy || stop.arriveBy > now) continue;
+
+        if (!overdue || stop.arriveBy < overdue.arriveBy) {
+            overdue = stop;
+        }
+    }
+
+    return overdue;
+}
+
+// Graded deviation of a position from the plan: off-route distance against the
+// corridor and late arrival against the grace period, the worse of the two winning
+function evaluateDeviation(itinerary, lat, lng, now = new Date()) {
+    const offRouteDistance = distanceFromPlan(itinerary, lat, lng);
+    const offRouteLevel = grade(offRouteDistance, itinerary.corridor);
+
+    const lateStop = mostOverdueStop(itinerary, now);
+    const minutesLate = lateStop ? (now - lateStop.arriveBy) / (60 * 1000) : 0;
+    const lateLevel = grade(minutesLate, itinerary.graceMinutes);
+
+    const reasons = [];
+    if (offRouteLevel !== 'none') {
+        reasons.push(`${Math.round(offRouteDistance)} m from the planned route`);
+    }
+    if (lateLevel !== 'none') {
+        reasons.push(`${Math.round(minutesLate)} minutes late for ${lateStop.name}`);
+    }
+
+    return {
+        level: higherLevel(offRouteLevel, lateLevel),
+        offRoute: { level: offRouteLevel, distance: Math.round(offRouteDistance) },
+        late: {
+            level: lateLevel,
+            stop: lateStop ? lateStop.name : null,
+            minutesLate: Math.round(minutesLate)
+        },
+        reasons
+    };
+}
+
+module.exports = {
+    DEVIATION_LEVELS,
+    ALERT_SEVERITY,
+    isHigherLevel,
+    routeLine,
+    distanceFromPlan,
+    stopsReached,
+    mostOverdueStop,
+    evaluateDeviation
+};
@@ -0,0 +1,79 @@
+// Authority roles, least to most privileged. Each role includes the ones before it.
+const ROLES = ['viewer', 'responder', 'supervisor', 'admin'];
+
+// Authority ranks from most to least senior. Ranks not listed here are not supervisors.
+const SUPERVISOR_RANKS = [
+    'Commissioner',
+    'Superintendent',
+    'Deputy Superintendent',
+    'Inspector',
+    'Sub-Inspector'
+];
+
+// Ranks that may change system-wide settings
+const ADMIN_RANKS = ['Commissioner', 'Superintendent'];
+
+// Departments that respond to tourists in the field
+const RESPONDER_DEPARTMENTS = ['Police Department', 'Emergency Services', 'Medical Department'];
+
+// Query filter excluding officers still awaiting approval
+const APPROVED_FILTER = { approvalStatus: { $ne: 'pending' } };
+
+// Position of a rank in SUPERVISOR_RANKS (0 is most senior), or -1 for other ranks
+function rankSeniority(rank) {
+    return SUPERVISOR_RANKS.findIndex(entry => entry.toLowerCase() === (rank || '').toLowerCase());
+}
+
+// Role of a user, derived from their user type and authority profile; null for non-authorities.
+// Officers awaiting approval are viewers whatever rank and department they claim.
+function roleFor(userType, authority) {
+    if (userType !== 'authority' || !authority) return null;
+    if (authority.approvalStatus === 'pending') return 'viewer';
+
+    const seniority = rankSeniority(authority.rank);
+    if (seniority !== -1 && seniority < ADMIN_RANKS.length) return 'admin';
+    if (seniority !== -1) return 'supervisor';
+    if (RESPONDER_DEPARTMENTS.includes(authority.department)) return 'responder';
+    return 'viewer';
+}
+
+function hasRole(role, minimum) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+}
+
+// Regions an authority may see: admins are not limited (null), supervisors cover
+// their own jurisdiction plus any regions they supervise, everyone else their jurisdiction
+function jurisdictionsFor(authority, role) {
+    if (role === 'admin') return null;
+
+    const regions = [authority.jurisdiction];
+    if (role === 'supervisor') {
+        regions.push(...(authority.supervisedRegions || []));
+    }
+    return [...new Set(regions.filter(Boolean))];
+}
+
+// Query filter limiting records to the given regions. Records outside every mapped
+// region (no region) stay visible to everyone so nothing goes unanswered.
+function regionFilter(regions, field = 'region') {
+    if (!regions) return {};
+    return { [field]: { $in: [...regions, null] } };
+}
+
+function inRegions(regions, region) {
+    return !regions || !region || regions.includes(region);
+}
+
+module.exports = {
+    ROLES,
+    SUPERVISOR_RANKS,
+    ADMIN_RANKS,
+    RESPONDER_DEPARTMENTS,
+    APPROVED_FILTER,
+    rankSeniority,
+    roleFor,
+    hasRole,
+    jurisdictionsFor,
+    regionFilter,
+    inRegions
+};
@@ -0,0 +1,103 @@
+// Slippy-map (Web Mercator z/x/y) tile math, in JavaScript and as MongoDB
+// aggregation expressions so points can be binned inside the database
+
+const MAX_LATITUDE = 85.05112878; // Web Mercator cuts off at ±85.0511°
+const MAX_ZOOM = 20;
+
+const clampLat = lat => Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+const clampTile = (value, zoom) => Math.max(0, Math.min(2 ** zoom - 1, value));
+
+function lngToTileX(lng, zoom) {
+    return clampTile(Math.floor((lng + 180) / 360 * 2 ** zoom), zoom);
+}
+
+function latToTileY(lat, zoom) {
+    const φ = clampLat(lat) * Math.PI / 180;
+    return clampTile(
+        Math.floor((1 - Math.log(Math.tan(φ) + 1 / Math.cos(φ)) / Math.PI) / 2 * 2 ** zoom),
+        zoom
+    );
+}
+
+function tileXToLng(x, zoom) {
+    return x / 2 ** zoom * 360 - 180;
+}
+
+function tileYToLat(y, zoom) {
+    const n = Math.PI - 2 * Math.PI * y / 2 ** zoom;
+    return 180 / Math.PI * Math.atan(Math.sinh(n));
+}
+
+function isValidTile(zoom, x, y) {
+    return Number.isInteger(zoom) && zoom >= 0 && zoom <= MAX_ZOOM &&
+        Number.isInteger(x) && x >= 0 && x < 2 ** zoom &&
+        Number.isInteger(y) && y >= 0 && y < 2 ** zoom;
+}
+
+// Bounding box of a tile
+function tileBounds(zoom, x, y) {
+    return {
+        minLat: tileYToLat(y + 1, zoom),
+        maxLat: tileYToLat(y, zoom),
+        minLng: tileXToLng(x, zoom),
+        maxLng: tileXToLng(x + 1, zoom)
+    };
+}
+
+function tileCenter(zoom, x, y) {
+    const bounds = tileBounds(zoom, x, y);
+    return {
+        lat: (bounds.minLat + bounds.maxLat) / 2,
+        lng: (bounds.minLng + bounds.maxLng) / 2
+    };
+}
+
+// Aggregation expressions computing the tile x/y of `$<field>.lat`/`$<field>.lng`
+function tileExpressions(field, zoom) {
+    const tiles = 2 ** zoom;
+    const clamp = expression => ({ $max: [0, { $min: [tiles - 1, expression] }] });
+    const φ = {
+        $degreesToRadians: {
+            $max: [-MAX_LATITUDE, { $min: [MAX_LATITUDE, `$${field}.lat`] }]
+        }
+    };
+
+    return {
+        x: clamp({
+            $floor: { $multiply: [{ $divide: [{ $add: [`$${field}.lng`, 180] }, 360] }, tiles] }
+        }),
+        y: clamp({
+            $floor: {
+                $multiply: [
+                    {
+                        $divide: [
+                            {
+                                $subtract: [1, {
+                                    $divide: [
+                                        { $ln: { $add: [{ $tan: φ }, { $divide: [1, { $cos: φ }] }] } },
+                                        Math.PI
+                                    ]
+                                }]
+                            },
+                            2
+                        ]
+                    },
+                    tiles
+                ]
+            }
+        })
+    };
+}
+
+module.exports = {
+    MAX_LATITUDE,
+    MAX_ZOOM,
+    lngToTileX,
+    latToTileY,
+    tileXToLng,
+    tileYToLat,
+    isValidTile,
+    tileBounds,
+    tileCenter,
+    tileExpressions
+};
@@ -0,0 +1,104 @@
+// GPX and KML rendering of a tourist's trail with its alerts and incidents
+
+const { escapeXml } = require('./xml');
+
+const isoTime = date => new Date(date).toISOString();
+
+// Alerts and incidents as uniform waypoints
+function trailWaypoints({ alerts = [], incidents = [] }) {
+    return [
+        ...alerts.map(alert => ({
+            kind: 'alert',
+            lat: alert.location.lat,
+            lng: alert.location.lng,
+            time: alert.createdAt,
+            name: `Alert: ${alert.type} (${alert.severity})`,
+            description: `${alert.message} [status: ${alert.status}]`
+        })),
+        ...incidents.map(incident => ({
+            kind: 'incident',
+            lat: incident.location.lat,
+            lng: incident.location.lng,
+            time: incident.filedAt || incident.createdAt,
+            name: incident.eFIRNumber
+                ? `Incident ${incident.eFIRNumber}: ${incident.type}`
+                : `Incident: ${incident.type}`,
+            description: `${incident.title} [severity: ${incident.severity}, status: ${incident.status}]`
+        }))
+    ].sort((a, b) => new Date(a.time) - new Date(b.time));
+}
+
+function toGPX({ name, from, to, points, alerts, incidents }) {
+    const waypoints = trailWaypoints({ alerts, incidents }).map(waypoint =>
+        `  <wpt lat="${waypoint.lat}" lon="${waypoint.lng}">
+    <time>${isoTime(waypoint.time)}</time>
+    <name>${escapeXml(waypoint.name)}</name>
+    <desc>${escapeXml(waypoint.description)}</desc>
+    <type>${waypoint.kind}</type>
+  </wpt>`
+    ).join('\n');
+
+    const trackPoints = points.map(point => {
+        const elevation = point.altitude !== undefined && point.altitude !== null
+            ? `<ele>${point.altitude}</ele>`
+            : '';
+        return `      <trkpt lat="${point.lat}" lon="${point.lng}">${elevation}<time>${isoTime(point.timestamp)}</time></trkpt>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="SafeTrip" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(name)}</name>
+    <desc>${escapeXml(`Trail from ${isoTime(from)} to ${isoTime(to)}`)}</desc>
+    <time>${isoTime(new Date())}</time>
+  </metadata>
+${waypoints}
+  <trk>
+    <name>${escapeXml(name)}</name>
+    <trkseg>
+${trackPoints}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+function toKML({ name, from, to, points, alerts, incidents }) {
+    const coordinates = points
+        .map(point => `${point.lng},${point.lat}${point.altitude != null ? `,${point.altitude}` : ''}`)
+        .join(' ');
+
+    const waypoints = trailWaypoints({ alerts, incidents }).map(waypoint =>
+        `    <Placemark>
+      <name>${escapeXml(waypoint.name)}</name>
+      <description>${escapeXml(waypoint.description)}</description>
+      <styleUrl>#${waypoint.kind}</styleUrl>
+      <TimeStamp><when>${isoTime(waypoint.time)}</when></TimeStamp>
+      <Point><coordinates>${waypoint.lng},${waypoint.lat}</coordinates></Point>
+    </Placemark>`
+    ).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+    <Style id="trail"><LineStyle><color>ffeb6325</color><width>3</width></LineStyle></Style>
+    <Style id="alert"><IconStyle><color>ff2626dc</color></IconStyle></Style>
+    <Style id="incident"><IconStyle><color>ff0c58ea</color></IconStyle></Style>
+    <Placemark>
+      <name>${escapeXml(name)}</name>
+      <styleUrl>#trail</styleUrl>
+      <TimeSpan><begin>${isoTime(from)}</begin><end>${isoTime(to)}</end></TimeSpan>
+      <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>
+    </Placemark>
+${waypoints}
+  </Document>
+</kml>
+`;
+}
+
+module.exports = {
+    trailWaypoints,
+    toGPX,
+    toKML
+};
@@ -0,0 +1,43 @@
+// Minimal XML helpers for the KML/GPX documents we read and write
+
+const ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;'
+};
+
+function escapeXml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ENTITIES[char]);
+}
+
+function decodeXml(value) {
+    return String(value ?? '')
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code)))
+        .replace(/&amp;/g, '&');
+}
+
+// Inner XML of every `<tag>` element (namespace prefixes ignored)
+function findElements(xml, tag) {
+    const pattern = new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+    return Array.from(xml.matchAll(pattern), match => match[1]);
+}
+
+// Decoded text of the first `<tag>` element, or undefined
+function findText(xml, tag) {
+    const [inner] = findElements(xml, tag);
+    return inner === undefined ? undefined : decodeXml(inner).trim();
+}
+
+module.exports = {
+    escapeXml,
+    decodeXml,
+    findElements,
+    findText
+};